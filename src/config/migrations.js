@@ -6,9 +6,80 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 
-const dbPath = path.resolve(__dirname, '../../database.sqlite');
+// DATABASE_PATH=:memory: gives a throwaway database, e.g. for tests
+const dbPath = process.env.DATABASE_PATH || path.resolve(__dirname, '../../database.sqlite');
 const db = new sqlite3.Database(dbPath);
 
+const APPOINTMENT_STATUSES = "'requested', 'confirmed', 'checked_in', 'in_progress', 'completed', 'no_show', 'cancelled'";
+
+/**
+ * Add a column to an existing table, ignoring the error raised when the
+ * column is already there. CREATE TABLE IF NOT EXISTS leaves tables of an
+ * existing database untouched, so new columns are added this way.
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @param {string} definition - Column type and constraints
+ */
+function addColumn(table, column, definition) {
+  db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, (err) => {
+    if (err && !/duplicate column name/.test(err.message)) {
+      console.error(`Error adding ${table}.${column}:`, err);
+    }
+  });
+}
+
+/**
+ * Rebuild the appointments table of databases created before the appointment
+ * lifecycle, whose status CHECK constraint only allowed scheduled, completed
+ * and cancelled. SQLite cannot alter a constraint in place, so the table is
+ * copied following https://www.sqlite.org/lang_altertable.html#otheralter;
+ * 'scheduled' appointments become 'confirmed'. The copy is made from the
+ * live schema, so call this after every other appointments migration.
+ */
+function rebuildAppointments() {
+  db.get("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'appointments'", (err, table) => {
+    if (err) {
+      console.error('Error checking appointments:', err);
+      return;
+    }
+    if (table.sql.includes("'checked_in'")) {
+      return;
+    }
+
+    const createSql = table.sql
+      .replace(/^CREATE TABLE "?appointments"?/, 'CREATE TABLE appointments_rebuilt')
+      .replace(/CHECK\(status IN \([^)]*\)\)/, `CHECK(status IN (${APPOINTMENT_STATUSES}))`);
+
+    db.all('PRAGMA table_info(appointments)', (err, columns) => {
+      if (err) {
+        console.error('Error checking appointments:', err);
+        return;
+      }
+      const copied = columns.map(column => column.name).filter(name => name !== 'status').join(', ');
+
+      db.serialize(() => {
+        db.run('PRAGMA foreign_keys = OFF');
+        db.run('BEGIN');
+        db.run(createSql);
+        db.run(`INSERT INTO appointments_rebuilt (${copied}, status)
+                SELECT ${copied}, CASE status WHEN 'scheduled' THEN 'confirmed' ELSE status END
+                FROM appointments`);
+        db.run('DROP TABLE appointments');
+        db.run('ALTER TABLE appointments_rebuilt RENAME TO appointments');
+        db.run('CREATE INDEX IF NOT EXISTS idx_appointments_doctor_date ON appointments(doctor_id, appointment_date)');
+        db.run('CREATE INDEX IF NOT EXISTS idx_appointments_patient_date ON appointments(patient_id, appointment_date)');
+        db.run('CREATE INDEX IF NOT EXISTS idx_appointments_series ON appointments(series_id, appointment_date)');
+        db.run('COMMIT', (err) => {
+          if (err) {
+            console.error('Error rebuilding appointments:', err);
+          }
+        });
+        db.run('PRAGMA foreign_keys = ON');
+      });
+    });
+  });
+}
+
 /**
  * Initialize database tables
  */
@@ -41,7 +112,7 @@ function initializeDatabase() {
       patient_id INTEGER NOT NULL,
       doctor_id INTEGER NOT NULL,
       appointment_date DATETIME NOT NULL,
-      status TEXT NOT NULL CHECK(status IN ('scheduled', 'completed', 'cancelled')),
+      status TEXT NOT NULL CHECK(status IN (${APPOINTMENT_STATUSES})),
       type TEXT NOT NULL CHECK(type IN ('consultation', 'follow-up', 'emergency')),
       notes TEXT,
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
@@ -179,19 +250,469 @@ function initializeDatabase() {
     db.run('CREATE INDEX IF NOT EXISTS idx_medications_patient ON medications(patient_id)');
     db.run('CREATE INDEX IF NOT EXISTS idx_health_parameters_patient ON health_parameters(patient_id)');
     db.run('CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications(user_id)');
+
+    // Bumped to invalidate every access token issued to a user
+    addColumn('users', 'token_version', 'INTEGER NOT NULL DEFAULT 0');
+
+    // Refresh tokens table (one family per login session, rotated on use)
+    db.run(`CREATE TABLE IF NOT EXISTS refresh_tokens (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      family_id TEXT NOT NULL,
+      token_hash TEXT UNIQUE NOT NULL,
+      expires_at DATETIME NOT NULL,
+      revoked_at DATETIME,
+      replaced_by INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )`);
+    db.run('CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family ON refresh_tokens(family_id)');
+    db.run('CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user ON refresh_tokens(user_id)');
+
+    // Password reset tokens table (single use, hashed like refresh tokens)
+    db.run(`CREATE TABLE IF NOT EXISTS password_reset_tokens (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      token_hash TEXT UNIQUE NOT NULL,
+      expires_at DATETIME NOT NULL,
+      used_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )`);
+
+    // TOTP second factor
+    addColumn('users', 'totp_secret', 'TEXT');
+    addColumn('users', 'totp_enabled', 'INTEGER NOT NULL DEFAULT 0');
+    addColumn('users', 'totp_last_step', 'INTEGER');
+
+    // TOTP recovery codes table (hashed, single use)
+    db.run(`CREATE TABLE IF NOT EXISTS totp_recovery_codes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      code_hash TEXT NOT NULL,
+      used_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )`);
+    db.run('CREATE INDEX IF NOT EXISTS idx_totp_recovery_codes_user ON totp_recovery_codes(user_id)');
+
+    // Per-role security policies
+    db.run(`CREATE TABLE IF NOT EXISTS role_security_policies (
+      role TEXT PRIMARY KEY CHECK(role IN ('patient', 'doctor', 'admin', 'biologist')),
+      require_2fa INTEGER NOT NULL DEFAULT 0,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    // Login attempt tracking and account lockout
+    addColumn('users', 'failed_login_count', 'INTEGER NOT NULL DEFAULT 0');
+    addColumn('users', 'locked_until', 'DATETIME');
+
+    db.run(`CREATE TABLE IF NOT EXISTS login_attempts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      email TEXT NOT NULL,
+      ip_address TEXT,
+      success INTEGER NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+    db.run('CREATE INDEX IF NOT EXISTS idx_login_attempts_ip ON login_attempts(ip_address, created_at)');
+    db.run('CREATE INDEX IF NOT EXISTS idx_login_attempts_email ON login_attempts(email, created_at)');
+
+    // License verification of invited clinicians
+    addColumn('users', 'verification_status', "TEXT NOT NULL DEFAULT 'verified' CHECK(verification_status IN ('pending', 'verified', 'rejected'))");
+    addColumn('users', 'verified_by', 'INTEGER REFERENCES users(id) ON DELETE SET NULL');
+    addColumn('users', 'verified_at', 'DATETIME');
+
+    // Staff invitations table
+    db.run(`CREATE TABLE IF NOT EXISTS invitations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      email TEXT NOT NULL,
+      role TEXT NOT NULL CHECK(role IN ('doctor', 'admin', 'biologist')),
+      first_name TEXT NOT NULL,
+      last_name TEXT NOT NULL,
+      specialization TEXT,
+      license_number TEXT,
+      token_hash TEXT UNIQUE NOT NULL,
+      expires_at DATETIME NOT NULL,
+      accepted_at DATETIME,
+      revoked_at DATETIME,
+      user_id INTEGER,
+      created_by INTEGER NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+      FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE CASCADE
+    )`);
+    db.run('CREATE INDEX IF NOT EXISTS idx_invitations_email ON invitations(email)');
+
+    // Care team table (doctors treating a patient, drives patient data access)
+    db.run(`CREATE TABLE IF NOT EXISTS care_team (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      patient_id INTEGER NOT NULL,
+      doctor_id INTEGER NOT NULL,
+      source TEXT NOT NULL DEFAULT 'manual' CHECK(source IN ('appointment', 'manual')),
+      assigned_by INTEGER,
+      started_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      ended_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (patient_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (doctor_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (assigned_by) REFERENCES users(id) ON DELETE SET NULL
+    )`);
+    db.run('CREATE INDEX IF NOT EXISTS idx_care_team_patient ON care_team(patient_id)');
+    db.run('CREATE INDEX IF NOT EXISTS idx_care_team_doctor ON care_team(doctor_id)');
+
+    // Doctors who already saw or treated a patient before care teams existed
+    db.run(`INSERT INTO care_team (patient_id, doctor_id, source)
+            SELECT DISTINCT patient_id, doctor_id, 'appointment' FROM (
+              SELECT patient_id, doctor_id FROM appointments
+              UNION SELECT patient_id, doctor_id FROM medical_records
+            ) history
+            WHERE NOT EXISTS (SELECT 1 FROM care_team ct
+                              WHERE ct.patient_id = history.patient_id
+                              AND ct.doctor_id = history.doctor_id)`);
+
+    // Proxy grants (caregivers and guardians acting for a patient)
+    db.run(`CREATE TABLE IF NOT EXISTS proxy_grants (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      patient_id INTEGER NOT NULL,
+      proxy_id INTEGER NOT NULL,
+      scopes TEXT NOT NULL,
+      relationship TEXT,
+      granted_by INTEGER,
+      expires_at DATETIME,
+      revoked_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (patient_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (proxy_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (granted_by) REFERENCES users(id) ON DELETE SET NULL
+    )`);
+    db.run('CREATE INDEX IF NOT EXISTS idx_proxy_grants_proxy ON proxy_grants(proxy_id, patient_id)');
+
+    // Requests made by a proxy on a patient's behalf
+    db.run(`CREATE TABLE IF NOT EXISTS proxy_actions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      grant_id INTEGER NOT NULL,
+      proxy_id INTEGER NOT NULL,
+      patient_id INTEGER NOT NULL,
+      method TEXT NOT NULL,
+      path TEXT NOT NULL,
+      status INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (grant_id) REFERENCES proxy_grants(id) ON DELETE CASCADE,
+      FOREIGN KEY (proxy_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (patient_id) REFERENCES users(id) ON DELETE CASCADE
+    )`);
+    db.run('CREATE INDEX IF NOT EXISTS idx_proxy_actions_patient ON proxy_actions(patient_id, created_at)');
+
+    // User who booked an appointment (the patient, or a proxy acting for them)
+    addColumn('appointments', 'booked_by', 'INTEGER REFERENCES users(id) ON DELETE SET NULL');
+
+    // Break-the-glass emergency access grants
+    db.run(`CREATE TABLE IF NOT EXISTS emergency_access (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      doctor_id INTEGER NOT NULL,
+      patient_id INTEGER NOT NULL,
+      reason TEXT NOT NULL,
+      expires_at DATETIME NOT NULL,
+      reviewed_by INTEGER,
+      reviewed_at DATETIME,
+      review_notes TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (doctor_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (patient_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (reviewed_by) REFERENCES users(id) ON DELETE SET NULL
+    )`);
+    db.run('CREATE INDEX IF NOT EXISTS idx_emergency_access_patient ON emergency_access(patient_id)');
+
+    // Reads made under an emergency access grant
+    db.run(`CREATE TABLE IF NOT EXISTS emergency_access_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      access_id INTEGER NOT NULL,
+      resource TEXT NOT NULL,
+      ip_address TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (access_id) REFERENCES emergency_access(id) ON DELETE CASCADE
+    )`);
+
+    // Audit log of reads and writes of patient data (no foreign keys, so
+    // entries outlive the users they mention)
+    db.run(`CREATE TABLE IF NOT EXISTS audit_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      actor_id INTEGER NOT NULL,
+      patient_id INTEGER,
+      resource TEXT NOT NULL,
+      resource_id TEXT,
+      action TEXT NOT NULL CHECK(action IN ('list', 'read', 'create', 'update', 'delete')),
+      changes TEXT,
+      ip_address TEXT,
+      path TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+    db.run('CREATE INDEX IF NOT EXISTS idx_audit_log_patient ON audit_log(patient_id, created_at)');
+    db.run('CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log(actor_id, created_at)');
+
+    // Soft deactivation of accounts (deleting a user cascades to their history)
+    addColumn('users', 'deactivated_at', 'DATETIME');
+    addColumn('users', 'deactivated_by', 'INTEGER REFERENCES users(id) ON DELETE SET NULL');
+    addColumn('users', 'deactivation_reason', 'TEXT');
+
+    // Public doctor profiles (lists are stored comma-separated)
+    addColumn('users', 'bio', 'TEXT');
+    addColumn('users', 'languages', 'TEXT');
+    addColumn('users', 'consultation_types', 'TEXT');
+
+    // Doctor schedules: weekly working hours (weekday 0 is Sunday, times are
+    // "HH:MM"), recurring breaks and one-off time off
+    db.run(`CREATE TABLE IF NOT EXISTS doctor_working_hours (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      doctor_id INTEGER NOT NULL,
+      weekday INTEGER NOT NULL CHECK(weekday BETWEEN 0 AND 6),
+      start_time TEXT NOT NULL,
+      end_time TEXT NOT NULL,
+      slot_minutes INTEGER NOT NULL DEFAULT 30,
+      FOREIGN KEY (doctor_id) REFERENCES users(id) ON DELETE CASCADE
+    )`);
+    db.run('CREATE INDEX IF NOT EXISTS idx_doctor_working_hours_doctor ON doctor_working_hours(doctor_id)');
+
+    db.run(`CREATE TABLE IF NOT EXISTS doctor_breaks (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      doctor_id INTEGER NOT NULL,
+      weekday INTEGER NOT NULL CHECK(weekday BETWEEN 0 AND 6),
+      start_time TEXT NOT NULL,
+      end_time TEXT NOT NULL,
+      FOREIGN KEY (doctor_id) REFERENCES users(id) ON DELETE CASCADE
+    )`);
+    db.run('CREATE INDEX IF NOT EXISTS idx_doctor_breaks_doctor ON doctor_breaks(doctor_id)');
+
+    db.run(`CREATE TABLE IF NOT EXISTS doctor_time_off (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      doctor_id INTEGER NOT NULL,
+      starts_at DATETIME NOT NULL,
+      ends_at DATETIME NOT NULL,
+      reason TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (doctor_id) REFERENCES users(id) ON DELETE CASCADE
+    )`);
+    db.run('CREATE INDEX IF NOT EXISTS idx_doctor_time_off_doctor ON doctor_time_off(doctor_id, ends_at)');
+
+    // Appointment durations. Dates are stored as ISO strings so intervals can
+    // be compared in SQL; early bookings stored epoch milliseconds instead.
+    addColumn('appointments', 'duration_minutes', 'INTEGER NOT NULL DEFAULT 30');
+    db.run(`UPDATE appointments
+            SET appointment_date = strftime('%Y-%m-%dT%H:%M:%fZ', appointment_date / 1000.0, 'unixepoch')
+            WHERE typeof(appointment_date) = 'integer'`);
+    db.run('CREATE INDEX IF NOT EXISTS idx_appointments_doctor_date ON appointments(doctor_id, appointment_date)');
+    db.run('CREATE INDEX IF NOT EXISTS idx_appointments_patient_date ON appointments(patient_id, appointment_date)');
+
+    // Rescheduling history: one row per move of an appointment
+    db.run(`CREATE TABLE IF NOT EXISTS appointment_changes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      appointment_id INTEGER NOT NULL,
+      previous_date DATETIME NOT NULL,
+      new_date DATETIME NOT NULL,
+      changed_by INTEGER,
+      reason TEXT,
+      changed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (appointment_id) REFERENCES appointments(id) ON DELETE CASCADE,
+      FOREIGN KEY (changed_by) REFERENCES users(id) ON DELETE SET NULL
+    )`);
+    db.run('CREATE INDEX IF NOT EXISTS idx_appointment_changes_appointment ON appointment_changes(appointment_id)');
+
+    // Recurring appointment series; each occurrence is an ordinary appointment
+    db.run(`CREATE TABLE IF NOT EXISTS appointment_series (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      patient_id INTEGER NOT NULL,
+      doctor_id INTEGER NOT NULL,
+      frequency TEXT NOT NULL CHECK(frequency IN ('daily', 'weekly', 'monthly')),
+      interval INTEGER NOT NULL DEFAULT 1,
+      count INTEGER,
+      until DATETIME,
+      type TEXT NOT NULL,
+      created_by INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (patient_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (doctor_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+    )`);
+    addColumn('appointments', 'series_id', 'INTEGER REFERENCES appointment_series(id) ON DELETE SET NULL');
+    db.run('CREATE INDEX IF NOT EXISTS idx_appointments_series ON appointments(series_id, appointment_date)');
+
+    // Appointment waitlist. A freed slot is offered to one entry at a time and
+    // held for it (offered_date, offered_minutes) until offer_expires_at.
+    db.run(`CREATE TABLE IF NOT EXISTS waitlist_entries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      patient_id INTEGER NOT NULL,
+      doctor_id INTEGER NOT NULL,
+      earliest DATETIME NOT NULL,
+      latest DATETIME NOT NULL,
+      type TEXT NOT NULL,
+      notes TEXT,
+      status TEXT NOT NULL DEFAULT 'waiting'
+        CHECK(status IN ('waiting', 'offered', 'booked', 'declined', 'expired', 'cancelled')),
+      offered_date DATETIME,
+      offered_minutes INTEGER,
+      offer_expires_at DATETIME,
+      appointment_id INTEGER,
+      created_by INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (patient_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (doctor_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (appointment_id) REFERENCES appointments(id) ON DELETE SET NULL,
+      FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+    )`);
+    db.run('CREATE INDEX IF NOT EXISTS idx_waitlist_doctor_status ON waitlist_entries(doctor_id, status, created_at)');
+    db.run('CREATE INDEX IF NOT EXISTS idx_waitlist_patient ON waitlist_entries(patient_id)');
+
+    // Appointment lifecycle: a timestamp per transition and cancellation details
+    addColumn('appointments', 'confirmed_at', 'DATETIME');
+    addColumn('appointments', 'checked_in_at', 'DATETIME');
+    addColumn('appointments', 'started_at', 'DATETIME');
+    addColumn('appointments', 'completed_at', 'DATETIME');
+    addColumn('appointments', 'no_show_at', 'DATETIME');
+    addColumn('appointments', 'cancelled_at', 'DATETIME');
+    addColumn('appointments', 'cancelled_by', 'INTEGER REFERENCES users(id) ON DELETE SET NULL');
+    addColumn('appointments', 'cancellation_reason', 'TEXT');
+    addColumn('appointments', 'late_cancellation', 'INTEGER NOT NULL DEFAULT 0');
+
+    // Appointment reminders already sent, per offset and appointment time
+    db.run(`CREATE TABLE IF NOT EXISTS appointment_reminders (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      appointment_id INTEGER NOT NULL,
+      offset_minutes INTEGER NOT NULL,
+      appointment_date DATETIME NOT NULL,
+      sent_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(appointment_id, offset_minutes, appointment_date),
+      FOREIGN KEY (appointment_id) REFERENCES appointments(id) ON DELETE CASCADE
+    )`);
+
+    // Calendar feeds: ICS SEQUENCE of each appointment, bumped on every
+    // change, and one secret feed token per user
+    addColumn('appointments', 'sequence', 'INTEGER NOT NULL DEFAULT 0');
+    db.run(`CREATE TABLE IF NOT EXISTS calendar_feeds (
+      user_id INTEGER PRIMARY KEY,
+      token_hash TEXT NOT NULL UNIQUE,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      last_accessed_at DATETIME,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )`);
+
+    // Clinic locations and their bookable resources (rooms, equipment).
+    // Appointment types can require one resource of each of some kinds,
+    // allocated at the location the doctor works at when the appointment is.
+    db.run(`CREATE TABLE IF NOT EXISTS locations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL UNIQUE,
+      address TEXT,
+      is_active BOOLEAN DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    db.run(`CREATE TABLE IF NOT EXISTS resources (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      location_id INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      kind TEXT NOT NULL,
+      is_active BOOLEAN DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(location_id, name),
+      FOREIGN KEY (location_id) REFERENCES locations(id)
+    )`);
+    db.run('CREATE INDEX IF NOT EXISTS idx_resources_location_kind ON resources(location_id, kind)');
+
+    db.run(`CREATE TABLE IF NOT EXISTS appointment_type_resources (
+      type TEXT NOT NULL,
+      resource_kind TEXT NOT NULL,
+      PRIMARY KEY (type, resource_kind)
+    )`);
+
+    db.run(`CREATE TABLE IF NOT EXISTS appointment_resources (
+      appointment_id INTEGER NOT NULL,
+      resource_id INTEGER NOT NULL,
+      PRIMARY KEY (appointment_id, resource_id),
+      FOREIGN KEY (appointment_id) REFERENCES appointments(id) ON DELETE CASCADE,
+      FOREIGN KEY (resource_id) REFERENCES resources(id)
+    )`);
+    db.run('CREATE INDEX IF NOT EXISTS idx_appointment_resources_resource ON appointment_resources(resource_id)');
+
+    addColumn('doctor_working_hours', 'location_id', 'INTEGER REFERENCES locations(id)');
+    addColumn('appointments', 'location_id', 'INTEGER REFERENCES locations(id)');
+
+    // Medical record revisions: every version of a record, numbered from 1,
+    // kept forever. The record row holds the latest version.
+    addColumn('medical_records', 'revision', 'INTEGER NOT NULL DEFAULT 1');
+    db.run(`CREATE TABLE IF NOT EXISTS medical_record_revisions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      record_id INTEGER NOT NULL,
+      revision INTEGER NOT NULL,
+      diagnosis TEXT NOT NULL,
+      prescription TEXT,
+      symptoms TEXT,
+      notes TEXT,
+      follow_up_date DATETIME,
+      reason TEXT,
+      author_id INTEGER NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(record_id, revision),
+      FOREIGN KEY (record_id) REFERENCES medical_records(id),
+      FOREIGN KEY (author_id) REFERENCES users(id)
+    )`);
+    db.run(`CREATE TRIGGER IF NOT EXISTS medical_record_revisions_no_update
+            BEFORE UPDATE ON medical_record_revisions
+            BEGIN SELECT RAISE(ABORT, 'Medical record revisions cannot be changed'); END`);
+    db.run(`CREATE TRIGGER IF NOT EXISTS medical_record_revisions_no_delete
+            BEFORE DELETE ON medical_record_revisions
+            BEGIN SELECT RAISE(ABORT, 'Medical record revisions cannot be deleted'); END`);
+    // Records written before revisions were kept start with their current content
+    db.run(`INSERT INTO medical_record_revisions
+            (record_id, revision, diagnosis, prescription, symptoms, notes, follow_up_date, author_id, created_at)
+            SELECT id, revision, diagnosis, prescription, symptoms, notes, follow_up_date, doctor_id, updated_at
+            FROM medical_records r
+            WHERE NOT EXISTS (SELECT 1 FROM medical_record_revisions v WHERE v.record_id = r.id)`);
+
+    // Medical record sign-off: drafts can be revised, signed records are
+    // frozen and only take addenda, which can never be changed or deleted
+    addColumn('medical_records', 'status', "TEXT NOT NULL DEFAULT 'draft' CHECK(status IN ('draft', 'signed'))");
+    addColumn('medical_records', 'signed_by', 'INTEGER REFERENCES users(id)');
+    addColumn('medical_records', 'signed_at', 'DATETIME');
+    db.run(`CREATE TRIGGER IF NOT EXISTS medical_records_signed_frozen
+            BEFORE UPDATE OF patient_id, doctor_id, diagnosis, prescription, symptoms, notes, follow_up_date,
+                             revision, status, signed_by, signed_at ON medical_records
+            WHEN OLD.status = 'signed'
+            BEGIN SELECT RAISE(ABORT, 'Signed medical records cannot be changed'); END`);
+
+    db.run(`CREATE TABLE IF NOT EXISTS medical_record_addenda (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      record_id INTEGER NOT NULL,
+      author_id INTEGER NOT NULL,
+      content TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (record_id) REFERENCES medical_records(id),
+      FOREIGN KEY (author_id) REFERENCES users(id)
+    )`);
+    db.run('CREATE INDEX IF NOT EXISTS idx_medical_record_addenda_record ON medical_record_addenda(record_id)');
+    db.run(`CREATE TRIGGER IF NOT EXISTS medical_record_addenda_no_update
+            BEFORE UPDATE ON medical_record_addenda
+            BEGIN SELECT RAISE(ABORT, 'Medical record addenda cannot be changed'); END`);
+    db.run(`CREATE TRIGGER IF NOT EXISTS medical_record_addenda_no_delete
+            BEFORE DELETE ON medical_record_addenda
+            BEGIN SELECT RAISE(ABORT, 'Medical record addenda cannot be deleted'); END`);
+
+    // Must stay last: copies the appointments table as migrated above
+    rebuildAppointments();
   });
 }
 
-// Initialize database
+// Initialize database (every statement is idempotent, so this also
+// upgrades databases created by an earlier version of the schema)
 db.get("SELECT name FROM sqlite_master WHERE type='table' AND name='users'", (err, table) => {
   if (err) {
     console.error('Error checking database:', err);
-  } else if (!table) {
-    console.log('Initializing database...');
-    initializeDatabase();
-  } else {
-    console.log('Database already initialized');
+    return;
   }
+  console.log(table ? 'Upgrading database schema...' : 'Initializing database...');
+  initializeDatabase();
 });
 
 module.exports = db; 
\ No newline at end of file
@@ -0,0 +1,90 @@
+/**
+ * @fileoverview Permission matrix for the healthcare system
+ * @module config/policies
+ *
+ * For every resource and action, lists the roles that may perform it and
+ * the condition the targeted row must meet for that role. A role that is
+ * missing from an action may not perform it at all. When an array of
+ * conditions is given, all of them must hold. The conditions themselves
+ * are implemented in services/authorization.
+ *
+ * Conditions:
+ * - any: no restriction
+ * - self: the row belongs to the acting user as patient (patient_id)
+ * - care_team: the acting doctor is on the patient's active care team
+ * - author: the acting doctor wrote the row (doctor_id)
+ * - participant: the acting user is the row's patient or doctor (appointments,
+ *   waitlist entries)
+ * - correspondent: the acting user sent or received the message
+ * - receiver: the acting user received the message
+ * - recipient: the notification is addressed to the acting user
+ * - lab_queue: the test is unassigned or assigned to the acting biologist
+ *
+ * The 'proxy' entry applies instead of the user's role while they act on a
+ * patient's behalf, and names the grant scope required; the row must then
+ * belong to that patient. Actions without a proxy entry are evaluated
+ * against the user's own role.
+ */
+
+/**
+ * Scopes a patient can grant a proxy
+ * - view_records: read medical records, test results and health parameters
+ * - book_appointments: view, book, reschedule and cancel appointments, and use
+ *   the waitlist
+ */
+const PROXY_SCOPES = ['view_records', 'book_appointments'];
+
+const POLICIES = {
+  appointment: {
+    list: { patient: 'participant', doctor: 'participant', admin: 'any', proxy: 'book_appointments' },
+    read: { patient: 'participant', doctor: 'participant', admin: 'any', proxy: 'book_appointments' },
+    create: { patient: 'self', doctor: 'care_team', admin: 'any', proxy: 'book_appointments' },
+    update: { patient: 'participant', doctor: 'participant', admin: 'any' },
+    reschedule: { patient: 'participant', doctor: 'participant', admin: 'any', proxy: 'book_appointments' },
+    cancel: { patient: 'participant', doctor: 'participant', admin: 'any', proxy: 'book_appointments' }
+  },
+
+  waitlist_entry: {
+    list: { patient: 'self', doctor: 'participant', admin: 'any', proxy: 'book_appointments' },
+    create: { patient: 'self', proxy: 'book_appointments' },
+    respond: { patient: 'self', proxy: 'book_appointments' },
+    cancel: { patient: 'self', admin: 'any', proxy: 'book_appointments' }
+  },
+
+  medical_record: {
+    list: { patient: 'self', doctor: 'care_team', admin: 'any', proxy: 'view_records' },
+    read: { patient: 'self', doctor: 'care_team', admin: 'any', proxy: 'view_records' },
+    create: { doctor: 'care_team' },
+    update: { doctor: ['author', 'care_team'] },
+    sign: { doctor: ['author', 'care_team'] },
+    amend: { doctor: 'care_team' }
+  },
+
+  test_result: {
+    list: { patient: 'self', doctor: 'care_team', biologist: 'lab_queue', admin: 'any', proxy: 'view_records' },
+    read: { patient: 'self', doctor: 'care_team', biologist: 'lab_queue', admin: 'any', proxy: 'view_records' },
+    create: { doctor: 'care_team' },
+    update: { biologist: 'lab_queue' }
+  },
+
+  health_parameter: {
+    list: { patient: 'self', doctor: 'care_team', admin: 'any', proxy: 'view_records' },
+    read: { patient: 'self', doctor: 'care_team', admin: 'any', proxy: 'view_records' },
+    create: { patient: 'self', doctor: 'care_team', admin: 'any' },
+    configure: { patient: 'self', doctor: 'care_team' }
+  },
+
+  message: {
+    list: { patient: 'correspondent', doctor: 'correspondent', biologist: 'correspondent', admin: 'correspondent' },
+    create: { patient: 'any', doctor: 'any', biologist: 'any', admin: 'any' },
+    mark_read: { patient: 'receiver', doctor: 'receiver', biologist: 'receiver', admin: 'receiver' }
+  },
+
+  notification: {
+    list: { patient: 'recipient', doctor: 'recipient', biologist: 'recipient', admin: 'recipient' },
+    create: { doctor: 'any', admin: 'any' },
+    mark_read: { patient: 'recipient', doctor: 'recipient', biologist: 'recipient', admin: 'recipient' }
+  }
+};
+
+module.exports = { POLICIES, PROXY_SCOPES };
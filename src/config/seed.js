@@ -101,7 +101,7 @@ function seedDatabase() {
           patient_id: userIds['patient1@healthcare.com'],
           doctor_id: userIds['doctor1@healthcare.com'],
           appointment_date: new Date(Date.now() + 86400000).toISOString(),
-          status: 'scheduled',
+          status: 'confirmed',
           type: 'consultation',
           notes: 'Regular checkup'
         },
@@ -109,7 +109,7 @@ function seedDatabase() {
           patient_id: userIds['patient2@healthcare.com'],
           doctor_id: userIds['doctor2@healthcare.com'],
           appointment_date: new Date(Date.now() + 172800000).toISOString(),
-          status: 'scheduled',
+          status: 'confirmed',
           type: 'follow-up',
           notes: 'Follow-up after treatment'
         }
@@ -9,6 +9,9 @@ const helmet = require('helmet');
 const morgan = require('morgan');
 const path = require('path');
 require('dotenv').config();
+const { createScheduler } = require('./utils/scheduler');
+const reminders = require('./services/reminders');
+const waitlist = require('./services/waitlist');
 
 const app = express();
 
@@ -27,9 +30,26 @@ app.use('/api/medical-records', require('./routes/medical-records'));
 app.use('/api/messages', require('./routes/messages'));
 app.use('/api/health-parameters', require('./routes/health-parameters'));
 app.use('/api/notifications', require('./routes/notifications'));
+app.use('/api/care-team', require('./routes/care-team'));
+app.use('/api/proxies', require('./routes/proxies'));
+app.use('/api/emergency-access', require('./routes/emergency-access'));
+app.use('/api/audit', require('./routes/audit'));
+app.use('/api/doctors', require('./routes/doctors'));
+app.use('/api/waitlist', require('./routes/waitlist'));
+app.use('/api/calendar', require('./routes/calendar'));
+app.use('/api/locations', require('./routes/locations'));
 const testResultsRoutes = require('./routes/test-results');
 app.use('/api/test-results', testResultsRoutes);
 
+// Background jobs
+const scheduler = createScheduler({
+  intervalMs: (parseInt(process.env.SCHEDULER_INTERVAL_SECONDS, 10) || 60) * 1000,
+  jobs: [
+    { name: 'appointment-reminders', run: now => reminders.sendDueReminders(now) },
+    { name: 'waitlist-offers', run: now => waitlist.expireOffers(now) }
+  ]
+});
+
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error(err.stack);
@@ -40,4 +60,5 @@ app.use((err, req, res, next) => {
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}`);
+  scheduler.start();
 }); 
\ No newline at end of file
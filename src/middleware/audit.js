@@ -0,0 +1,85 @@
+const auditLog = require('../services/audit');
+
+// The row a create route returned, e.g. { message, record: {...} } -> record
+const createdRow = (body) => {
+  if (!body || typeof body !== 'object') {
+    return null;
+  }
+  return Object.values(body).find(value => value && typeof value === 'object' && value.id) || null;
+};
+
+// Records successful reads and writes of patient data in the audit log once
+// the response is sent. Place it after authorization so req.resource and
+// req.patientId are known.
+//
+// options.load(req) returns the current row; updates and deletes use it to
+// capture the before and after state. options.patientOf(row) names the
+// patient a row belongs to (row.patient_id by default); when no row names
+// one, req.patientId is used.
+const audit = (resource, action, options = {}) => {
+  const { load, patientOf = row => row.patient_id } = options;
+
+  return async (req, res, next) => {
+    let before = null;
+    if (load && (action === 'update' || action === 'delete')) {
+      try {
+        before = await load(req);
+      } catch (err) {
+        return res.status(500).json({ message: 'Database error' });
+      }
+    }
+
+    let body;
+    const json = res.json.bind(res);
+    res.json = (payload) => {
+      body = payload;
+      return json(payload);
+    };
+
+    res.on('finish', async () => {
+      if (res.statusCode >= 400) {
+        return;
+      }
+
+      const base = {
+        actorId: req.user.id,
+        resource,
+        action,
+        ipAddress: req.ip,
+        path: `${req.method} ${req.originalUrl}`
+      };
+
+      try {
+        if (action === 'list' || action === 'read') {
+          const rows = (Array.isArray(body) ? body : [body]).filter(Boolean);
+          const patients = new Set(rows.map(patientOf).filter(Boolean));
+          if (patients.size === 0) {
+            patients.add(req.patientId);
+          }
+          for (const patientId of patients) {
+            await auditLog.record({ ...base, patientId, resourceId: req.params.id });
+          }
+          return;
+        }
+
+        const after = action === 'create' ? createdRow(body)
+          : action === 'update' && load ? await load(req)
+          : null;
+        const row = after || before || {};
+
+        await auditLog.record({
+          ...base,
+          patientId: patientOf(row) || req.patientId,
+          resourceId: req.params.id || row.id,
+          changes: auditLog.diff(before, after)
+        });
+      } catch (err) {
+        console.error('Error writing audit log:', err.message);
+      }
+    });
+
+    next();
+  };
+};
+
+module.exports = { audit };
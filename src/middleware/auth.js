@@ -1,4 +1,7 @@
 const jwt = require('jsonwebtoken');
+const db = require('../config/database');
+const { roleAllowed, can } = require('../services/authorization');
+const proxies = require('../services/proxies');
 
 const auth = (req, res, next) => {
   try {
@@ -9,20 +12,198 @@ const auth = (req, res, next) => {
     }
 
     const verified = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = verified;
-    next();
+
+    // Two-factor challenge and enrollment tokens are not access tokens
+    if (verified.purpose) {
+      return res.status(401).json({ message: 'Token verification failed, authorization denied' });
+    }
+
+    // The signature alone is not enough: the user may have been deactivated,
+    // had their role changed or their session revoked since the token was issued
+    const sql = `SELECT id, email, role, first_name, last_name, token_version, verification_status, deactivated_at,
+                 EXISTS (SELECT 1 FROM refresh_tokens
+                         WHERE family_id = ? AND revoked_at IS NULL) AS session_active
+                 FROM users WHERE id = ?`;
+
+    db.get(sql, [verified.sid, verified.id], async (err, user) => {
+      if (err) {
+        return res.status(500).json({ message: 'Database error' });
+      }
+      if (!user ||
+          user.deactivated_at ||
+          !user.session_active ||
+          user.role !== verified.role ||
+          user.token_version !== verified.tv) {
+        return res.status(401).json({ message: 'Token has been revoked, authorization denied' });
+      }
+
+      req.user = {
+        id: user.id,
+        email: user.email,
+        role: user.role,
+        first_name: user.first_name,
+        last_name: user.last_name,
+        verification_status: user.verification_status,
+        sid: verified.sid
+      };
+
+      if (!verified.obo) {
+        return next();
+      }
+
+      // Acting on behalf of a patient: the grant is re-checked on every
+      // request so revocation and expiry take effect immediately
+      try {
+        const grant = await proxies.findActiveGrant(user.id, verified.obo);
+        if (!grant) {
+          return res.status(401).json({ message: 'Proxy access has expired or been revoked' });
+        }
+        req.user.acting_for = { grant_id: grant.id, patient_id: grant.patient_id, scopes: grant.scopes };
+      } catch (err) {
+        return res.status(500).json({ message: 'Database error' });
+      }
+
+      res.on('finish', () => {
+        proxies.logProxyAction({
+          grantId: req.user.acting_for.grant_id,
+          proxyId: req.user.id,
+          patientId: req.user.acting_for.patient_id,
+          method: req.method,
+          path: req.originalUrl,
+          status: res.statusCode
+        }).catch(err => console.error('Error logging proxy action:', err.message));
+      });
+      next();
+    });
   } catch (err) {
     res.status(401).json({ message: 'Token verification failed, authorization denied' });
   }
 };
 
+// Accepts a regular access token, or the enrollment token handed out at
+// login when the user's role requires 2FA and it is not set up yet
+const enrollmentAuth = (req, res, next) => {
+  const token = req.header('Authorization')?.replace('Bearer ', '');
+  let verified;
+  try {
+    verified = token && jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    verified = null;
+  }
+
+  if (!verified || verified.purpose !== 'totp_enroll') {
+    return auth(req, res, next);
+  }
+
+  db.get('SELECT id, email, role, first_name, last_name, token_version, verification_status FROM users WHERE id = ? AND deactivated_at IS NULL', [verified.id], (err, user) => {
+    if (err) {
+      return res.status(500).json({ message: 'Database error' });
+    }
+    if (!user) {
+      return res.status(401).json({ message: 'Token has been revoked, authorization denied' });
+    }
+
+    req.user = { ...user, enrollment: true };
+    next();
+  });
+};
+
 const checkRole = (roles) => {
   return (req, res, next) => {
     if (!roles.includes(req.user.role)) {
       return res.status(403).json({ message: 'Access denied: insufficient permissions' });
     }
+    // Invited clinicians keep their role but act only once their license is approved
+    if (req.user.verification_status !== 'verified') {
+      return res.status(403).json({ message: 'Access denied: account pending verification' });
+    }
     next();
   };
 };
 
-module.exports = { auth, checkRole }; 
\ No newline at end of file
+const RESOURCE_LABELS = {
+  appointment: 'Appointment',
+  waitlist_entry: 'Waitlist entry',
+  medical_record: 'Medical record',
+  test_result: 'Test result',
+  health_parameter: 'Health parameter',
+  message: 'Message',
+  notification: 'Notification'
+};
+
+// Sends a 403 and returns true if the user's role may not perform the action at all
+const denyRole = (req, res, resource, action) => {
+  if (!roleAllowed(req.user, resource, action)) {
+    res.status(403).json({ message: 'Access denied: insufficient permissions' });
+    return true;
+  }
+  if (req.user.verification_status !== 'verified') {
+    res.status(403).json({ message: 'Access denied: account pending verification' });
+    return true;
+  }
+  return false;
+};
+
+// Checks the permission matrix in config/policies. loadRow(req) resolves to
+// the targeted row, which is then available to the handler as req.resource;
+// rows the user may not act on are reported as not found. Without loadRow
+// only the role is checked and the handler scopes its own query.
+const authorize = (resource, action, loadRow) => {
+  return async (req, res, next) => {
+    if (denyRole(req, res, resource, action)) {
+      return;
+    }
+    if (!loadRow) {
+      return next();
+    }
+
+    try {
+      const row = await loadRow(req);
+      if (!row || !(await can(req.user, resource, action, row))) {
+        return res.status(404).json({ message: `${RESOURCE_LABELS[resource]} not found or access denied` });
+      }
+      req.resource = row;
+    } catch (err) {
+      return res.status(500).json({ message: 'Database error' });
+    }
+    next();
+  };
+};
+
+// Like authorize, for actions on a patient's data as a whole (listing their
+// vitals, creating a record for them). resolvePatientId(req) names the
+// patient, who is then available to the handler as req.patientId.
+const authorizePatient = (resource, action, resolvePatientId) => {
+  return async (req, res, next) => {
+    if (denyRole(req, res, resource, action)) {
+      return;
+    }
+
+    const patientId = parseInt(resolvePatientId(req));
+    if (!patientId) {
+      return res.status(400).json({ message: 'Patient ID is required' });
+    }
+
+    try {
+      if (!(await can(req.user, resource, action, { patient_id: patientId }))) {
+        return res.status(403).json({ message: 'Access denied: no access to this patient\'s data' });
+      }
+    } catch (err) {
+      return res.status(500).json({ message: 'Database error' });
+    }
+
+    req.patientId = patientId;
+    next();
+  };
+};
+
+// The patient whose data a request is about when the user is that patient,
+// or acts for them under a proxy grant; undefined for staff
+const ownPatientId = (req) => {
+  if (req.user.acting_for) {
+    return req.user.acting_for.patient_id;
+  }
+  return req.user.role === 'patient' ? req.user.id : undefined;
+};
+
+module.exports = { auth, enrollmentAuth, checkRole, authorize, authorizePatient, ownPatientId };
@@ -5,9 +5,36 @@
 
 const express = require('express');
 const router = express.Router();
-const { body, validationResult } = require('express-validator');
-const { auth, checkRole } = require('../middleware/auth');
+const { body, query, validationResult } = require('express-validator');
+const { auth, checkRole, authorize, authorizePatient, ownPatientId } = require('../middleware/auth');
 const db = require('../config/database');
+const { run, get } = require('../utils/db');
+const { scope } = require('../services/authorization');
+const careTeam = require('../services/care-team');
+const availability = require('../services/availability');
+const booking = require('../services/booking');
+const waitlist = require('../services/waitlist');
+const calendar = require('../services/calendar');
+const lifecycle = require('../services/appointment-lifecycle');
+const locations = require('../services/locations');
+const { notify } = require('../services/notifications');
+const recurrence = require('../utils/recurrence');
+
+const MAX_SLOT_RANGE_DAYS = 31;
+
+// Patients and proxies book for their own patient; staff name one
+const bookingPatientId = req => ownPatientId(req) || req.body.patient_id;
+
+const loadAppointment = req => get('SELECT * FROM appointments WHERE id = ?', [req.params.id]);
+const findPatient = id => get(
+  "SELECT id FROM users WHERE id = ? AND role = 'patient' AND deactivated_at IS NULL",
+  [id]
+);
+const findDoctor = id => get(
+  `SELECT id FROM users
+   WHERE id = ? AND role = 'doctor' AND verification_status = 'verified' AND deactivated_at IS NULL`,
+  [id]
+);
 
 /**
  * @route GET /api/appointments
@@ -15,13 +42,12 @@ const db = require('../config/database');
  * @access Private
  * @returns {Object} List of appointments
  */
-router.get('/', auth, async (req, res) => {
+router.get('/', auth, authorize('appointment', 'list'), async (req, res) => {
   try {
-    const query = req.user.role === 'doctor' 
-      ? 'SELECT * FROM appointments WHERE doctor_id = ?'
-      : 'SELECT * FROM appointments WHERE patient_id = ?';
+    const { clause, params } = scope(req.user, 'appointment', 'list');
+    const query = `SELECT * FROM appointments WHERE ${clause}`;
     
-    db.all(query, [req.user.id], (err, appointments) => {
+    db.all(query, params, (err, appointments) => {
       if (err) {
         return res.status(500).json({ message: 'Database error' });
       }
@@ -32,21 +58,145 @@ router.get('/', auth, async (req, res) => {
   }
 });
 
+/**
+ * @route GET /api/appointments/slots
+ * @desc Get a doctor's free appointment slots in a date range
+ * @access Private
+ * @param {number} req.query.doctor_id - Doctor ID
+ * @param {string} req.query.from - Range start
+ * @param {string} req.query.to - Range end (at most 31 days after from)
+ * @returns {Array} Free slots as {start, end}
+ */
+router.get('/slots',
+  auth,
+  [
+    query('doctor_id').isInt().toInt(),
+    query('from').isISO8601().toDate(),
+    query('to').isISO8601().toDate()
+      .custom((value, { req }) => value > req.query.from &&
+        value - req.query.from <= MAX_SLOT_RANGE_DAYS * 86400000)
+      .withMessage(`Range must end after it starts and span at most ${MAX_SLOT_RANGE_DAYS} days`)
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { doctor_id, from, to } = req.query;
+      const doctor = await findDoctor(doctor_id);
+      if (!doctor) {
+        return res.status(404).json({ message: 'Doctor not found' });
+      }
+
+      res.json(await availability.freeSlots(doctor_id, from, to));
+    } catch (err) {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+/**
+ * @route GET /api/appointments/attendance
+ * @desc Get completed, no-show and late cancellation counts per patient,
+ *       over the appointments the user can see
+ * @access Private
+ * @returns {Array} Counts per patient, most no-shows first
+ */
+router.get('/attendance', auth, authorize('appointment', 'list'), async (req, res) => {
+  try {
+    res.json(await lifecycle.attendance(scope(req.user, 'appointment', 'list', 'a')));
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route GET /api/appointments/types
+ * @desc Get the appointment types with their default duration and the
+ *       resource kinds they require
+ * @access Private
+ * @returns {Array} Types
+ */
+router.get('/types', auth, async (req, res) => {
+  try {
+    const types = [];
+    for (const type of booking.APPOINTMENT_TYPES) {
+      types.push({
+        type,
+        duration_minutes: booking.TYPE_DURATIONS[type],
+        resource_kinds: await locations.requiredKinds(type)
+      });
+    }
+    res.json(types);
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route PUT /api/appointments/types/:type
+ * @desc Set the resource kinds an appointment type requires (admin only).
+ *       New bookings of the type need a free resource of each kind at the
+ *       doctor's location; existing appointments are not changed.
+ * @access Private/Admin
+ * @param {string} type - Appointment type
+ * @param {Array<string>} req.body.resource_kinds - Resource kinds, e.g. ["exam_room", "ecg_machine"]
+ * @returns {Object} The type's new requirements
+ */
+router.put('/types/:type',
+  auth,
+  checkRole(['admin']),
+  [
+    body('resource_kinds').isArray(),
+    body('resource_kinds.*').isString().trim().matches(/^[a-z0-9_]+$/)
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      if (!booking.APPOINTMENT_TYPES.includes(req.params.type)) {
+        return res.status(404).json({ message: 'Appointment type not found' });
+      }
+
+      res.json({
+        message: 'Appointment type updated successfully',
+        type: req.params.type,
+        resource_kinds: await locations.setRequiredKinds(req.params.type, req.body.resource_kinds)
+      });
+    } catch (err) {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
 /**
  * @route POST /api/appointments
- * @desc Create a new appointment
+ * @desc Create a new appointment for the authenticated patient, for the
+ *       patient they act for under a proxy grant, or, for doctors and admins,
+ *       for a given patient. The appointment lasts the default duration of its
+ *       type and must not overlap another appointment of the doctor or the
+ *       patient. Staff bookings notify the patient; patient bookings await the
+ *       doctor's confirmation when APPOINTMENTS_REQUIRE_CONFIRMATION is set.
  * @access Private
+ * @param {number} [req.body.patient_id] - Patient to book for (doctors and admins)
  * @param {Object} req.body.appointment_date - Date and time of the appointment
  * @param {Object} req.body.doctor_id - ID of the doctor
+ * @param {string} [req.body.type] - consultation (default), follow-up or emergency
  * @param {string} [req.body.notes] - Optional notes for the appointment
  * @returns {Object} Created appointment details
  */
 router.post('/',
   auth,
-  checkRole(['patient']),
+  authorizePatient('appointment', 'create', bookingPatientId),
   [
+    body('patient_id').optional().isInt().toInt(),
     body('appointment_date').isISO8601().toDate(),
-    body('doctor_id').isInt(),
+    body('doctor_id').isInt().toInt(),
+    body('type').optional().isIn(booking.APPOINTMENT_TYPES),
     body('notes').optional().isString()
   ],
   async (req, res) => {
@@ -56,54 +206,36 @@ router.post('/',
         return res.status(400).json({ errors: errors.array() });
       }
 
-      const { appointment_date, doctor_id, notes } = req.body;
+      const { appointment_date, doctor_id, type, notes } = req.body;
 
-      // Check if doctor exists
-      db.get('SELECT * FROM users WHERE id = ? AND role = "doctor"', [doctor_id], (err, doctor) => {
-        if (err) {
-          return res.status(500).json({ message: 'Database error' });
-        }
-        if (!doctor) {
-          return res.status(404).json({ message: 'Doctor not found' });
-        }
+      if (!(await findPatient(req.patientId))) {
+        return res.status(404).json({ message: 'Patient not found' });
+      }
+      const doctor = await findDoctor(doctor_id);
+      if (!doctor) {
+        return res.status(404).json({ message: 'Doctor not found' });
+      }
+
+      const { appointment, conflict } = await booking.book({
+        patientId: req.patientId,
+        doctorId: doctor_id,
+        start: appointment_date,
+        type,
+        notes,
+        bookedBy: req.user.id,
+        status: booking.initialStatus(req.user)
+      });
+      if (conflict) {
+        return res.status(409).json({ message: conflict });
+      }
+      await booking.notifyBooked([appointment], req.user);
+
+      // Booking a doctor puts them on the patient's care team
+      await careTeam.assign(req.patientId, doctor_id, { source: 'appointment', assignedBy: req.user.id });
 
-        // Check for appointment conflicts
-        const sql = `SELECT * FROM appointments 
-                    WHERE doctor_id = ? 
-                    AND appointment_date = ? 
-                    AND status != 'cancelled'`;
-        
-        db.get(sql, [doctor_id, appointment_date], (err, conflict) => {
-          if (err) {
-            return res.status(500).json({ message: 'Database error' });
-          }
-          if (conflict) {
-            return res.status(400).json({ message: 'Time slot is already booked' });
-          }
-
-          // Create appointment
-          const insertSql = `INSERT INTO appointments 
-                            (patient_id, doctor_id, appointment_date, status, notes) 
-                            VALUES (?, ?, ?, 'scheduled', ?)`;
-          
-          db.run(insertSql, [req.user.id, doctor_id, appointment_date, notes], function(err) {
-            if (err) {
-              return res.status(500).json({ message: 'Error creating appointment' });
-            }
-
-            res.status(201).json({
-              message: 'Appointment created successfully',
-              appointment: {
-                id: this.lastID,
-                patient_id: req.user.id,
-                doctor_id,
-                appointment_date,
-                status: 'scheduled',
-                notes
-              }
-            });
-          });
-        });
+      res.status(201).json({
+        message: 'Appointment created successfully',
+        appointment
       });
     } catch (err) {
       res.status(500).json({ message: 'Server error' });
@@ -111,20 +243,252 @@ router.post('/',
   }
 );
 
+/**
+ * @route POST /api/appointments/series
+ * @desc Book a recurring series of appointments for the authenticated patient,
+ *       for the patient they act for, or, for doctors and admins, for a given
+ *       patient. Each occurrence is checked like a single booking; free ones
+ *       are booked and the others reported.
+ * @access Private
+ * @param {number} [req.body.patient_id] - Patient to book for (doctors and admins)
+ * @param {string} req.body.appointment_date - Date and time of the first occurrence
+ * @param {number} req.body.doctor_id - ID of the doctor
+ * @param {string} req.body.frequency - daily, weekly or monthly
+ * @param {number} [req.body.interval] - Periods between occurrences (default 1)
+ * @param {number} [req.body.count] - Number of occurrences (give count or until)
+ * @param {string} [req.body.until] - Date of the last possible occurrence
+ * @param {string} [req.body.type] - Appointment type (default consultation)
+ * @param {string} [req.body.notes] - Notes copied to every occurrence
+ * @returns {Object} Series, booked appointments and conflicting occurrences
+ */
+router.post('/series',
+  auth,
+  authorizePatient('appointment', 'create', bookingPatientId),
+  [
+    body('patient_id').optional().isInt().toInt(),
+    body('appointment_date').isISO8601().toDate(),
+    body('doctor_id').isInt().toInt(),
+    body('frequency').isIn(recurrence.FREQUENCIES),
+    body('interval').optional().isInt({ min: 1, max: 12 }).toInt(),
+    body('count').optional().isInt({ min: 1, max: recurrence.MAX_OCCURRENCES }).toInt(),
+    body('until').optional().isISO8601().toDate()
+      .custom((value, { req }) => value > req.body.appointment_date)
+      .withMessage('until must be after the first occurrence'),
+    body().custom(value => (value.count === undefined) !== (value.until === undefined))
+      .withMessage('Give either count or until'),
+    body('type').optional().isIn(booking.APPOINTMENT_TYPES),
+    body('notes').optional().isString()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { appointment_date, doctor_id, frequency, interval, count, until, type, notes } = req.body;
+
+      if (!(await findPatient(req.patientId))) {
+        return res.status(404).json({ message: 'Patient not found' });
+      }
+      const doctor = await findDoctor(doctor_id);
+      if (!doctor) {
+        return res.status(404).json({ message: 'Doctor not found' });
+      }
+
+      const { series, appointments, conflicts } = await booking.bookSeries(
+        {
+          patientId: req.patientId,
+          doctorId: doctor_id,
+          type,
+          notes,
+          bookedBy: req.user.id,
+          status: booking.initialStatus(req.user)
+        },
+        { start: appointment_date, frequency, interval, count, until }
+      );
+      if (!series) {
+        return res.status(409).json({ message: 'No occurrence of the series is available', conflicts });
+      }
+      await booking.notifyBooked(appointments, req.user);
+
+      await careTeam.assign(req.patientId, doctor_id, { source: 'appointment', assignedBy: req.user.id });
+
+      res.status(201).json({
+        message: 'Appointment series created successfully',
+        series,
+        appointments,
+        conflicts
+      });
+    } catch (err) {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+/**
+ * @route POST /api/appointments/:id/reschedule
+ * @desc Move a scheduled appointment to a new time. The same availability and
+ *       conflict rules as booking apply; the patient and the doctor are notified.
+ * @access Private
+ * @param {string} id - Appointment ID
+ * @param {string} req.body.appointment_date - New date and time
+ * @param {string} [req.body.reason] - Why the appointment is moved
+ * @param {string} [req.body.scope] - For a series: this (default), following or all.
+ *        The other occurrences are shifted by the same amount.
+ * @returns {Object} Rescheduled appointment and every occurrence moved with it
+ */
+router.post('/:id/reschedule',
+  auth,
+  authorize('appointment', 'reschedule', loadAppointment),
+  [
+    body('appointment_date').isISO8601().toDate(),
+    body('reason').optional().isString().trim(),
+    body('scope').optional().isIn(booking.SERIES_SCOPES)
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      if (!lifecycle.OPEN_STATUSES.includes(req.resource.status)) {
+        return res.status(409).json({ message: 'Only upcoming appointments can be rescheduled' });
+      }
+
+      const { appointments, conflict } = await booking.reschedule(req.resource, req.body.appointment_date, {
+        changedBy: req.user.id,
+        reason: req.body.reason,
+        scope: req.body.scope
+      });
+      if (conflict) {
+        return res.status(409).json({ message: conflict });
+      }
+
+      res.json({
+        message: 'Appointment rescheduled successfully',
+        appointment: appointments.find(appointment => appointment.id === req.resource.id),
+        appointments
+      });
+    } catch (err) {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+/**
+ * @route GET /api/appointments/:id/resources
+ * @desc Get the resources (rooms, equipment) held by an appointment
+ * @access Private
+ * @param {string} id - Appointment ID
+ * @returns {Array} Resources
+ */
+router.get('/:id/resources', auth, authorize('appointment', 'read', loadAppointment), async (req, res) => {
+  try {
+    res.json(await booking.listResources(req.resource.id));
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route GET /api/appointments/:id/history
+ * @desc Get the rescheduling history of an appointment
+ * @access Private
+ * @param {string} id - Appointment ID
+ * @returns {Array} Previous and new times, who changed them and why
+ */
+router.get('/:id/history', auth, authorize('appointment', 'read', loadAppointment), async (req, res) => {
+  try {
+    res.json(await booking.listChanges(req.resource.id));
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route GET /api/appointments/:id/ics
+ * @desc Download an appointment as an iCalendar file; a cancelled
+ *       appointment is sent as a cancellation (METHOD:CANCEL)
+ * @access Private
+ * @param {string} id - Appointment ID
+ * @returns {string} iCalendar file
+ */
+router.get('/:id/ics', auth, authorize('appointment', 'read', loadAppointment), async (req, res) => {
+  try {
+    const invite = await calendar.buildInvite(req.resource.id, req.user.id);
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="appointment-${req.resource.id}.ics"`);
+    res.send(invite);
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * Move the appointments a series-aware change applies to through a status
+ * transition. Occurrences that cannot make the transition, or that another
+ * request changed in the meantime, are left alone.
+ * Cancelled time is offered to the doctor's waitlist, and the patient is told
+ * when their requested appointments are confirmed.
+ * @param {Object} req - Request with the addressed appointment in req.resource
+ * @param {string} status - New status
+ * @param {string} [scope] - One of booking.SERIES_SCOPES
+ * @param {string} [reason] - Cancellation reason
+ * @returns {Promise<{code: number, message: string}|{changed: number, unchanged: number}>} Refusal, or how many appointments were and were not changed
+ */
+async function changeStatus(req, status, scope, reason) {
+  const refusal = lifecycle.checkTransition(req.resource, status, req.user);
+  if (refusal) {
+    return refusal;
+  }
+
+  const occurrences = (await booking.seriesOccurrences(req.resource, scope))
+    .filter(occurrence => !lifecycle.checkTransition(occurrence, status, req.user));
+  const changed = await lifecycle.transition(occurrences, status, req.user, reason);
+  const addressed = occurrence => occurrence.id === req.resource.id;
+  if (occurrences.some(addressed) && !changed.some(addressed)) {
+    return { code: 409, message: 'The appointment was changed by another request; reload it and try again' };
+  }
+
+  if (status === 'cancelled') {
+    await waitlist.offerCancelled(changed);
+  }
+  if (status === 'confirmed' && changed.length) {
+    const start = booking.formatTime(changed[0].appointment_date);
+    await notify(
+      req.resource.patient_id,
+      'appointment',
+      changed.length > 1 ? 'Appointments confirmed' : 'Appointment confirmed',
+      changed.length > 1
+        ? `Your ${changed.length} appointments starting ${start} have been confirmed`
+        : `Your appointment on ${start} has been confirmed`
+    );
+  }
+  return { changed: changed.length, unchanged: occurrences.length - changed.length };
+}
+
 /**
  * @route PUT /api/appointments/:id
- * @desc Update an appointment's status or details
+ * @desc Update an appointment's status or notes. Status changes follow the
+ *       appointment lifecycle (see services/appointment-lifecycle).
  * @access Private
  * @param {string} id - Appointment ID
- * @param {string} [req.body.status] - New status (scheduled/completed/cancelled)
+ * @param {string} [req.body.status] - New status
+ * @param {string} [req.body.reason] - Cancellation reason
  * @param {string} [req.body.notes] - Updated notes
- * @returns {Object} Updated appointment details
+ * @param {string} [req.body.scope] - For a series: this (default), following or all
+ * @returns {Object} Updated appointment details, and how many appointments were and were not updated
  */
 router.put('/:id',
   auth,
+  authorize('appointment', 'update', loadAppointment),
   [
-    body('status').optional().isIn(['scheduled', 'completed', 'cancelled']),
-    body('notes').optional().isString()
+    body('status').optional().isIn(lifecycle.STATUSES),
+    body('reason').optional().isString().trim(),
+    body('notes').optional().isString(),
+    body('scope').optional().isIn(booking.SERIES_SCOPES)
   ],
   async (req, res) => {
     try {
@@ -133,42 +497,34 @@ router.put('/:id',
         return res.status(400).json({ errors: errors.array() });
       }
 
-      const { status, notes } = req.body;
-      const appointmentId = req.params.id;
+      const { status, reason, notes, scope } = req.body;
+      let updated = 0;
+      let unchanged = 0;
 
-      // Check if appointment exists and user has permission
-      const checkSql = `SELECT * FROM appointments 
-                       WHERE id = ? 
-                       AND (patient_id = ? OR doctor_id = ?)`;
-      
-      db.get(checkSql, [appointmentId, req.user.id, req.user.id], (err, appointment) => {
-        if (err) {
-          return res.status(500).json({ message: 'Database error' });
-        }
-        if (!appointment) {
-          return res.status(404).json({ message: 'Appointment not found or access denied' });
+      if (status && status !== req.resource.status) {
+        const result = await changeStatus(req, status, scope, reason);
+        if (result.code) {
+          return res.status(result.code).json({ message: result.message });
         }
+        updated = result.changed;
+        unchanged = result.unchanged;
+      }
 
-        // Update appointment
-        const updateSql = `UPDATE appointments 
-                          SET status = COALESCE(?, status),
-                              notes = COALESCE(?, notes)
-                          WHERE id = ?`;
-        
-        db.run(updateSql, [status, notes, appointmentId], function(err) {
-          if (err) {
-            return res.status(500).json({ message: 'Error updating appointment' });
-          }
-
-          res.json({
-            message: 'Appointment updated successfully',
-            appointment: {
-              ...appointment,
-              status: status || appointment.status,
-              notes: notes || appointment.notes
-            }
-          });
-        });
+      if (notes !== undefined) {
+        const ids = (await booking.seriesOccurrences(req.resource, scope)).map(occurrence => occurrence.id);
+        const { changes } = await run(
+          `UPDATE appointments SET notes = ?, sequence = sequence + 1, updated_at = CURRENT_TIMESTAMP
+           WHERE id IN (${ids.map(() => '?').join(', ')})`,
+          [notes, ...ids]
+        );
+        updated = Math.max(updated, changes);
+      }
+
+      res.json({
+        message: 'Appointment updated successfully',
+        appointment: await loadAppointment(req),
+        updated,
+        unchanged
       });
     } catch (err) {
       res.status(500).json({ message: 'Server error' });
@@ -178,46 +534,41 @@ router.put('/:id',
 
 /**
  * @route DELETE /api/appointments/:id
- * @desc Cancel an appointment
+ * @desc Cancel an appointment. The freed time is offered to the doctor's waitlist.
  * @access Private
  * @param {string} id - Appointment ID
- * @returns {Object} Success message
+ * @param {string} [req.query.scope] - For a series: this (default), following or all
+ * @param {string} [req.query.reason] - Cancellation reason
+ * @returns {Object} Success message, and how many appointments were and were not cancelled
  */
-router.delete('/:id', auth, async (req, res) => {
-  try {
-    const appointmentId = req.params.id;
-
-    // Check if appointment exists and user has permission
-    const checkSql = `SELECT * FROM appointments 
-                     WHERE id = ? 
-                     AND (patient_id = ? OR doctor_id = ?)`;
-    
-    db.get(checkSql, [appointmentId, req.user.id, req.user.id], (err, appointment) => {
-      if (err) {
-        return res.status(500).json({ message: 'Database error' });
-      }
-      if (!appointment) {
-        return res.status(404).json({ message: 'Appointment not found or access denied' });
+router.delete('/:id',
+  auth,
+  authorize('appointment', 'cancel', loadAppointment),
+  [
+    query('scope').optional().isIn(booking.SERIES_SCOPES),
+    query('reason').optional().isString().trim()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
       }
 
-      // Cancel appointment
-      const updateSql = `UPDATE appointments 
-                        SET status = 'cancelled' 
-                        WHERE id = ?`;
-      
-      db.run(updateSql, [appointmentId], function(err) {
-        if (err) {
-          return res.status(500).json({ message: 'Error cancelling appointment' });
-        }
+      const result = await changeStatus(req, 'cancelled', req.query.scope, req.query.reason);
+      if (result.code) {
+        return res.status(result.code).json({ message: result.message });
+      }
 
-        res.json({
-          message: 'Appointment cancelled successfully'
-        });
+      res.json({
+        message: 'Appointment cancelled successfully',
+        cancelled: result.changed,
+        unchanged: result.unchanged
       });
-    });
-  } catch (err) {
-    res.status(500).json({ message: 'Server error' });
+    } catch (err) {
+      res.status(500).json({ message: 'Error cancelling appointment' });
+    }
   }
-});
+);
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router;
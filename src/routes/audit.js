@@ -0,0 +1,90 @@
+/**
+ * @fileoverview Audit log routes for the healthcare system
+ * @module routes/audit
+ */
+
+const express = require('express');
+const router = express.Router();
+const { query, validationResult } = require('express-validator');
+const { auth, checkRole } = require('../middleware/auth');
+const auditLog = require('../services/audit');
+
+const pagination = [
+  query('limit').optional().isInt({ min: 1, max: 500 }).toInt(),
+  query('offset').optional().isInt({ min: 0 }).toInt()
+];
+
+/**
+ * @route GET /api/audit
+ * @desc Search the audit log (admin only)
+ * @access Private/Admin
+ * @param {string} [req.query.patient_id] - Patient whose data was touched
+ * @param {string} [req.query.actor_id] - Acting user
+ * @param {string} [req.query.resource] - Resource name
+ * @param {string} [req.query.action] - list, read, create, update or delete
+ * @param {string} [req.query.from] - Start date
+ * @param {string} [req.query.to] - End date
+ * @param {number} [req.query.limit] - Page size (default 50)
+ * @param {number} [req.query.offset] - Rows to skip
+ * @returns {Object} Total count and entries, newest first
+ */
+router.get('/',
+  auth,
+  checkRole(['admin']),
+  [
+    query('patient_id').optional().isInt(),
+    query('actor_id').optional().isInt(),
+    query('resource').optional().isString(),
+    query('action').optional().isIn(['list', 'read', 'create', 'update', 'delete']),
+    query('from').optional().isISO8601(),
+    query('to').optional().isISO8601(),
+    ...pagination
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { patient_id, actor_id, resource, action, from, to, limit, offset } = req.query;
+      const result = await auditLog.search({
+        patientId: patient_id,
+        actorId: actor_id,
+        resource,
+        action,
+        from,
+        to,
+        limit,
+        offset
+      });
+      res.json(result);
+    } catch (err) {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+/**
+ * @route GET /api/audit/my-record
+ * @desc Who accessed the authenticated patient's data
+ * @access Private/Patient
+ * @param {number} [req.query.limit] - Page size (default 50)
+ * @param {number} [req.query.offset] - Rows to skip
+ * @returns {Object} Total count and accesses, newest first
+ */
+router.get('/my-record', auth, checkRole(['patient']), pagination, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { limit, offset } = req.query;
+    res.json(await auditLog.accessesTo(req.user.id, { limit, offset }));
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,16 +1,60 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
+const { auth, enrollmentAuth, checkRole } = require('../middleware/auth');
 const db = require('../config/database');
+const { signAccessToken, issueTokens, rotateRefreshToken, revokeFamily, revokeAllForUser } = require('../services/tokens');
+const { requestPasswordReset, resetPassword } = require('../services/password-reset');
+const twoFactor = require('../services/two-factor');
+const loginProtection = require('../services/login-protection');
+const { acceptInvitation } = require('../services/invitations');
+const proxies = require('../services/proxies');
 
-// Register route
+/**
+ * Issue a token pair and send the standard login response
+ * @param {Object} res - Express response
+ * @param {Object} user - User row
+ * @param {Object} [extra] - Additional response fields
+ */
+async function sendSession(res, user, extra = {}) {
+  let tokens;
+  try {
+    tokens = await issueTokens(user);
+  } catch (err) {
+    return res.status(500).json({ message: 'Error creating session' });
+  }
+
+  res.json({
+    message: 'Login successful',
+    ...extra,
+    ...tokens,
+    user: {
+      id: user.id,
+      email: user.email,
+      role: user.role,
+      first_name: user.first_name,
+      last_name: user.last_name
+    }
+  });
+}
+
+/**
+ * Reject a login attempt on a locked account
+ * @param {Object} res - Express response
+ * @param {number} retryAfter - Seconds until the lock expires
+ */
+function sendLocked(res, retryAfter) {
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({ message: 'Account temporarily locked after repeated failed logins' });
+}
+
+// Register route (patients only; staff accounts come from admin invitations)
 router.post('/register',
   [
     body('email').isEmail().normalizeEmail(),
     body('password').isLength({ min: 6 }),
-    body('role').isIn(['patient', 'doctor', 'admin', 'biologist']),
+    body('role').optional().equals('patient').withMessage('Only patients can self-register'),
     body('first_name').notEmpty(),
     body('last_name').notEmpty(),
     body('phone').optional()
@@ -22,7 +66,8 @@ router.post('/register',
         return res.status(400).json({ errors: errors.array() });
       }
 
-      const { email, password, role, first_name, last_name, phone } = req.body;
+      const { email, password, first_name, last_name, phone } = req.body;
+      const role = 'patient';
 
       // Check if user already exists
       db.get('SELECT * FROM users WHERE email = ?', [email], async (err, user) => {
@@ -41,23 +86,26 @@ router.post('/register',
         const sql = `INSERT INTO users (email, password, role, first_name, last_name, phone) 
                     VALUES (?, ?, ?, ?, ?, ?)`;
         
-        db.run(sql, [email, hashedPassword, role, first_name, last_name, phone], function(err) {
+        db.run(sql, [email, hashedPassword, role, first_name, last_name, phone], async function(err) {
           if (err) {
             return res.status(500).json({ message: 'Error creating user' });
           }
 
-          // Create JWT token
-          const token = jwt.sign(
-            { id: this.lastID, email, role },
-            process.env.JWT_SECRET,
-            { expiresIn: '24h' }
-          );
+          const userId = this.lastID;
+
+          // Create access and refresh tokens
+          let tokens;
+          try {
+            tokens = await issueTokens({ id: userId, email, role, token_version: 0 });
+          } catch (err) {
+            return res.status(500).json({ message: 'Error creating session' });
+          }
 
           res.status(201).json({
             message: 'User registered successfully',
-            token,
+            ...tokens,
             user: {
-              id: this.lastID,
+              id: userId,
               email,
               role,
               first_name,
@@ -72,6 +120,38 @@ router.post('/register',
   }
 );
 
+// Accept a staff invitation and set a password
+router.post('/accept-invitation',
+  [
+    body('token').isString().notEmpty(),
+    body('password').isLength({ min: 6 }),
+    body('phone').optional()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { token, password, phone } = req.body;
+      const user = await acceptInvitation(token, password, phone);
+      if (!user) {
+        return res.status(400).json({ message: 'Invalid or expired invitation' });
+      }
+
+      res.status(201).json({
+        message: user.verification_status === 'pending'
+          ? 'Account created; it will be usable once an admin verifies your license'
+          : 'Account created successfully',
+        user
+      });
+    } catch (err) {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
 // Login route
 router.post('/login',
   [
@@ -87,38 +167,334 @@ router.post('/login',
 
       const { email, password } = req.body;
 
+      // Throttle addresses that keep failing, whatever account they target
+      const ipDelay = await loginProtection.ipRetryAfter(req.ip);
+      if (ipDelay > 0) {
+        res.set('Retry-After', String(ipDelay));
+        return res.status(429).json({ message: 'Too many failed login attempts, try again later' });
+      }
+
       // Find user
       db.get('SELECT * FROM users WHERE email = ?', [email], async (err, user) => {
         if (err) {
           return res.status(500).json({ message: 'Database error' });
         }
+
+        try {
+          if (!user) {
+            await loginProtection.recordFailure(email, req.ip);
+            return res.status(400).json({ message: 'Invalid credentials' });
+          }
+
+          const lockDelay = loginProtection.accountRetryAfter(user);
+          if (lockDelay > 0) {
+            return sendLocked(res, lockDelay);
+          }
+
+          // Verify password
+          const isMatch = await bcrypt.compare(password, user.password);
+          if (!isMatch) {
+            const { locked, retry_after } = await loginProtection.recordFailure(email, req.ip, user);
+            if (locked) {
+              return sendLocked(res, retry_after);
+            }
+            return res.status(400).json({ message: 'Invalid credentials' });
+          }
+
+          // Deactivated accounts keep their history but can no longer sign in
+          if (user.deactivated_at) {
+            return res.status(403).json({ message: 'Account is deactivated' });
+          }
+
+          // Second step required: hand out a challenge token instead of a session.
+          // The failure counter is only reset once the second step succeeds.
+          if (user.totp_enabled) {
+            return res.json({
+              message: 'Two-factor authentication required',
+              two_factor_required: true,
+              challenge_token: twoFactor.signChallengeToken(user.id, 'totp_challenge')
+            });
+          }
+
+          await loginProtection.recordSuccess(email, req.ip, user);
+
+          if (await twoFactor.isRequiredForRole(user.role)) {
+            return res.json({
+              message: 'Two-factor authentication must be set up before logging in',
+              two_factor_setup_required: true,
+              enrollment_token: twoFactor.signChallengeToken(user.id, 'totp_enroll')
+            });
+          }
+        } catch (err) {
+          return res.status(500).json({ message: 'Database error' });
+        }
+
+        await sendSession(res, user);
+      });
+    } catch (err) {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Second login step: exchange a challenge token and a TOTP or recovery code for a session
+router.post('/login/2fa',
+  [
+    body('challenge_token').isString().notEmpty(),
+    body('code').optional().isString(),
+    body('recovery_code').optional().isString()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { challenge_token, code, recovery_code } = req.body;
+      if (!code && !recovery_code) {
+        return res.status(400).json({ message: 'A code or recovery code is required' });
+      }
+
+      const userId = twoFactor.verifyChallengeToken(challenge_token, 'totp_challenge');
+      if (!userId) {
+        return res.status(401).json({ message: 'Invalid or expired challenge token' });
+      }
+
+      db.get('SELECT * FROM users WHERE id = ?', [userId], async (err, user) => {
+        if (err) {
+          return res.status(500).json({ message: 'Database error' });
+        }
         if (!user) {
-          return res.status(400).json({ message: 'Invalid credentials' });
+          return res.status(401).json({ message: 'Invalid or expired challenge token' });
+        }
+        if (user.deactivated_at) {
+          return res.status(403).json({ message: 'Account is deactivated' });
+        }
+
+        try {
+          const lockDelay = loginProtection.accountRetryAfter(user);
+          if (lockDelay > 0) {
+            return sendLocked(res, lockDelay);
+          }
+
+          // Wrong codes count towards the same lockout as wrong passwords
+          const valid = await twoFactor.verifySecondFactor(userId, { code, recovery_code });
+          if (!valid) {
+            const { locked, retry_after } = await loginProtection.recordFailure(user.email, req.ip, user);
+            if (locked) {
+              return sendLocked(res, retry_after);
+            }
+            return res.status(400).json({ message: 'Invalid two-factor code' });
+          }
+
+          await loginProtection.recordSuccess(user.email, req.ip, user);
+        } catch (err) {
+          return res.status(500).json({ message: 'Database error' });
+        }
+
+        await sendSession(res, user);
+      });
+    } catch (err) {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Start 2FA enrollment: returns the secret and a provisioning URI for authenticator apps
+router.post('/2fa/setup',
+  enrollmentAuth,
+  checkRole(twoFactor.TWO_FACTOR_ROLES),
+  async (req, res) => {
+    try {
+      const enrollment = await twoFactor.beginEnrollment(req.user);
+      if (!enrollment) {
+        return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+      }
+
+      res.json({
+        message: 'Scan the provisioning URI and confirm with a code',
+        ...enrollment
+      });
+    } catch (err) {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Finish 2FA enrollment with the first code; returns one-time recovery codes
+router.post('/2fa/verify',
+  enrollmentAuth,
+  checkRole(twoFactor.TWO_FACTOR_ROLES),
+  [
+    body('code').isString().notEmpty()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const recoveryCodes = await twoFactor.confirmEnrollment(req.user.id, req.body.code);
+      if (!recoveryCodes) {
+        return res.status(400).json({ message: 'Invalid two-factor code or no enrollment in progress' });
+      }
+
+      // Enrollment forced at login completes the login
+      if (req.user.enrollment) {
+        return sendSession(res, req.user, { recovery_codes: recoveryCodes });
+      }
+
+      res.json({
+        message: 'Two-factor authentication enabled',
+        recovery_codes: recoveryCodes
+      });
+    } catch (err) {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Replace the recovery codes (requires a current TOTP code)
+router.post('/2fa/recovery-codes',
+  auth,
+  [
+    body('code').isString().notEmpty()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const valid = await twoFactor.verifySecondFactor(req.user.id, { code: req.body.code });
+      if (!valid) {
+        return res.status(400).json({ message: 'Invalid two-factor code' });
+      }
+
+      const recoveryCodes = await twoFactor.regenerateRecoveryCodes(req.user.id);
+      res.json({
+        message: 'Recovery codes regenerated',
+        recovery_codes: recoveryCodes
+      });
+    } catch (err) {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Disable 2FA (requires the password and a TOTP or recovery code)
+router.delete('/2fa',
+  auth,
+  [
+    body('password').exists(),
+    body('code').optional().isString(),
+    body('recovery_code').optional().isString()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      if (await twoFactor.isRequiredForRole(req.user.role)) {
+        return res.status(403).json({ message: 'Two-factor authentication is required for your role' });
+      }
+
+      const { password, code, recovery_code } = req.body;
+
+      db.get('SELECT password FROM users WHERE id = ?', [req.user.id], async (err, user) => {
+        if (err) {
+          return res.status(500).json({ message: 'Database error' });
         }
 
-        // Verify password
-        const isMatch = await bcrypt.compare(password, user.password);
+        const isMatch = user && await bcrypt.compare(password, user.password);
         if (!isMatch) {
           return res.status(400).json({ message: 'Invalid credentials' });
         }
 
-        // Create JWT token
-        const token = jwt.sign(
-          { id: user.id, email: user.email, role: user.role },
-          process.env.JWT_SECRET,
-          { expiresIn: '24h' }
-        );
+        try {
+          const valid = await twoFactor.verifySecondFactor(req.user.id, { code, recovery_code });
+          if (!valid) {
+            return res.status(400).json({ message: 'Invalid two-factor code' });
+          }
+
+          await twoFactor.disable(req.user.id);
+        } catch (err) {
+          return res.status(500).json({ message: 'Database error' });
+        }
+
+        res.json({ message: 'Two-factor authentication disabled' });
+      });
+    } catch (err) {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Refresh route
+router.post('/refresh',
+  [
+    body('refresh_token').isString().notEmpty()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const tokens = await rotateRefreshToken(req.body.refresh_token);
+      if (!tokens) {
+        return res.status(401).json({ message: 'Invalid or expired refresh token' });
+      }
+
+      res.json({
+        message: 'Token refreshed successfully',
+        ...tokens
+      });
+    } catch (err) {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Act on behalf of a patient who granted proxy access: returns an access
+// token for the current session carrying the patient. Omit patient_id to
+// get a token acting as yourself again. Refreshing always returns to self.
+router.post('/act-as',
+  auth,
+  [
+    body('patient_id').optional({ values: 'null' }).isInt()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const patientId = req.body.patient_id ? parseInt(req.body.patient_id) : null;
+      let grant = null;
+      if (patientId) {
+        grant = await proxies.findActiveGrant(req.user.id, patientId);
+        if (!grant) {
+          return res.status(403).json({ message: 'Access denied: no active proxy access for this patient' });
+        }
+      }
+
+      db.get('SELECT id, email, role, token_version FROM users WHERE id = ?', [req.user.id], (err, user) => {
+        if (err) {
+          return res.status(500).json({ message: 'Database error' });
+        }
 
         res.json({
-          message: 'Login successful',
-          token,
-          user: {
-            id: user.id,
-            email: user.email,
-            role: user.role,
-            first_name: user.first_name,
-            last_name: user.last_name
-          }
+          message: patientId ? 'Acting on behalf of patient' : 'Acting as yourself',
+          token: signAccessToken(user, req.user.sid, patientId),
+          acting_for: grant && { patient_id: grant.patient_id, scopes: grant.scopes, expires_at: grant.expires_at }
         });
       });
     } catch (err) {
@@ -127,4 +503,79 @@ router.post('/login',
   }
 );
 
+// Logout route (pass all=true to end every session of the user)
+router.post('/logout',
+  auth,
+  [
+    body('all').optional().isBoolean()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      if (req.body.all === true || req.body.all === 'true') {
+        await revokeAllForUser(req.user.id);
+      } else {
+        await revokeFamily(req.user.sid);
+      }
+
+      res.json({ message: 'Logged out successfully' });
+    } catch (err) {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Forgot password route (same response whether or not the email is registered)
+router.post('/forgot-password',
+  [
+    body('email').isEmail().normalizeEmail()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      await requestPasswordReset(req.body.email);
+
+      res.json({
+        message: 'If an account exists for this email, a password reset code has been sent'
+      });
+    } catch (err) {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Reset password route
+router.post('/reset-password',
+  [
+    body('token').isString().notEmpty(),
+    body('password').isLength({ min: 6 })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { token, password } = req.body;
+      const reset = await resetPassword(token, password);
+      if (!reset) {
+        return res.status(400).json({ message: 'Invalid or expired reset token' });
+      }
+
+      res.json({ message: 'Password reset successfully' });
+    } catch (err) {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,70 @@
+/**
+ * @fileoverview Calendar subscription routes for the healthcare system
+ * @module routes/calendar
+ */
+
+const express = require('express');
+const router = express.Router();
+const { auth } = require('../middleware/auth');
+const calendar = require('../services/calendar');
+
+/**
+ * @route POST /api/calendar/feed-token
+ * @desc Create the authenticated user's calendar feed URL, replacing any
+ *       previous one
+ * @access Private
+ * @returns {Object} Feed token and URL; the token is not shown again
+ */
+router.post('/feed-token', auth, async (req, res) => {
+  try {
+    const token = await calendar.issueFeedToken(req.user.id);
+    res.status(201).json({
+      message: 'Calendar feed created successfully',
+      token,
+      url: `${req.protocol}://${req.get('host')}${req.baseUrl}/feed/${token}.ics`
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route DELETE /api/calendar/feed-token
+ * @desc Revoke the authenticated user's calendar feed URL
+ * @access Private
+ * @returns {Object} Success message
+ */
+router.delete('/feed-token', auth, async (req, res) => {
+  try {
+    if (!(await calendar.revokeFeedToken(req.user.id))) {
+      return res.status(404).json({ message: 'Calendar feed not found' });
+    }
+    res.json({ message: 'Calendar feed revoked successfully' });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route GET /api/calendar/feed/:token.ics
+ * @desc Get a user's non-cancelled appointments as an iCalendar feed
+ * @access Public - authenticated by the feed token
+ * @param {string} token - Feed token
+ * @returns {string} iCalendar document
+ */
+router.get('/feed/:token.ics', async (req, res) => {
+  try {
+    const user = await calendar.findFeedUser(req.params.token);
+    if (!user) {
+      return res.status(404).json({ message: 'Calendar feed not found' });
+    }
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Cache-Control', 'private, no-store');
+    res.send(await calendar.buildFeed(user));
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,165 @@
+/**
+ * @fileoverview Care team management routes for the healthcare system
+ * @module routes/care-team
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, query, validationResult } = require('express-validator');
+const { auth, checkRole } = require('../middleware/auth');
+const db = require('../config/database');
+const careTeam = require('../services/care-team');
+
+/**
+ * @route GET /api/care-team
+ * @desc Get care team entries (patients see their own team, doctors their
+ *       own patients, admins everything)
+ * @access Private
+ * @param {string} [req.query.patient_id] - Filter by patient
+ * @param {string} [req.query.doctor_id] - Filter by doctor
+ * @param {boolean} [req.query.active] - Only active entries (default true)
+ * @returns {Array} Care team entries
+ */
+router.get('/',
+  auth,
+  [
+    query('patient_id').optional().isInt(),
+    query('doctor_id').optional().isInt(),
+    query('active').optional().isBoolean()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      let { patient_id, doctor_id, active } = req.query;
+
+      switch (req.user.role) {
+        case 'patient':
+          patient_id = req.user.id;
+          break;
+        case 'doctor':
+          doctor_id = req.user.id;
+          break;
+        case 'admin':
+          break;
+        default:
+          return res.status(403).json({ message: 'Access denied: insufficient permissions' });
+      }
+
+      const entries = await careTeam.list({
+        patientId: patient_id,
+        doctorId: doctor_id,
+        activeOnly: active !== 'false'
+      });
+      res.json(entries);
+    } catch (err) {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+/**
+ * @route POST /api/care-team
+ * @desc Assign a doctor to a patient's care team (admin only)
+ * @access Private/Admin
+ * @param {number} req.body.patient_id - Patient ID
+ * @param {number} req.body.doctor_id - Doctor ID
+ * @param {string} [req.body.started_at] - Start date (defaults to now)
+ * @param {string} [req.body.ended_at] - End date
+ * @returns {Object} Care team entry
+ */
+router.post('/',
+  auth,
+  checkRole(['admin']),
+  [
+    body('patient_id').isInt(),
+    body('doctor_id').isInt(),
+    body('started_at').optional().isISO8601(),
+    body('ended_at').optional().isISO8601()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { patient_id, doctor_id, started_at, ended_at } = req.body;
+
+      const sql = `SELECT
+                   (SELECT COUNT(*) FROM users WHERE id = ? AND role = 'patient') as patient,
+                   (SELECT COUNT(*) FROM users WHERE id = ? AND role = 'doctor' AND deactivated_at IS NULL) as doctor`;
+
+      db.get(sql, [patient_id, doctor_id], async (err, found) => {
+        if (err) {
+          return res.status(500).json({ message: 'Database error' });
+        }
+        if (!found.patient) {
+          return res.status(404).json({ message: 'Patient not found' });
+        }
+        if (!found.doctor) {
+          return res.status(404).json({ message: 'Doctor not found' });
+        }
+
+        try {
+          const entry = await careTeam.assign(patient_id, doctor_id, {
+            source: 'manual',
+            assignedBy: req.user.id,
+            startedAt: started_at,
+            endedAt: ended_at
+          });
+
+          res.status(201).json({
+            message: 'Doctor assigned to care team successfully',
+            entry
+          });
+        } catch (err) {
+          res.status(500).json({ message: 'Error assigning doctor' });
+        }
+      });
+    } catch (err) {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+/**
+ * @route PUT /api/care-team/:id/end
+ * @desc End a care team assignment (admin only)
+ * @access Private/Admin
+ * @param {string} id - Care team entry ID
+ * @param {string} [req.body.ended_at] - End date (defaults to now)
+ * @returns {Object} Updated care team entry
+ */
+router.put('/:id/end',
+  auth,
+  checkRole(['admin']),
+  [
+    body('ended_at').optional().isISO8601()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const entry = await careTeam.end(req.params.id, req.body.ended_at);
+      if (!entry) {
+        return res.status(404).json({ message: 'Care team entry not found' });
+      }
+
+      res.json({
+        message: 'Care team assignment ended successfully',
+        entry
+      });
+    } catch (err) {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,286 @@
+/**
+ * @fileoverview Doctor directory routes for the healthcare system
+ * @module routes/doctors
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, query, validationResult } = require('express-validator');
+const { auth, checkRole } = require('../middleware/auth');
+const doctorDirectory = require('../services/doctor-directory');
+const availability = require('../services/availability');
+const locations = require('../services/locations');
+
+/**
+ * @route GET /api/doctors
+ * @desc Search active doctors
+ * @access Private
+ * @param {string} [req.query.specialization] - Filter by specialization
+ * @param {string} [req.query.name] - Search first and last name
+ * @param {string} [req.query.language] - Filter by spoken language
+ * @param {string} [req.query.consultation_type] - in_person, video or phone
+ * @param {number} [req.query.page] - Page number (default 1)
+ * @param {number} [req.query.limit] - Page size (default 20, max 100)
+ * @returns {Object} Total count, paging and the page of doctors
+ */
+router.get('/',
+  auth,
+  [
+    query('specialization').optional().isString().trim(),
+    query('name').optional().isString().trim(),
+    query('language').optional().isString().trim(),
+    query('consultation_type').optional().isIn(doctorDirectory.CONSULTATION_TYPES),
+    query('page').optional().isInt({ min: 1 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { specialization, name, language, consultation_type, page, limit } = req.query;
+      const result = await doctorDirectory.searchDoctors(
+        { specialization, name, language, consultationType: consultation_type },
+        { page, limit }
+      );
+      res.json(result);
+    } catch (err) {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+/**
+ * @route GET /api/doctors/specializations
+ * @desc Get the specializations offered by active doctors
+ * @access Private
+ * @returns {Array} Specializations with doctor counts
+ */
+router.get('/specializations', auth, async (req, res) => {
+  try {
+    res.json(await doctorDirectory.listSpecializations());
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route PUT /api/doctors/profile
+ * @desc Update the authenticated doctor's public profile
+ * @access Private/Doctor
+ * @param {string} [req.body.bio] - Biography
+ * @param {Array<string>} [req.body.languages] - Spoken languages
+ * @param {Array<string>} [req.body.consultation_types] - in_person, video and/or phone
+ * @returns {Object} Updated profile
+ */
+router.put('/profile',
+  auth,
+  checkRole(['doctor']),
+  [
+    body('bio').optional().isString().trim().isLength({ max: 2000 }),
+    body('languages').optional().isArray(),
+    body('languages.*').isString().trim().notEmpty(),
+    body('consultation_types').optional().isArray(),
+    body('consultation_types.*').isIn(doctorDirectory.CONSULTATION_TYPES)
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { bio, languages, consultation_types } = req.body;
+      const profile = await doctorDirectory.updateProfile(req.user.id, {
+        bio,
+        languages,
+        consultationTypes: consultation_types
+      });
+
+      res.json({
+        message: 'Profile updated successfully',
+        profile
+      });
+    } catch (err) {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Rejects entries that end before they start and working hours that overlap
+// on the same weekday
+const validIntervals = (field) => (entries) => {
+  if (entries.some(entry => availability.toMinutes(entry.start_time) >= availability.toMinutes(entry.end_time))) {
+    throw new Error(`Each ${field} entry must end after it starts`);
+  }
+  if (field === 'hours') {
+    const sorted = [...entries].sort((a, b) => a.weekday - b.weekday ||
+      availability.toMinutes(a.start_time) - availability.toMinutes(b.start_time));
+    for (let i = 1; i < sorted.length; i++) {
+      if (sorted[i].weekday === sorted[i - 1].weekday &&
+          availability.toMinutes(sorted[i].start_time) < availability.toMinutes(sorted[i - 1].end_time)) {
+        throw new Error('Working hours overlap on the same weekday');
+      }
+    }
+  }
+  return true;
+};
+
+/**
+ * @route GET /api/doctors/:id/schedule
+ * @desc Get a doctor's weekly working hours, breaks and upcoming time off.
+ *       Time off reasons are only shown to the doctor and admins.
+ * @access Private
+ * @param {string} id - Doctor ID
+ * @returns {Object} Schedule
+ */
+router.get('/:id/schedule', auth, async (req, res) => {
+  try {
+    const doctor = await doctorDirectory.getProfile(req.params.id);
+    if (!doctor) {
+      return res.status(404).json({ message: 'Doctor not found' });
+    }
+
+    const schedule = await availability.getSchedule(doctor.id);
+    if (req.user.role !== 'admin' && req.user.id !== doctor.id) {
+      schedule.time_off = schedule.time_off.map(({ reason, ...entry }) => entry);
+    }
+    res.json(schedule);
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route PUT /api/doctors/schedule
+ * @desc Replace the authenticated doctor's weekly working hours and breaks.
+ *       An empty hours list returns to the clinic's default hours.
+ * @access Private/Doctor
+ * @param {Array<Object>} req.body.hours - {weekday (0 = Sunday), start_time, end_time ("HH:MM"), slot_minutes,
+ *        location_id (clinic location worked at)}
+ * @param {Array<Object>} [req.body.breaks] - {weekday, start_time, end_time}
+ * @returns {Object} New schedule
+ */
+router.put('/schedule',
+  auth,
+  checkRole(['doctor']),
+  [
+    body('hours').isArray().custom(validIntervals('hours')),
+    body('hours.*.weekday').isInt({ min: 0, max: 6 }).toInt(),
+    body('hours.*.start_time').matches(TIME_PATTERN),
+    body('hours.*.end_time').matches(TIME_PATTERN),
+    body('hours.*.slot_minutes').optional().isInt({ min: 5, max: 240 }).toInt(),
+    body('hours.*.location_id').optional({ values: 'null' }).isInt().toInt(),
+    body('breaks').optional().isArray().custom(validIntervals('breaks')),
+    body('breaks.*.weekday').isInt({ min: 0, max: 6 }).toInt(),
+    body('breaks.*.start_time').matches(TIME_PATTERN),
+    body('breaks.*.end_time').matches(TIME_PATTERN)
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const locationIds = [...new Set(req.body.hours.map(entry => entry.location_id).filter(Boolean))];
+      if ((await locations.findActiveLocations(locationIds)).length !== locationIds.length) {
+        return res.status(404).json({ message: 'Location not found' });
+      }
+
+      const schedule = await availability.setWeeklySchedule(req.user.id, req.body.hours, req.body.breaks || []);
+      res.json({
+        message: 'Schedule updated successfully',
+        schedule
+      });
+    } catch (err) {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+/**
+ * @route POST /api/doctors/time-off
+ * @desc Add time off (holiday, conference...) for the authenticated doctor.
+ *       Existing appointments are not cancelled.
+ * @access Private/Doctor
+ * @param {string} req.body.starts_at - Start date and time
+ * @param {string} req.body.ends_at - End date and time
+ * @param {string} [req.body.reason] - Reason
+ * @returns {Object} Created time off
+ */
+router.post('/time-off',
+  auth,
+  checkRole(['doctor']),
+  [
+    body('starts_at').isISO8601(),
+    body('ends_at').isISO8601()
+      .custom((value, { req }) => new Date(value) > new Date(req.body.starts_at))
+      .withMessage('Time off must end after it starts'),
+    body('reason').optional().isString().trim()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { starts_at, ends_at, reason } = req.body;
+      const timeOff = await availability.addTimeOff(req.user.id, starts_at, ends_at, reason);
+      res.status(201).json({
+        message: 'Time off added successfully',
+        time_off: timeOff
+      });
+    } catch (err) {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+/**
+ * @route DELETE /api/doctors/time-off/:id
+ * @desc Remove time off of the authenticated doctor
+ * @access Private/Doctor
+ * @param {string} id - Time off ID
+ * @returns {Object} Success message
+ */
+router.delete('/time-off/:id', auth, checkRole(['doctor']), async (req, res) => {
+  try {
+    if (!(await availability.removeTimeOff(req.user.id, req.params.id))) {
+      return res.status(404).json({ message: 'Time off not found' });
+    }
+    res.json({ message: 'Time off removed successfully' });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route GET /api/doctors/:id
+ * @desc Get an active doctor's public profile and next available slot
+ * @access Private
+ * @param {string} id - Doctor ID
+ * @returns {Object} Doctor profile
+ */
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const doctor = await doctorDirectory.getProfile(req.params.id);
+    if (!doctor) {
+      return res.status(404).json({ message: 'Doctor not found' });
+    }
+
+    res.json({
+      ...doctor,
+      next_available_slot: await availability.nextAvailableSlot(doctor.id)
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,193 @@
+/**
+ * @fileoverview Break-the-glass emergency access routes for the healthcare system
+ * @module routes/emergency-access
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, query, validationResult } = require('express-validator');
+const { auth, checkRole } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const db = require('../config/database');
+const emergencyAccess = require('../services/emergency-access');
+
+/**
+ * @route POST /api/emergency-access
+ * @desc Open time-limited emergency read access to a patient's data. The
+ *       patient and the admins are notified.
+ * @access Private/Doctor
+ * @param {number} req.body.patient_id - Patient ID
+ * @param {string} req.body.reason - Why emergency access is needed
+ * @returns {Object} Access grant with its expiry
+ */
+router.post('/',
+  auth,
+  checkRole(['doctor']),
+  [
+    body('patient_id').isInt(),
+    body('reason').trim().isLength({ min: 10 }).withMessage('A reason of at least 10 characters is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { patient_id, reason } = req.body;
+
+      db.get('SELECT id, first_name, last_name FROM users WHERE id = ? AND role = "patient"', [patient_id], async (err, patient) => {
+        if (err) {
+          return res.status(500).json({ message: 'Database error' });
+        }
+        if (!patient) {
+          return res.status(404).json({ message: 'Patient not found' });
+        }
+
+        try {
+          const access = await emergencyAccess.grantAccess(req.user, patient, reason);
+          res.status(201).json({
+            message: 'Emergency access granted; this access is logged and will be reviewed',
+            access
+          });
+        } catch (err) {
+          res.status(500).json({ message: 'Error granting emergency access' });
+        }
+      });
+    } catch (err) {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+/**
+ * @route GET /api/emergency-access
+ * @desc Get emergency access grants (doctors see their own, patients those
+ *       on their record, admins all of them)
+ * @access Private
+ * @param {string} [req.query.patient_id] - Filter by patient (admin only)
+ * @param {string} [req.query.doctor_id] - Filter by doctor (admin only)
+ * @param {boolean} [req.query.unreviewed] - Only grants awaiting review
+ * @returns {Array} Emergency access grants with use counts
+ */
+router.get('/',
+  auth,
+  [
+    query('patient_id').optional().isInt(),
+    query('doctor_id').optional().isInt(),
+    query('unreviewed').optional().isBoolean()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      let { patient_id, doctor_id } = req.query;
+
+      switch (req.user.role) {
+        case 'patient':
+          patient_id = req.user.id;
+          doctor_id = undefined;
+          break;
+        case 'doctor':
+          doctor_id = req.user.id;
+          break;
+        case 'admin':
+          break;
+        default:
+          return res.status(403).json({ message: 'Access denied: insufficient permissions' });
+      }
+
+      const accesses = await emergencyAccess.listAccesses({
+        patientId: patient_id,
+        doctorId: doctor_id,
+        unreviewedOnly: req.query.unreviewed === 'true'
+      });
+      res.json(accesses);
+    } catch (err) {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+/**
+ * @route GET /api/emergency-access/:id/data
+ * @desc Read the patient's records, test results, allergies and emergency
+ *       contacts under an active grant. Every read is logged.
+ * @access Private/Doctor
+ * @param {string} id - Grant ID
+ * @returns {Object} Emergency data and the grant's expiry
+ */
+router.get('/:id/data', auth, checkRole(['doctor']), audit('emergency_data', 'read', { patientOf: data => data.patient && data.patient.id }), async (req, res) => {
+  try {
+    const access = await emergencyAccess.findActiveAccess(req.params.id, req.user.id);
+    if (!access) {
+      return res.status(404).json({ message: 'Emergency access not found or expired' });
+    }
+
+    await emergencyAccess.logUse(access.id, 'emergency_data', req.ip);
+    const data = await emergencyAccess.getEmergencyData(access.patient_id);
+
+    res.json({
+      expires_at: access.expires_at,
+      ...data
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route GET /api/emergency-access/:id/log
+ * @desc Get the reads made under a grant (admin only)
+ * @access Private/Admin
+ * @param {string} id - Grant ID
+ * @returns {Array} Log entries
+ */
+router.get('/:id/log', auth, checkRole(['admin']), async (req, res) => {
+  try {
+    res.json(await emergencyAccess.listUses(req.params.id));
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route PUT /api/emergency-access/:id/review
+ * @desc Record an admin's after-the-fact review of a grant
+ * @access Private/Admin
+ * @param {string} id - Grant ID
+ * @param {string} [req.body.notes] - Review notes
+ * @returns {Object} Updated grant
+ */
+router.put('/:id/review',
+  auth,
+  checkRole(['admin']),
+  [
+    body('notes').optional().isString().trim()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const access = await emergencyAccess.review(req.params.id, req.user.id, req.body.notes);
+      if (!access) {
+        return res.status(404).json({ message: 'Emergency access not found' });
+      }
+
+      res.json({
+        message: 'Emergency access reviewed successfully',
+        access
+      });
+    } catch (err) {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+module.exports = router;
@@ -6,9 +6,15 @@
 const express = require('express');
 const router = express.Router();
 const { body, validationResult } = require('express-validator');
-const { auth, checkRole } = require('../middleware/auth');
+const { auth, authorizePatient, ownPatientId } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
 const db = require('../config/database');
 
+// Patients, and proxies acting for one, always act on that patient's data;
+// everyone else names the patient
+const patientFromQuery = req => ownPatientId(req) || req.query.patient_id;
+const patientFromBody = req => ownPatientId(req) || req.body.patient_id;
+
 /**
  * @route GET /api/health-parameters
  * @desc Get health parameters for a patient
@@ -19,20 +25,14 @@ const db = require('../config/database');
  * @param {string} [req.query.end_date] - End date for range
  * @returns {Object} List of health parameters
  */
-router.get('/', auth, async (req, res) => {
+router.get('/', auth, authorizePatient('health_parameter', 'list', patientFromQuery), audit('health_parameter', 'list'), async (req, res) => {
   try {
-    const { patient_id, type, start_date, end_date } = req.query;
+    const { type, start_date, end_date } = req.query;
     let query = 'SELECT * FROM health_parameters WHERE 1=1';
     const params = [];
 
-    // Set patient_id based on role
-    const targetPatientId = req.user.role === 'patient' ? req.user.id : patient_id;
-    if (!targetPatientId) {
-      return res.status(400).json({ message: 'Patient ID is required for doctors' });
-    }
-
     query += ' AND patient_id = ?';
-    params.push(targetPatientId);
+    params.push(req.patientId);
 
     // Add filters
     if (type) {
@@ -81,6 +81,8 @@ router.post('/',
     body('unit').notEmpty(),
     body('notes').optional().isString()
   ],
+  authorizePatient('health_parameter', 'create', patientFromBody),
+  audit('health_parameter', 'create'),
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -88,12 +90,8 @@ router.post('/',
         return res.status(400).json({ errors: errors.array() });
       }
 
-      const { patient_id, parameter_type, value, unit, notes } = req.body;
-      const targetPatientId = req.user.role === 'patient' ? req.user.id : patient_id;
-
-      if (!targetPatientId) {
-        return res.status(400).json({ message: 'Patient ID is required for doctors' });
-      }
+      const { parameter_type, value, unit, notes } = req.body;
+      const targetPatientId = req.patientId;
 
       // Validate patient exists
       db.get('SELECT * FROM users WHERE id = ?', [targetPatientId], (err, patient) => {
@@ -142,14 +140,10 @@ router.post('/',
  * @param {string} [req.query.period] - Time period (day, week, month, year)
  * @returns {Object} Statistics for the specified parameters
  */
-router.get('/stats', auth, async (req, res) => {
+router.get('/stats', auth, authorizePatient('health_parameter', 'read', patientFromQuery), audit('health_parameter', 'read'), async (req, res) => {
   try {
-    const { patient_id, type, period = 'month' } = req.query;
-    const targetPatientId = req.user.role === 'patient' ? req.user.id : patient_id;
-
-    if (!targetPatientId) {
-      return res.status(400).json({ message: 'Patient ID is required for doctors' });
-    }
+    const { type, period = 'month' } = req.query;
+    const targetPatientId = req.patientId;
 
     let dateFilter;
     switch (period) {
@@ -203,14 +197,14 @@ router.get('/stats', auth, async (req, res) => {
  * @param {string} req.query.period - Time period (day, week, month, year)
  * @returns {Object} Trend analysis data
  */
-router.get('/trends', auth, async (req, res) => {
+router.get('/trends', auth, authorizePatient('health_parameter', 'read', patientFromQuery), audit('health_parameter', 'read'), async (req, res) => {
   try {
-    const { patient_id, type, period = 'month' } = req.query;
-    const targetPatientId = req.user.role === 'patient' ? req.user.id : patient_id;
+    const { type, period = 'month' } = req.query;
+    const targetPatientId = req.patientId;
 
-    if (!targetPatientId || !type) {
+    if (!type) {
       return res.status(400).json({ 
-        message: 'Patient ID and parameter type are required' 
+        message: 'Parameter type is required' 
       });
     }
 
@@ -274,14 +268,9 @@ router.get('/trends', auth, async (req, res) => {
  * @param {string} [req.query.patient_id] - Patient ID (required for doctors)
  * @returns {Object} List of parameter alerts
  */
-router.get('/alerts', auth, async (req, res) => {
+router.get('/alerts', auth, authorizePatient('health_parameter', 'read', patientFromQuery), audit('health_parameter', 'read'), async (req, res) => {
   try {
-    const { patient_id } = req.query;
-    const targetPatientId = req.user.role === 'patient' ? req.user.id : patient_id;
-
-    if (!targetPatientId) {
-      return res.status(400).json({ message: 'Patient ID is required for doctors' });
-    }
+    const targetPatientId = req.patientId;
 
     // Get latest readings for each parameter type
     const query = `SELECT h.*, 
@@ -328,6 +317,7 @@ router.get('/alerts', auth, async (req, res) => {
  * @route POST /api/health-parameters/thresholds
  * @desc Set custom thresholds for health parameters
  * @access Private
+ * @param {Object} [req.body.patient_id] - Patient ID (required for doctors)
  * @param {Object} req.body.parameter_type - Type of parameter
  * @param {Object} req.body.min_value - Minimum threshold
  * @param {Object} req.body.max_value - Maximum threshold
@@ -336,10 +326,13 @@ router.get('/alerts', auth, async (req, res) => {
 router.post('/thresholds',
   auth,
   [
+    body('patient_id').optional().isInt(),
     body('parameter_type').isIn(['blood_pressure', 'heart_rate', 'blood_sugar', 'temperature', 'weight']),
     body('min_value').isNumeric(),
     body('max_value').isNumeric()
   ],
+  authorizePatient('health_parameter', 'configure', patientFromBody),
+  audit('health_parameter', 'update'),
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -354,7 +347,7 @@ router.post('/thresholds',
                   (patient_id, parameter_type, min_value, max_value, updated_at)
                   VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)`;
       
-      db.run(sql, [req.user.id, parameter_type, min_value, max_value], function(err) {
+      db.run(sql, [req.patientId, parameter_type, min_value, max_value], function(err) {
         if (err) {
           return res.status(500).json({ message: 'Error setting thresholds' });
         }
@@ -0,0 +1,219 @@
+/**
+ * @fileoverview Clinic location and resource routes for the healthcare system
+ * @module routes/locations
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const { auth, checkRole } = require('../middleware/auth');
+const { get } = require('../utils/db');
+const locations = require('../services/locations');
+
+const KIND_PATTERN = /^[a-z0-9_]+$/;
+
+/**
+ * @route GET /api/locations
+ * @desc Get clinic locations; admins also see deactivated ones
+ * @access Private
+ * @returns {Array} Locations
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    res.json(await locations.listLocations(req.user.role === 'admin'));
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route POST /api/locations
+ * @desc Create a clinic location (admin only)
+ * @access Private/Admin
+ * @param {string} req.body.name - Unique name
+ * @param {string} [req.body.address] - Postal address
+ * @returns {Object} Created location
+ */
+router.post('/',
+  auth,
+  checkRole(['admin']),
+  [
+    body('name').isString().trim().notEmpty(),
+    body('address').optional().isString().trim()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const location = await locations.createLocation(req.body);
+      if (!location) {
+        return res.status(409).json({ message: 'A location with this name already exists' });
+      }
+      res.status(201).json({
+        message: 'Location created successfully',
+        location
+      });
+    } catch (err) {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+/**
+ * @route GET /api/locations/:id
+ * @desc Get a location and its resources; admins also see deactivated ones
+ * @access Private
+ * @param {string} id - Location ID
+ * @returns {Object} Location with its resources
+ */
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const admin = req.user.role === 'admin';
+    const location = await locations.getLocation(req.params.id);
+    if (!location || (!location.is_active && !admin)) {
+      return res.status(404).json({ message: 'Location not found' });
+    }
+    res.json({ ...location, resources: await locations.listResources(location.id, admin) });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route PUT /api/locations/:id
+ * @desc Update or deactivate a location (admin only). Appointments already
+ *       booked there are kept; no new ones are allocated its resources.
+ * @access Private/Admin
+ * @param {string} id - Location ID
+ * @param {string} [req.body.name] - New name
+ * @param {string} [req.body.address] - New address
+ * @param {boolean} [req.body.is_active] - Whether the location is in use
+ * @returns {Object} Updated location
+ */
+router.put('/:id',
+  auth,
+  checkRole(['admin']),
+  [
+    body('name').optional().isString().trim().notEmpty(),
+    body('address').optional().isString().trim(),
+    body('is_active').optional().isBoolean().toBoolean()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      if (!(await locations.getLocation(req.params.id))) {
+        return res.status(404).json({ message: 'Location not found' });
+      }
+      const location = await locations.updateLocation(req.params.id, req.body);
+      if (!location) {
+        return res.status(409).json({ message: 'A location with this name already exists' });
+      }
+      res.json({
+        message: 'Location updated successfully',
+        location
+      });
+    } catch (err) {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+/**
+ * @route POST /api/locations/:id/resources
+ * @desc Add a bookable resource to a location (admin only)
+ * @access Private/Admin
+ * @param {string} id - Location ID
+ * @param {string} req.body.name - Name, unique within the location (e.g. "Room 2")
+ * @param {string} req.body.kind - Kind matched against appointment type requirements (e.g. exam_room)
+ * @returns {Object} Created resource
+ */
+router.post('/:id/resources',
+  auth,
+  checkRole(['admin']),
+  [
+    body('name').isString().trim().notEmpty(),
+    body('kind').isString().trim().matches(KIND_PATTERN)
+      .withMessage('kind may only contain lowercase letters, digits and underscores')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const location = await locations.getLocation(req.params.id);
+      if (!location) {
+        return res.status(404).json({ message: 'Location not found' });
+      }
+      const resource = await locations.createResource(location.id, req.body);
+      if (!resource) {
+        return res.status(409).json({ message: 'This location already has a resource with this name' });
+      }
+      res.status(201).json({
+        message: 'Resource created successfully',
+        resource
+      });
+    } catch (err) {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+/**
+ * @route PUT /api/locations/:id/resources/:resourceId
+ * @desc Update or deactivate a resource (admin only). Appointments already
+ *       holding it keep it.
+ * @access Private/Admin
+ * @param {string} id - Location ID
+ * @param {string} resourceId - Resource ID
+ * @param {string} [req.body.name] - New name
+ * @param {string} [req.body.kind] - New kind
+ * @param {boolean} [req.body.is_active] - Whether the resource can be booked
+ * @returns {Object} Updated resource
+ */
+router.put('/:id/resources/:resourceId',
+  auth,
+  checkRole(['admin']),
+  [
+    body('name').optional().isString().trim().notEmpty(),
+    body('kind').optional().isString().trim().matches(KIND_PATTERN)
+      .withMessage('kind may only contain lowercase letters, digits and underscores'),
+    body('is_active').optional().isBoolean().toBoolean()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const resource = await get(
+        'SELECT * FROM resources WHERE id = ? AND location_id = ?',
+        [req.params.resourceId, req.params.id]
+      );
+      if (!resource) {
+        return res.status(404).json({ message: 'Resource not found' });
+      }
+      const updated = await locations.updateResource(resource, req.body);
+      if (!updated) {
+        return res.status(409).json({ message: 'This location already has a resource with this name' });
+      }
+      res.json({
+        message: 'Resource updated successfully',
+        resource: updated
+      });
+    } catch (err) {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+module.exports = router;
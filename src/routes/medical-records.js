@@ -5,56 +5,66 @@
 
 const express = require('express');
 const router = express.Router();
-const { body, validationResult } = require('express-validator');
-const { auth, checkRole } = require('../middleware/auth');
-const db = require('../config/database');
+const { body, query, validationResult } = require('express-validator');
+const { auth, authorize, authorizePatient } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { get } = require('../utils/db');
+const { scope } = require('../services/authorization');
+const medicalRecords = require('../services/medical-records');
+
+const loadRecord = req => get('SELECT * FROM medical_records WHERE id = ?', [req.params.id]);
 
 /**
  * @route GET /api/medical-records
- * @desc Get medical records for the authenticated user
+ * @desc Get medical records for the authenticated user (doctors see the
+ *       records of every patient on their care team), with their signature
+ *       status and addenda
  * @access Private
+ * @param {string} [req.query.patient_id] - Restrict to one patient
+ * @param {string} [req.query.status] - draft or signed
  * @returns {Object} List of medical records
  */
-router.get('/', auth, async (req, res) => {
-  try {
-    const query = req.user.role === 'doctor' 
-      ? 'SELECT * FROM medical_records WHERE doctor_id = ?'
-      : 'SELECT * FROM medical_records WHERE patient_id = ?';
-    
-    db.all(query, [req.user.id], (err, records) => {
-      if (err) {
-        return res.status(500).json({ message: 'Database error' });
+router.get('/',
+  auth,
+  authorize('medical_record', 'list'),
+  audit('medical_record', 'list'),
+  [
+    query('status').optional().isIn(['draft', 'signed'])
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
       }
-      res.json(records);
-    });
-  } catch (err) {
-    res.status(500).json({ message: 'Server error' });
+
+      const filter = scope(req.user, 'medical_record', 'list', 'm');
+      if (req.query.patient_id) {
+        filter.clause += ' AND m.patient_id = ?';
+        filter.params.push(req.query.patient_id);
+      }
+      if (req.query.status) {
+        filter.clause += ' AND m.status = ?';
+        filter.params.push(req.query.status);
+      }
+
+      res.json(await medicalRecords.listRecords(filter));
+    } catch (err) {
+      res.status(500).json({ message: 'Server error' });
+    }
   }
-});
+);
 
 /**
  * @route GET /api/medical-records/:id
- * @desc Get a specific medical record
+ * @desc Get a specific medical record with its signature status and addenda
  * @access Private
  * @param {string} id - Medical record ID
  * @returns {Object} Medical record details
  */
-router.get('/:id', auth, async (req, res) => {
+router.get('/:id', auth, authorize('medical_record', 'read', loadRecord), audit('medical_record', 'read'), async (req, res) => {
   try {
-    const recordId = req.params.id;
-    const query = `SELECT * FROM medical_records 
-                  WHERE id = ? 
-                  AND (patient_id = ? OR doctor_id = ?)`;
-    
-    db.get(query, [recordId, req.user.id, req.user.id], (err, record) => {
-      if (err) {
-        return res.status(500).json({ message: 'Database error' });
-      }
-      if (!record) {
-        return res.status(404).json({ message: 'Medical record not found or access denied' });
-      }
-      res.json(record);
-    });
+    res.json(await medicalRecords.getRecord(req.resource.id));
   } catch (err) {
     res.status(500).json({ message: 'Server error' });
   }
@@ -72,7 +82,8 @@ router.get('/:id', auth, async (req, res) => {
  */
 router.post('/',
   auth,
-  checkRole(['doctor']),
+  authorizePatient('medical_record', 'create', req => req.body.patient_id),
+  audit('medical_record', 'create'),
   [
     body('patient_id').isInt(),
     body('diagnosis').notEmpty(),
@@ -88,37 +99,21 @@ router.post('/',
 
       const { patient_id, diagnosis, prescription, notes } = req.body;
 
-      // Check if patient exists
-      db.get('SELECT * FROM users WHERE id = ? AND role = "patient"', [patient_id], (err, patient) => {
-        if (err) {
-          return res.status(500).json({ message: 'Database error' });
-        }
-        if (!patient) {
-          return res.status(404).json({ message: 'Patient not found' });
-        }
-
-        // Create medical record
-        const sql = `INSERT INTO medical_records 
-                    (patient_id, doctor_id, diagnosis, prescription, notes) 
-                    VALUES (?, ?, ?, ?, ?)`;
-        
-        db.run(sql, [patient_id, req.user.id, diagnosis, prescription, notes], function(err) {
-          if (err) {
-            return res.status(500).json({ message: 'Error creating medical record' });
-          }
-
-          res.status(201).json({
-            message: 'Medical record created successfully',
-            record: {
-              id: this.lastID,
-              patient_id,
-              doctor_id: req.user.id,
-              diagnosis,
-              prescription,
-              notes
-            }
-          });
-        });
+      const patient = await get("SELECT id FROM users WHERE id = ? AND role = 'patient'", [patient_id]);
+      if (!patient) {
+        return res.status(404).json({ message: 'Patient not found' });
+      }
+
+      const record = await medicalRecords.createRecord({
+        patientId: patient.id,
+        doctorId: req.user.id,
+        diagnosis,
+        prescription,
+        notes
+      });
+      res.status(201).json({
+        message: 'Medical record created successfully',
+        record
       });
     } catch (err) {
       res.status(500).json({ message: 'Server error' });
@@ -128,9 +123,12 @@ router.post('/',
 
 /**
  * @route PUT /api/medical-records/:id
- * @desc Update a medical record
+ * @desc Update a draft medical record. The new content is saved as a new
+ *       revision; earlier revisions are kept unchanged. Signed records cannot
+ *       be updated, only amended with addenda.
  * @access Private
  * @param {string} id - Medical record ID
+ * @param {string} req.body.reason - Why the record is changed
  * @param {string} [req.body.diagnosis] - Updated diagnosis
  * @param {string} [req.body.prescription] - Updated prescription
  * @param {string} [req.body.notes] - Updated notes
@@ -138,8 +136,10 @@ router.post('/',
  */
 router.put('/:id',
   auth,
-  checkRole(['doctor']),
+  authorize('medical_record', 'update', loadRecord),
+  audit('medical_record', 'update', { load: loadRecord }),
   [
+    body('reason', 'A reason for the change is required').isString().bail().trim().notEmpty(),
     body('diagnosis').optional().notEmpty(),
     body('prescription').optional().notEmpty(),
     body('notes').optional().isString()
@@ -151,43 +151,24 @@ router.put('/:id',
         return res.status(400).json({ errors: errors.array() });
       }
 
-      const { diagnosis, prescription, notes } = req.body;
-      const recordId = req.params.id;
-
-      // Check if record exists and doctor has permission
-      const checkSql = `SELECT * FROM medical_records 
-                       WHERE id = ? AND doctor_id = ?`;
-      
-      db.get(checkSql, [recordId, req.user.id], (err, record) => {
-        if (err) {
-          return res.status(500).json({ message: 'Database error' });
-        }
-        if (!record) {
-          return res.status(404).json({ message: 'Medical record not found or access denied' });
-        }
-
-        // Update record
-        const updateSql = `UPDATE medical_records 
-                          SET diagnosis = COALESCE(?, diagnosis),
-                              prescription = COALESCE(?, prescription),
-                              notes = COALESCE(?, notes)
-                          WHERE id = ?`;
-        
-        db.run(updateSql, [diagnosis, prescription, notes, recordId], function(err) {
-          if (err) {
-            return res.status(500).json({ message: 'Error updating medical record' });
-          }
-
-          res.json({
-            message: 'Medical record updated successfully',
-            record: {
-              ...record,
-              diagnosis: diagnosis || record.diagnosis,
-              prescription: prescription || record.prescription,
-              notes: notes || record.notes
-            }
-          });
-        });
+      if (req.resource.status === 'signed') {
+        return res.status(409).json({ message: 'Signed medical records cannot be changed; add an addendum instead' });
+      }
+
+      const { reason, diagnosis, prescription, notes } = req.body;
+      const changes = { diagnosis, prescription, notes };
+      if (!medicalRecords.changedFields(req.resource, changes).length) {
+        return res.status(400).json({ message: 'No changes to save' });
+      }
+
+      const { record, conflict } = await medicalRecords.reviseRecord(req.resource, changes, req.user.id, reason);
+      if (conflict) {
+        return res.status(409).json({ message: conflict });
+      }
+
+      res.json({
+        message: 'Medical record updated successfully',
+        record
       });
     } catch (err) {
       res.status(500).json({ message: 'Server error' });
@@ -195,4 +176,162 @@ router.put('/:id',
   }
 );
 
+/**
+ * @route POST /api/medical-records/:id/sign
+ * @desc Sign a draft medical record. Its content is frozen from then on and
+ *       can only be amended with addenda.
+ * @access Private
+ * @param {string} id - Medical record ID
+ * @returns {Object} Signed medical record
+ */
+router.post('/:id/sign',
+  auth,
+  authorize('medical_record', 'sign', loadRecord),
+  audit('medical_record', 'update', { load: loadRecord }),
+  async (req, res) => {
+    try {
+      const record = req.resource.status === 'draft'
+        ? await medicalRecords.signRecord(req.resource, req.user.id)
+        : null;
+      if (!record) {
+        return res.status(409).json({ message: 'Medical record is already signed' });
+      }
+
+      res.json({
+        message: 'Medical record signed successfully',
+        record
+      });
+    } catch (err) {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+/**
+ * @route POST /api/medical-records/:id/addenda
+ * @desc Append an addendum to a signed medical record. Addenda are
+ *       attributed and timestamped and cannot be changed or removed.
+ * @access Private
+ * @param {string} id - Medical record ID
+ * @param {string} req.body.content - Addendum text
+ * @returns {Object} Created addendum
+ */
+router.post('/:id/addenda',
+  auth,
+  authorize('medical_record', 'amend', loadRecord),
+  audit('medical_record', 'create'),
+  [
+    body('content').isString().bail().trim().notEmpty()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      if (req.resource.status !== 'signed') {
+        return res.status(409).json({ message: 'Only signed medical records take addenda; update the draft instead' });
+      }
+
+      const addendum = await medicalRecords.addAddendum(req.resource, req.user.id, req.body.content);
+      res.status(201).json({
+        message: 'Addendum added successfully',
+        addendum
+      });
+    } catch (err) {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+/**
+ * @route GET /api/medical-records/:id/revisions
+ * @desc Get every revision of a medical record, oldest first
+ * @access Private
+ * @param {string} id - Medical record ID
+ * @returns {Array} Revisions with author, time and reason
+ */
+router.get('/:id/revisions',
+  auth,
+  authorize('medical_record', 'read', loadRecord),
+  audit('medical_record', 'read'),
+  async (req, res) => {
+    try {
+      res.json(await medicalRecords.listRevisions(req.resource.id));
+    } catch (err) {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+/**
+ * @route GET /api/medical-records/:id/diff
+ * @desc Compare two revisions of a medical record
+ * @access Private
+ * @param {string} id - Medical record ID
+ * @param {number} req.query.from - Earlier revision number
+ * @param {number} [req.query.to] - Later revision number (default the latest)
+ * @returns {Object} Both revisions and the fields that changed between them
+ */
+router.get('/:id/diff',
+  auth,
+  authorize('medical_record', 'read', loadRecord),
+  audit('medical_record', 'read'),
+  [
+    query('from').isInt({ min: 1 }).toInt(),
+    query('to').optional().isInt({ min: 1 }).toInt()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const record = req.resource;
+      const from = await medicalRecords.getRevision(record.id, req.query.from);
+      const to = await medicalRecords.getRevision(record.id, req.query.to || record.revision);
+      if (!from || !to) {
+        return res.status(404).json({ message: 'Revision not found' });
+      }
+
+      res.json({
+        record_id: record.id,
+        patient_id: record.patient_id,
+        from,
+        to,
+        changes: medicalRecords.diffRevisions(from, to)
+      });
+    } catch (err) {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+/**
+ * @route GET /api/medical-records/:id/revisions/:revision
+ * @desc Get one revision of a medical record
+ * @access Private
+ * @param {string} id - Medical record ID
+ * @param {string} revision - Revision number
+ * @returns {Object} Revision
+ */
+router.get('/:id/revisions/:revision',
+  auth,
+  authorize('medical_record', 'read', loadRecord),
+  audit('medical_record', 'read'),
+  async (req, res) => {
+    try {
+      const revision = await medicalRecords.getRevision(req.resource.id, req.params.revision);
+      if (!revision) {
+        return res.status(404).json({ message: 'Revision not found' });
+      }
+      res.json(revision);
+    } catch (err) {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
 module.exports = router; 
\ No newline at end of file
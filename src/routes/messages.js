@@ -6,8 +6,27 @@
 const express = require('express');
 const router = express.Router();
 const { body, validationResult } = require('express-validator');
-const { auth, checkRole } = require('../middleware/auth');
+const { auth, authorize } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
 const db = require('../config/database');
+const { get } = require('../utils/db');
+const { scope } = require('../services/authorization');
+
+const loadMessage = req => get(
+  `SELECT m.*, s.role as sender_role, r.role as receiver_role
+   FROM messages m
+   JOIN users s ON m.sender_id = s.id
+   JOIN users r ON m.receiver_id = r.id
+   WHERE m.id = ?`,
+  [req.params.id]
+);
+// A message is patient data of the correspondent who is a patient, if any
+const patientCorrespondent = message => {
+  if (message.sender_role === 'patient') {
+    return message.sender_id;
+  }
+  return message.receiver_role === 'patient' ? message.receiver_id : null;
+};
 
 /**
  * @route GET /api/messages
@@ -16,32 +35,33 @@ const db = require('../config/database');
  * @param {string} [req.query.conversation] - Filter messages by conversation ID
  * @returns {Object} List of messages
  */
-router.get('/', auth, async (req, res) => {
+router.get('/', auth, authorize('message', 'list'), audit('message', 'list', { patientOf: patientCorrespondent }), async (req, res) => {
   try {
     const { conversation } = req.query;
+    const allowed = scope(req.user, 'message', 'list', 'm');
     let query, params;
 
     if (conversation) {
       query = `SELECT m.*, 
-               u1.first_name as sender_first_name, u1.last_name as sender_last_name,
-               u2.first_name as receiver_first_name, u2.last_name as receiver_last_name
+               u1.first_name as sender_first_name, u1.last_name as sender_last_name, u1.role as sender_role,
+               u2.first_name as receiver_first_name, u2.last_name as receiver_last_name, u2.role as receiver_role
                FROM messages m
                JOIN users u1 ON m.sender_id = u1.id
                JOIN users u2 ON m.receiver_id = u2.id
-               WHERE (m.sender_id = ? OR m.receiver_id = ?)
+               WHERE ${allowed.clause}
                AND (m.sender_id = ? OR m.receiver_id = ?)
                ORDER BY m.created_at DESC`;
-      params = [req.user.id, req.user.id, conversation, conversation];
+      params = [...allowed.params, conversation, conversation];
     } else {
       query = `SELECT m.*, 
-               u1.first_name as sender_first_name, u1.last_name as sender_last_name,
-               u2.first_name as receiver_first_name, u2.last_name as receiver_last_name
+               u1.first_name as sender_first_name, u1.last_name as sender_last_name, u1.role as sender_role,
+               u2.first_name as receiver_first_name, u2.last_name as receiver_last_name, u2.role as receiver_role
                FROM messages m
                JOIN users u1 ON m.sender_id = u1.id
                JOIN users u2 ON m.receiver_id = u2.id
-               WHERE m.sender_id = ? OR m.receiver_id = ?
+               WHERE ${allowed.clause}
                ORDER BY m.created_at DESC`;
-      params = [req.user.id, req.user.id];
+      params = allowed.params;
     }
 
     db.all(query, params, (err, messages) => {
@@ -65,6 +85,8 @@ router.get('/', auth, async (req, res) => {
  */
 router.post('/',
   auth,
+  authorize('message', 'create'),
+  audit('message', 'create', { patientOf: patientCorrespondent }),
   [
     body('receiver_id').isInt(),
     body('content').notEmpty().trim()
@@ -79,7 +101,7 @@ router.post('/',
       const { receiver_id, content } = req.body;
 
       // Check if receiver exists
-      db.get('SELECT * FROM users WHERE id = ?', [receiver_id], (err, receiver) => {
+      db.get('SELECT * FROM users WHERE id = ? AND deactivated_at IS NULL', [receiver_id], (err, receiver) => {
         if (err) {
           return res.status(500).json({ message: 'Database error' });
         }
@@ -101,7 +123,9 @@ router.post('/',
             messageData: {
               id: this.lastID,
               sender_id: req.user.id,
+              sender_role: req.user.role,
               receiver_id,
+              receiver_role: receiver.role,
               content,
               is_read: false,
               created_at: new Date().toISOString()
@@ -122,35 +146,22 @@ router.post('/',
  * @param {string} id - Message ID
  * @returns {Object} Success message
  */
-router.put('/:id/read', auth, async (req, res) => {
+router.put('/:id/read', auth, authorize('message', 'mark_read', loadMessage), audit('message', 'update', { load: loadMessage, patientOf: patientCorrespondent }), async (req, res) => {
   try {
     const messageId = req.params.id;
 
-    // Check if message exists and user is the receiver
-    const checkSql = `SELECT * FROM messages 
-                     WHERE id = ? AND receiver_id = ?`;
+    // Mark message as read
+    const updateSql = `UPDATE messages 
+                      SET is_read = 1 
+                      WHERE id = ?`;
     
-    db.get(checkSql, [messageId, req.user.id], (err, message) => {
+    db.run(updateSql, [messageId], function(err) {
       if (err) {
-        return res.status(500).json({ message: 'Database error' });
-      }
-      if (!message) {
-        return res.status(404).json({ message: 'Message not found or access denied' });
+        return res.status(500).json({ message: 'Error updating message' });
       }
 
-      // Mark message as read
-      const updateSql = `UPDATE messages 
-                        SET is_read = 1 
-                        WHERE id = ?`;
-      
-      db.run(updateSql, [messageId], function(err) {
-        if (err) {
-          return res.status(500).json({ message: 'Error updating message' });
-        }
-
-        res.json({
-          message: 'Message marked as read'
-        });
+      res.json({
+        message: 'Message marked as read'
       });
     });
   } catch (err) {
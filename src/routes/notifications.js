@@ -6,8 +6,12 @@
 const express = require('express');
 const router = express.Router();
 const { body, validationResult } = require('express-validator');
-const { auth, checkRole } = require('../middleware/auth');
+const { auth, authorize } = require('../middleware/auth');
 const db = require('../config/database');
+const { get } = require('../utils/db');
+const { scope } = require('../services/authorization');
+
+const loadNotification = req => get('SELECT * FROM notifications WHERE id = ?', [req.params.id]);
 
 /**
  * @route GET /api/notifications
@@ -17,11 +21,11 @@ const db = require('../config/database');
  * @param {boolean} [req.query.unread] - Filter unread notifications
  * @returns {Object} List of notifications
  */
-router.get('/', auth, async (req, res) => {
+router.get('/', auth, authorize('notification', 'list'), async (req, res) => {
   try {
     const { type, unread } = req.query;
-    let query = 'SELECT * FROM notifications WHERE user_id = ?';
-    const params = [req.user.id];
+    const { clause, params } = scope(req.user, 'notification', 'list');
+    let query = `SELECT * FROM notifications WHERE ${clause}`;
 
     if (type) {
       query += ' AND type = ?';
@@ -56,7 +60,7 @@ router.get('/', auth, async (req, res) => {
  */
 router.post('/',
   auth,
-  checkRole(['admin', 'doctor']),
+  authorize('notification', 'create'),
   [
     body('user_id').isInt(),
     body('type').isIn(['appointment', 'medication', 'test_result', 'message', 'system']),
@@ -117,35 +121,22 @@ router.post('/',
  * @param {string} id - Notification ID
  * @returns {Object} Success message
  */
-router.put('/:id/read', auth, async (req, res) => {
+router.put('/:id/read', auth, authorize('notification', 'mark_read', loadNotification), async (req, res) => {
   try {
     const notificationId = req.params.id;
 
-    // Check if notification exists and belongs to user
-    const checkSql = `SELECT * FROM notifications 
-                     WHERE id = ? AND user_id = ?`;
+    // Mark as read
+    const updateSql = `UPDATE notifications 
+                      SET is_read = 1 
+                      WHERE id = ?`;
     
-    db.get(checkSql, [notificationId, req.user.id], (err, notification) => {
+    db.run(updateSql, [notificationId], function(err) {
       if (err) {
-        return res.status(500).json({ message: 'Database error' });
-      }
-      if (!notification) {
-        return res.status(404).json({ message: 'Notification not found or access denied' });
+        return res.status(500).json({ message: 'Error updating notification' });
       }
 
-      // Mark as read
-      const updateSql = `UPDATE notifications 
-                        SET is_read = 1 
-                        WHERE id = ?`;
-      
-      db.run(updateSql, [notificationId], function(err) {
-        if (err) {
-          return res.status(500).json({ message: 'Error updating notification' });
-        }
-
-        res.json({
-          message: 'Notification marked as read'
-        });
+      res.json({
+        message: 'Notification marked as read'
       });
     });
   } catch (err) {
@@ -0,0 +1,208 @@
+/**
+ * @fileoverview Proxy access routes for the healthcare system (caregivers
+ * and guardians acting on a patient's behalf)
+ * @module routes/proxies
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, query, validationResult } = require('express-validator');
+const { auth } = require('../middleware/auth');
+const db = require('../config/database');
+const { PROXY_SCOPES } = require('../config/policies');
+const proxies = require('../services/proxies');
+const { notify } = require('../services/notifications');
+
+/**
+ * @route GET /api/proxies
+ * @desc Get proxy grants (grants given or received by the user, or every
+ *       grant for admins)
+ * @access Private
+ * @param {string} [req.query.patient_id] - Filter by patient (admin only)
+ * @param {boolean} [req.query.active] - Only active grants (default true)
+ * @returns {Array} Proxy grants
+ */
+router.get('/',
+  auth,
+  [
+    query('patient_id').optional().isInt(),
+    query('active').optional().isBoolean()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const isAdmin = req.user.role === 'admin';
+      const grants = await proxies.listGrants({
+        userId: isAdmin ? undefined : req.user.id,
+        patientId: isAdmin ? req.query.patient_id : undefined,
+        activeOnly: req.query.active !== 'false'
+      });
+      res.json(grants);
+    } catch (err) {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+/**
+ * @route POST /api/proxies
+ * @desc Grant another user proxy access to a patient's account. Patients
+ *       grant access to their own account; admins name the patient.
+ * @access Private/Patient/Admin
+ * @param {number} [req.body.patient_id] - Patient ID (admin only)
+ * @param {string} req.body.proxy_email - Email of the user receiving access
+ * @param {Array<string>} req.body.scopes - view_records and/or book_appointments
+ * @param {string} [req.body.expires_at] - Expiry date (no expiry if omitted)
+ * @param {string} [req.body.relationship] - e.g. parent, guardian, carer
+ * @returns {Object} Created grant
+ */
+router.post('/',
+  auth,
+  [
+    body('patient_id').optional().isInt(),
+    body('proxy_email').isEmail().normalizeEmail(),
+    body('scopes').isArray({ min: 1 }),
+    body('scopes.*').isIn(PROXY_SCOPES),
+    body('expires_at').optional().isISO8601()
+      .custom(value => new Date(value) > new Date()).withMessage('Expiry must be in the future'),
+    body('relationship').optional().isString().trim()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      let patientId;
+      if (req.user.role === 'patient') {
+        patientId = req.user.id;
+      } else if (req.user.role === 'admin') {
+        patientId = parseInt(req.body.patient_id);
+        if (!patientId) {
+          return res.status(400).json({ message: 'Patient ID is required' });
+        }
+      } else {
+        return res.status(403).json({ message: 'Access denied: insufficient permissions' });
+      }
+
+      const { proxy_email, scopes, expires_at, relationship } = req.body;
+
+      const sql = `SELECT
+                   (SELECT id FROM users WHERE id = ? AND role = 'patient') as patient_id,
+                   (SELECT id FROM users WHERE email = ? AND deactivated_at IS NULL) as proxy_id`;
+
+      db.get(sql, [patientId, proxy_email], async (err, found) => {
+        if (err) {
+          return res.status(500).json({ message: 'Database error' });
+        }
+        if (!found.patient_id) {
+          return res.status(404).json({ message: 'Patient not found' });
+        }
+        if (!found.proxy_id) {
+          return res.status(404).json({ message: 'Proxy user not found' });
+        }
+        if (found.proxy_id === found.patient_id) {
+          return res.status(400).json({ message: 'A patient cannot be their own proxy' });
+        }
+
+        try {
+          const grant = await proxies.createGrant({
+            patientId,
+            proxyId: found.proxy_id,
+            scopes,
+            expiresAt: expires_at,
+            relationship
+          }, req.user.id);
+
+          await notify(
+            found.proxy_id,
+            'system',
+            'Proxy access granted',
+            `You can now act on behalf of a patient (${grant.scopes.join(', ')})`
+          );
+
+          res.status(201).json({
+            message: 'Proxy access granted successfully',
+            grant
+          });
+        } catch (err) {
+          res.status(500).json({ message: 'Error granting proxy access' });
+        }
+      });
+    } catch (err) {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+/**
+ * @route GET /api/proxies/actions
+ * @desc Get what proxies did on a patient's behalf
+ * @access Private/Patient/Admin
+ * @param {string} [req.query.patient_id] - Patient ID (required for admins)
+ * @returns {Array} Proxy actions, newest first
+ */
+router.get('/actions',
+  auth,
+  [
+    query('patient_id').optional().isInt()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      let patientId;
+      if (req.user.role === 'patient') {
+        patientId = req.user.id;
+      } else if (req.user.role === 'admin') {
+        patientId = parseInt(req.query.patient_id);
+        if (!patientId) {
+          return res.status(400).json({ message: 'Patient ID is required' });
+        }
+      } else {
+        return res.status(403).json({ message: 'Access denied: insufficient permissions' });
+      }
+
+      res.json(await proxies.listProxyActions(patientId));
+    } catch (err) {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+/**
+ * @route DELETE /api/proxies/:id
+ * @desc Revoke a proxy grant (the patient, the proxy or an admin)
+ * @access Private
+ * @param {string} id - Grant ID
+ * @returns {Object} Success message
+ */
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const grant = await proxies.getGrant(req.params.id);
+    if (!grant ||
+        (req.user.role !== 'admin' &&
+         grant.patient_id !== req.user.id &&
+         grant.proxy_id !== req.user.id)) {
+      return res.status(404).json({ message: 'Proxy grant not found or access denied' });
+    }
+
+    if (!(await proxies.revokeGrant(grant.id))) {
+      return res.status(400).json({ message: 'Proxy grant is already revoked' });
+    }
+
+    res.json({ message: 'Proxy access revoked successfully' });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
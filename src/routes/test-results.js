@@ -6,8 +6,24 @@
 const express = require('express');
 const router = express.Router();
 const { body, query, validationResult } = require('express-validator');
-const { auth, checkRole } = require('../middleware/auth');
+const { auth, authorize, authorizePatient } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
 const db = require('../config/database');
+const { get } = require('../utils/db');
+const { scope } = require('../services/authorization');
+
+const loadTest = req => get(`SELECT tr.*,
+                                    d.first_name as doctor_first_name,
+                                    d.last_name as doctor_last_name,
+                                    b.first_name as biologist_first_name,
+                                    b.last_name as biologist_last_name,
+                                    p.first_name as patient_first_name,
+                                    p.last_name as patient_last_name
+                             FROM test_results tr
+                             LEFT JOIN users d ON tr.doctor_id = d.id
+                             LEFT JOIN users b ON tr.biologist_id = b.id
+                             LEFT JOIN users p ON tr.patient_id = p.id
+                             WHERE tr.id = ?`, [req.params.id]);
 
 /**
  * @route POST /api/test-results/order
@@ -20,7 +36,8 @@ const db = require('../config/database');
  */
 router.post('/order',
   auth,
-  checkRole(['doctor']),
+  authorizePatient('test_result', 'create', req => req.body.patient_id),
+  audit('test_result', 'create'),
   [
     body('patient_id').isInt().withMessage('Valid patient ID is required'),
     body('test_type').notEmpty().withMessage('Test type is required'),
@@ -97,7 +114,8 @@ router.post('/order',
  */
 router.put('/:id',
   auth,
-  checkRole(['biologist']),
+  authorize('test_result', 'update', loadTest),
+  audit('test_result', 'update', { load: loadTest }),
   [
     body('result').notEmpty().withMessage('Test result is required'),
     body('reference_range').notEmpty().withMessage('Reference range is required'),
@@ -173,6 +191,8 @@ router.put('/:id',
  */
 router.get('/',
   auth,
+  authorize('test_result', 'list'),
+  audit('test_result', 'list'),
   [
     query('patient_id').optional().isInt(),
     query('status').optional().isIn(['pending', 'completed', 'cancelled'])
@@ -197,33 +217,23 @@ router.get('/',
       const params = [];
 
       // Role-based filters
-      switch (req.user.role) {
-        case 'patient':
-          query += ' AND tr.patient_id = ?';
-          params.push(req.user.id);
-          break;
-        case 'doctor':
-          if (patient_id) {
-            query += ' AND tr.patient_id = ?';
-            params.push(patient_id);
-          }
-          query += ' AND tr.doctor_id = ?';
+      const allowed = scope(req.user, 'test_result', 'list', 'tr');
+      query += ` AND ${allowed.clause}`;
+      params.push(...allowed.params);
+
+      if (patient_id) {
+        query += ' AND tr.patient_id = ?';
+        params.push(patient_id);
+      }
+
+      // For biologists, pending means the unassigned lab queue
+      if (req.user.role === 'biologist') {
+        if (status === 'pending') {
+          query += ' AND tr.biologist_id IS NULL';
+        } else if (status === 'completed') {
+          query += ' AND tr.biologist_id = ?';
           params.push(req.user.id);
-          break;
-        case 'biologist':
-          if (status === 'pending') {
-            query += ' AND tr.biologist_id IS NULL';
-          } else if (status === 'completed') {
-            query += ' AND tr.biologist_id = ?';
-            params.push(req.user.id);
-          }
-          break;
-        case 'admin':
-          if (patient_id) {
-            query += ' AND tr.patient_id = ?';
-            params.push(patient_id);
-          }
-          break;
+        }
       }
 
       if (status && status !== 'pending') {
@@ -254,44 +264,11 @@ router.get('/',
  */
 router.get('/:id',
   auth,
+  authorize('test_result', 'read', loadTest),
+  audit('test_result', 'read'),
   async (req, res) => {
     try {
-      const testId = req.params.id;
-      const query = `SELECT tr.*,
-                           d.first_name as doctor_first_name,
-                           d.last_name as doctor_last_name,
-                           b.first_name as biologist_first_name,
-                           b.last_name as biologist_last_name,
-                           p.first_name as patient_first_name,
-                           p.last_name as patient_last_name
-                    FROM test_results tr
-                    LEFT JOIN users d ON tr.doctor_id = d.id
-                    LEFT JOIN users b ON tr.biologist_id = b.id
-                    LEFT JOIN users p ON tr.patient_id = p.id
-                    WHERE tr.id = ?`;
-
-      db.get(query, [testId], (err, result) => {
-        if (err) {
-          return res.status(500).json({ message: 'Database error' });
-        }
-        if (!result) {
-          return res.status(404).json({ message: 'Test result not found' });
-        }
-
-        // Check permission
-        const canAccess = 
-          req.user.role === 'admin' ||
-          (req.user.role === 'doctor' && result.doctor_id === req.user.id) ||
-          (req.user.role === 'biologist' && 
-           (result.biologist_id === req.user.id || !result.biologist_id)) ||
-          (req.user.role === 'patient' && result.patient_id === req.user.id);
-
-        if (!canAccess) {
-          return res.status(403).json({ message: 'Access denied' });
-        }
-
-        res.json(result);
-      });
+      res.json(req.resource);
     } catch (err) {
       res.status(500).json({ message: 'Server error' });
     }
@@ -6,33 +6,344 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const { auth, checkRole } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
 const db = require('../config/database');
+const { get } = require('../utils/db');
+const { revokeAllForUser, revokeOtherSessions } = require('../services/tokens');
+const twoFactor = require('../services/two-factor');
+const { listLockedAccounts, unlockAccount } = require('../services/login-protection');
+const invitations = require('../services/invitations');
+const accounts = require('../services/accounts');
+const userDirectory = require('../services/user-directory');
+const { toCsv } = require('../utils/csv');
+
+const PROFILE_FIELDS = `id, email, role, first_name, last_name, phone,
+  specialization, license_number, emergency_contact,
+  blood_type, allergies, deactivated_at, created_at`;
+
+const loadProfile = req => get(`SELECT ${PROFILE_FIELDS} FROM users WHERE id = ?`, [req.params.id]);
+// A profile is patient data when it is a patient's own profile
+const profilePatient = user => (user.role === 'patient' ? user.id : null);
+
+const directoryFilters = [
+  query('role').optional().isIn(['patient', 'doctor', 'admin', 'biologist']),
+  query('specialization').optional().isString().trim(),
+  query('status').optional().isIn(Object.keys(userDirectory.STATUS_CONDITIONS)),
+  query('include_deactivated').optional().isBoolean(),
+  query('created_from').optional().isISO8601(),
+  query('created_to').optional().isISO8601(),
+  query('q').optional().isString().trim(),
+  query('sort').optional().isIn(userDirectory.SORTABLE.flatMap(column => [column, `-${column}`]))
+];
+
+// Directory filters from the query string; include_deactivated=true is
+// kept as a shorthand for status=all
+const filtersFromQuery = (req) => ({
+  role: req.query.role,
+  specialization: req.query.specialization,
+  status: req.query.status || (req.query.include_deactivated === 'true' ? 'all' : undefined),
+  createdFrom: req.query.created_from,
+  createdTo: req.query.created_to,
+  search: req.query.q
+});
 
 /**
  * @route GET /api/users
- * @desc Get all users (admin only)
+ * @desc Search the user directory (admin only). Deactivated users are
+ *       hidden unless a status asks for them.
  * @access Private/Admin
- * @returns {Object} List of users
+ * @param {string} [req.query.role] - Filter by role
+ * @param {string} [req.query.specialization] - Filter by specialization
+ * @param {string} [req.query.status] - active, pending, rejected, deactivated or all
+ * @param {string} [req.query.created_from] - Created on or after this date
+ * @param {string} [req.query.created_to] - Created on or before this date
+ * @param {string} [req.query.q] - Search name, email or license number
+ * @param {string} [req.query.sort] - Sort column, prefixed with "-" for descending
+ * @param {number} [req.query.page] - Page number (default 1)
+ * @param {number} [req.query.limit] - Page size (default 25, max 200)
+ * @returns {Object} Total count, paging and the page of users
  */
-router.get('/', auth, checkRole(['admin']), async (req, res) => {
-  try {
-    const sql = `SELECT id, email, role, first_name, last_name, phone, 
-                 specialization, license_number, created_at 
-                 FROM users`;
-    
-    db.all(sql, [], (err, users) => {
-      if (err) {
-        return res.status(500).json({ message: 'Database error' });
+router.get('/',
+  auth,
+  checkRole(['admin']),
+  [
+    ...directoryFilters,
+    query('page').optional().isInt({ min: 1 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: 200 }).toInt()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
       }
-      res.json(users);
+
+      const result = await userDirectory.findUsers(filtersFromQuery(req), {
+        sort: req.query.sort,
+        page: req.query.page,
+        limit: req.query.limit
+      });
+      res.json(result);
+    } catch (err) {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+/**
+ * @route GET /api/users/export
+ * @desc Export every user matching the directory filters as CSV (admin only)
+ * @access Private/Admin
+ * @param {Object} req.query - Same filters and sort as GET /api/users
+ * @returns {string} CSV file
+ */
+router.get('/export', auth, checkRole(['admin']), directoryFilters, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { users } = await userDirectory.findUsers(filtersFromQuery(req), {
+      sort: req.query.sort,
+      limit: 0
     });
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="users-${date}.csv"`);
+    res.send(toCsv(userDirectory.DIRECTORY_COLUMNS, users));
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route POST /api/users/invitations
+ * @desc Invite a staff member; the invitee sets a password with the mailed code (admin only)
+ * @access Private/Admin
+ * @param {string} req.body.email - Invitee email
+ * @param {string} req.body.role - doctor, biologist or admin
+ * @param {string} req.body.first_name - First name
+ * @param {string} req.body.last_name - Last name
+ * @param {string} [req.body.specialization] - Specialization
+ * @param {string} [req.body.license_number] - License number (required for doctors and biologists)
+ * @returns {Object} Created invitation
+ */
+router.post('/invitations',
+  auth,
+  checkRole(['admin']),
+  [
+    body('email').isEmail().normalizeEmail(),
+    body('role').isIn(['doctor', 'biologist', 'admin']),
+    body('first_name').notEmpty(),
+    body('last_name').notEmpty(),
+    body('specialization').optional().isString(),
+    body('license_number')
+      .if(body('role').isIn(invitations.LICENSED_ROLES))
+      .notEmpty().withMessage('License number is required for doctors and biologists')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { email, role, first_name, last_name, specialization, license_number } = req.body;
+      const invitation = await invitations.createInvitation(
+        { email, role, first_name, last_name, specialization, license_number },
+        req.user.id
+      );
+      if (!invitation) {
+        return res.status(400).json({ message: 'User already exists' });
+      }
+
+      res.status(201).json({
+        message: 'Invitation sent successfully',
+        invitation
+      });
+    } catch (err) {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+/**
+ * @route GET /api/users/invitations
+ * @desc Get all invitations (admin only)
+ * @access Private/Admin
+ * @returns {Array} Invitations
+ */
+router.get('/invitations', auth, checkRole(['admin']), async (req, res) => {
+  try {
+    const list = await invitations.listInvitations();
+    res.json(list);
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route DELETE /api/users/invitations/:id
+ * @desc Revoke an outstanding invitation (admin only)
+ * @access Private/Admin
+ * @param {string} id - Invitation ID
+ * @returns {Object} Success message
+ */
+router.delete('/invitations/:id', auth, checkRole(['admin']), async (req, res) => {
+  try {
+    const revoked = await invitations.revokeInvitation(req.params.id);
+    if (!revoked) {
+      return res.status(404).json({ message: 'Invitation not found or no longer pending' });
+    }
+    res.json({ message: 'Invitation revoked successfully' });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route GET /api/users/pending-verification
+ * @desc Get doctors and biologists awaiting license verification (admin only)
+ * @access Private/Admin
+ * @returns {Array} Pending users
+ */
+router.get('/pending-verification', auth, checkRole(['admin']), async (req, res) => {
+  try {
+    const users = await invitations.listPendingVerifications();
+    res.json(users);
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route POST /api/users/:id/verification
+ * @desc Approve or reject a pending license (admin only)
+ * @access Private/Admin
+ * @param {string} id - User ID
+ * @param {boolean} req.body.approved - Decision
+ * @param {string} [req.body.notes] - Reason, shown to the user on rejection
+ * @returns {Object} Updated verification status
+ */
+router.post('/:id/verification',
+  auth,
+  checkRole(['admin']),
+  [
+    body('approved').isBoolean().toBoolean(),
+    body('notes').optional().isString()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { approved, notes } = req.body;
+      const user = await invitations.reviewVerification(req.params.id, approved, req.user.id, notes);
+      if (!user) {
+        return res.status(404).json({ message: 'User not found or not pending verification' });
+      }
+
+      res.json({
+        message: approved ? 'License verified successfully' : 'License rejected',
+        user
+      });
+    } catch (err) {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+/**
+ * @route GET /api/users/locked
+ * @desc Get accounts currently locked after failed logins (admin only)
+ * @access Private/Admin
+ * @returns {Array} Locked users
+ */
+router.get('/locked', auth, checkRole(['admin']), async (req, res) => {
+  try {
+    const users = await listLockedAccounts();
+    res.json(users);
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route POST /api/users/:id/unlock
+ * @desc Clear a login lockout (admin only)
+ * @access Private/Admin
+ * @param {string} id - User ID
+ * @returns {Object} Success message
+ */
+router.post('/:id/unlock', auth, checkRole(['admin']), async (req, res) => {
+  try {
+    const unlocked = await unlockAccount(req.params.id);
+    if (!unlocked) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    res.json({ message: 'Account unlocked successfully' });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route GET /api/users/security/two-factor
+ * @desc Get the two-factor requirement of each role (admin only)
+ * @access Private/Admin
+ * @returns {Array} Role policies
+ */
+router.get('/security/two-factor', auth, checkRole(['admin']), async (req, res) => {
+  try {
+    const policies = await twoFactor.listRolePolicies();
+    res.json(policies);
   } catch (err) {
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+/**
+ * @route PUT /api/users/security/two-factor
+ * @desc Require or stop requiring two-factor authentication for a role (admin only)
+ * @access Private/Admin
+ * @param {string} req.body.role - Role (doctor, biologist or admin)
+ * @param {boolean} req.body.required - Whether 2FA is mandatory
+ * @returns {Object} Updated policy and how many unenrolled users were signed out
+ */
+router.put('/security/two-factor',
+  auth,
+  checkRole(['admin']),
+  [
+    body('role').isIn(twoFactor.TWO_FACTOR_ROLES),
+    body('required').isBoolean().toBoolean()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { role, required } = req.body;
+      const signedOut = await twoFactor.setRolePolicy(role, required);
+
+      res.json({
+        message: 'Two-factor policy updated successfully',
+        policy: { role, require_2fa: required },
+        users_signed_out: signedOut
+      });
+    } catch (err) {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
 /**
  * @route GET /api/users/:id
  * @desc Get user by ID
@@ -40,7 +351,7 @@ router.get('/', auth, checkRole(['admin']), async (req, res) => {
  * @param {string} id - User ID
  * @returns {Object} User details
  */
-router.get('/:id', auth, async (req, res) => {
+router.get('/:id', auth, audit('user_profile', 'read', { patientOf: profilePatient }), async (req, res) => {
   try {
     const userId = req.params.id;
     
@@ -49,10 +360,7 @@ router.get('/:id', auth, async (req, res) => {
       return res.status(403).json({ message: 'Access denied' });
     }
 
-    const sql = `SELECT id, email, role, first_name, last_name, phone, 
-                 specialization, license_number, emergency_contact, 
-                 blood_type, allergies, created_at 
-                 FROM users WHERE id = ?`;
+    const sql = `SELECT ${PROFILE_FIELDS} FROM users WHERE id = ?`;
     
     db.get(sql, [userId], (err, user) => {
       if (err) {
@@ -78,6 +386,7 @@ router.get('/:id', auth, async (req, res) => {
  */
 router.put('/:id',
   auth,
+  audit('user_profile', 'update', { load: loadProfile, patientOf: profilePatient }),
   [
     body('first_name').optional().notEmpty(),
     body('last_name').optional().notEmpty(),
@@ -146,39 +455,268 @@ router.put('/:id',
 );
 
 /**
- * @route DELETE /api/users/:id
- * @desc Delete user (admin only)
- * @access Private/Admin
+ * @route PUT /api/users/:id/password
+ * @desc Change own password; ends every other session of the user
+ * @access Private
  * @param {string} id - User ID
+ * @param {string} req.body.current_password - Current password
+ * @param {string} req.body.new_password - New password
  * @returns {Object} Success message
  */
-router.delete('/:id', auth, checkRole(['admin']), async (req, res) => {
-  try {
-    const userId = req.params.id;
+router.put('/:id/password',
+  auth,
+  [
+    body('current_password').exists(),
+    body('new_password').isLength({ min: 6 })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
 
-    // Check if user exists
-    db.get('SELECT * FROM users WHERE id = ?', [userId], (err, user) => {
-      if (err) {
-        return res.status(500).json({ message: 'Database error' });
+      const userId = req.params.id;
+
+      // Only the account owner knows the current password
+      if (req.user.id !== parseInt(userId)) {
+        return res.status(403).json({ message: 'Access denied' });
+      }
+
+      const { current_password, new_password } = req.body;
+
+      db.get('SELECT password FROM users WHERE id = ?', [userId], async (err, user) => {
+        if (err) {
+          return res.status(500).json({ message: 'Database error' });
+        }
+        if (!user) {
+          return res.status(404).json({ message: 'User not found' });
+        }
+
+        const isMatch = await bcrypt.compare(current_password, user.password);
+        if (!isMatch) {
+          return res.status(400).json({ message: 'Current password is incorrect' });
+        }
+
+        const salt = await bcrypt.genSalt(10);
+        const hashedPassword = await bcrypt.hash(new_password, salt);
+
+        db.run('UPDATE users SET password = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [hashedPassword, userId], async function(err) {
+          if (err) {
+            return res.status(500).json({ message: 'Error updating password' });
+          }
+
+          try {
+            await revokeOtherSessions(req.user.id, req.user.sid);
+          } catch (err) {
+            return res.status(500).json({ message: 'Error revoking sessions' });
+          }
+
+          res.json({ message: 'Password changed successfully' });
+        });
+      });
+    } catch (err) {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+/**
+ * @route PUT /api/users/:id/role
+ * @desc Change a user's role (admin only); ends all of the user's sessions.
+ *       A new doctor or biologist waits for license verification, like an
+ *       invited one.
+ * @access Private/Admin
+ * @param {string} id - User ID
+ * @param {string} req.body.role - New role
+ * @param {string} [req.body.specialization] - Specialization
+ * @param {string} [req.body.license_number] - License number (required for doctors and biologists)
+ * @returns {Object} Success message and the user's role and verification status
+ */
+router.put('/:id/role',
+  auth,
+  checkRole(['admin']),
+  [
+    body('role').isIn(['patient', 'doctor', 'admin', 'biologist']),
+    body('specialization').optional().isString(),
+    body('license_number')
+      .if(body('role').isIn(invitations.LICENSED_ROLES))
+      .notEmpty().withMessage('License number is required for doctors and biologists')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
       }
+
+      const { role, specialization, license_number } = req.body;
+      const user = await invitations.changeRole(req.params.id, role, {
+        specialization,
+        licenseNumber: license_number
+      });
       if (!user) {
         return res.status(404).json({ message: 'User not found' });
       }
 
-      // Delete user
-      db.run('DELETE FROM users WHERE id = ?', [userId], function(err) {
+      await revokeAllForUser(user.id);
+
+      res.json({
+        message: 'User role updated successfully',
+        user
+      });
+    } catch (err) {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+/**
+ * @route DELETE /api/users/:id
+ * @desc Deactivate a user (admin only). The account can no longer log in and
+ *       its sessions end, but its clinical history is kept.
+ * @access Private/Admin
+ * @param {string} id - User ID
+ * @param {string} [req.body.reason] - Why the account is deactivated
+ * @returns {Object} Success message
+ */
+router.delete('/:id',
+  auth,
+  checkRole(['admin']),
+  audit('user_profile', 'update', { load: loadProfile, patientOf: profilePatient }),
+  [
+    body('reason').optional().isString().trim()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const userId = parseInt(req.params.id);
+      if (userId === req.user.id) {
+        return res.status(400).json({ message: 'You cannot deactivate your own account' });
+      }
+
+      // Check if user exists
+      db.get('SELECT id FROM users WHERE id = ?', [userId], async (err, user) => {
         if (err) {
-          return res.status(500).json({ message: 'Error deleting user' });
+          return res.status(500).json({ message: 'Database error' });
+        }
+        if (!user) {
+          return res.status(404).json({ message: 'User not found' });
+        }
+
+        try {
+          if (!(await accounts.deactivate(userId, req.user.id, req.body.reason))) {
+            return res.status(400).json({ message: 'User is already deactivated' });
+          }
+        } catch (err) {
+          return res.status(500).json({ message: 'Error deactivating user' });
         }
 
         res.json({
-          message: 'User deleted successfully'
+          message: 'User deactivated successfully'
         });
       });
-    });
-  } catch (err) {
-    res.status(500).json({ message: 'Server error' });
+    } catch (err) {
+      res.status(500).json({ message: 'Server error' });
+    }
   }
-});
+);
+
+/**
+ * @route POST /api/users/:id/reactivate
+ * @desc Reactivate a deactivated user (admin only)
+ * @access Private/Admin
+ * @param {string} id - User ID
+ * @returns {Object} Success message
+ */
+router.post('/:id/reactivate',
+  auth,
+  checkRole(['admin']),
+  audit('user_profile', 'update', { load: loadProfile, patientOf: profilePatient }),
+  async (req, res) => {
+    try {
+      if (!(await accounts.reactivate(req.params.id))) {
+        return res.status(404).json({ message: 'Deactivated user not found' });
+      }
+
+      res.json({ message: 'User reactivated successfully' });
+    } catch (err) {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+/**
+ * @route POST /api/users/:id/purge
+ * @desc Permanently delete a deactivated user and everything they own (admin
+ *       only). Clinicians who authored records and patients with medical records
+ *       cannot be purged, since records and their revisions are kept.
+ * @access Private/Admin
+ * @param {string} id - User ID
+ * @param {string} req.body.confirm_email - The user's email, as confirmation
+ * @returns {Object} Success message
+ */
+router.post('/:id/purge',
+  auth,
+  checkRole(['admin']),
+  audit('user_profile', 'delete', { load: loadProfile, patientOf: profilePatient }),
+  [
+    body('confirm_email').isEmail().normalizeEmail()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const userId = req.params.id;
+
+      db.get('SELECT id, email, deactivated_at FROM users WHERE id = ?', [userId], async (err, user) => {
+        if (err) {
+          return res.status(500).json({ message: 'Database error' });
+        }
+        if (!user) {
+          return res.status(404).json({ message: 'User not found' });
+        }
+        if (req.body.confirm_email !== user.email) {
+          return res.status(400).json({ message: 'Confirmation email does not match the user' });
+        }
+        if (!user.deactivated_at) {
+          return res.status(400).json({ message: 'Only deactivated users can be purged' });
+        }
+
+        try {
+          const authored = await accounts.countAuthoredRecords(user.id);
+          if (authored > 0) {
+            return res.status(409).json({
+              message: 'User authored medical records or test results and cannot be purged',
+              authored_records: authored
+            });
+          }
+          const charted = await accounts.countPatientRecords(user.id);
+          if (charted > 0) {
+            return res.status(409).json({
+              message: 'Patient has medical records, which must be retained, and cannot be purged',
+              medical_records: charted
+            });
+          }
+
+          await accounts.purge(user.id);
+        } catch (err) {
+          return res.status(500).json({ message: 'Error purging user' });
+        }
+
+        res.json({ message: 'User permanently deleted' });
+      });
+    } catch (err) {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
 
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,191 @@
+/**
+ * @fileoverview Appointment waitlist routes for the healthcare system
+ * @module routes/waitlist
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const { auth, authorize, authorizePatient, ownPatientId } = require('../middleware/auth');
+const { get, all } = require('../utils/db');
+const { scope } = require('../services/authorization');
+const booking = require('../services/booking');
+const careTeam = require('../services/care-team');
+const doctorDirectory = require('../services/doctor-directory');
+const waitlist = require('../services/waitlist');
+
+const loadEntry = req => get('SELECT * FROM waitlist_entries WHERE id = ?', [req.params.id]);
+
+// Settle lapsed offers before anyone looks at or answers one
+const expireOffers = async (req, res, next) => {
+  try {
+    await waitlist.expireOffers();
+  } catch (err) {
+    return res.status(500).json({ message: 'Database error' });
+  }
+  next();
+};
+
+/**
+ * @route GET /api/waitlist
+ * @desc Get waitlist entries: the patient's own, the doctor's waiting
+ *       patients, or every entry for admins
+ * @access Private
+ * @returns {Array} Waitlist entries with doctor and patient names
+ */
+router.get('/', auth, authorize('waitlist_entry', 'list'), expireOffers, async (req, res) => {
+  try {
+    const { clause, params } = scope(req.user, 'waitlist_entry', 'list', 'w');
+    const entries = await all(
+      `SELECT w.*, d.first_name as doctor_first_name, d.last_name as doctor_last_name,
+              p.first_name as patient_first_name, p.last_name as patient_last_name
+       FROM waitlist_entries w
+       JOIN users d ON w.doctor_id = d.id
+       JOIN users p ON w.patient_id = p.id
+       WHERE ${clause}
+       ORDER BY w.created_at DESC, w.id DESC`,
+      params
+    );
+    res.json(entries);
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route POST /api/waitlist
+ * @desc Join a doctor's waitlist for a date range
+ * @access Private
+ * @param {number} req.body.doctor_id - ID of the doctor
+ * @param {string} req.body.earliest - Earliest acceptable start
+ * @param {string} req.body.latest - Latest acceptable end
+ * @param {string} [req.body.type] - Appointment type (default consultation)
+ * @param {string} [req.body.notes] - Notes for the appointment
+ * @returns {Object} Created entry
+ */
+router.post('/',
+  auth,
+  authorizePatient('waitlist_entry', 'create', ownPatientId),
+  [
+    body('doctor_id').isInt().toInt(),
+    body('earliest').isISO8601().toDate(),
+    body('latest').isISO8601().toDate()
+      .custom((value, { req }) => value > req.body.earliest && value > new Date())
+      .withMessage('latest must be in the future and after earliest'),
+    body('type').optional().isIn(booking.APPOINTMENT_TYPES),
+    body('notes').optional().isString()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { doctor_id, earliest, latest, type, notes } = req.body;
+
+      const doctor = await doctorDirectory.getProfile(doctor_id);
+      if (!doctor) {
+        return res.status(404).json({ message: 'Doctor not found' });
+      }
+
+      const entry = await waitlist.join({
+        patientId: req.patientId,
+        doctorId: doctor_id,
+        earliest,
+        latest,
+        type,
+        notes,
+        createdBy: req.user.id
+      });
+      if (!entry) {
+        return res.status(409).json({ message: 'Already on the waitlist for this doctor' });
+      }
+
+      res.status(201).json({
+        message: 'Added to the waitlist successfully',
+        entry
+      });
+    } catch (err) {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+/**
+ * @route POST /api/waitlist/:id/accept
+ * @desc Accept the slot offered to a waitlist entry and book it
+ * @access Private
+ * @param {string} id - Entry ID
+ * @returns {Object} Booked appointment
+ */
+router.post('/:id/accept',
+  auth,
+  expireOffers,
+  authorize('waitlist_entry', 'respond', loadEntry),
+  async (req, res) => {
+    try {
+      const { appointment, conflict } = await waitlist.accept(req.resource, req.user.id);
+      if (conflict) {
+        return res.status(409).json({ message: conflict });
+      }
+
+      // Booking a doctor puts them on the patient's care team
+      await careTeam.assign(appointment.patient_id, appointment.doctor_id, {
+        source: 'appointment',
+        assignedBy: req.user.id
+      });
+
+      res.status(201).json({
+        message: 'Appointment created successfully',
+        appointment
+      });
+    } catch (err) {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+/**
+ * @route POST /api/waitlist/:id/decline
+ * @desc Decline the slot offered to a waitlist entry. The entry leaves the
+ *       waitlist and the slot is offered to the next patient.
+ * @access Private
+ * @param {string} id - Entry ID
+ * @returns {Object} Success message
+ */
+router.post('/:id/decline',
+  auth,
+  expireOffers,
+  authorize('waitlist_entry', 'respond', loadEntry),
+  async (req, res) => {
+    try {
+      if (!(await waitlist.decline(req.resource))) {
+        return res.status(409).json({ message: 'There is no open offer for this entry' });
+      }
+      res.json({ message: 'Offer declined' });
+    } catch (err) {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+/**
+ * @route DELETE /api/waitlist/:id
+ * @desc Leave the waitlist; a pending offer is passed on
+ * @access Private
+ * @param {string} id - Entry ID
+ * @returns {Object} Success message
+ */
+router.delete('/:id', auth, authorize('waitlist_entry', 'cancel', loadEntry), async (req, res) => {
+  try {
+    if (!(await waitlist.leave(req.resource))) {
+      return res.status(409).json({ message: 'Waitlist entry is already closed' });
+    }
+    res.json({ message: 'Removed from the waitlist successfully' });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,91 @@
+/**
+ * @fileoverview Account lifecycle: deactivation, reactivation and permanent
+ * purge. Deactivation is the normal way to remove a user, since deleting the
+ * row cascades to their clinical history.
+ * @module services/accounts
+ */
+
+const { run, get } = require('../utils/db');
+const { revokeAllForUser } = require('./tokens');
+
+/**
+ * Deactivate an account and end all of its sessions
+ * @param {number} userId - Account to deactivate
+ * @param {number} adminId - Admin performing the deactivation
+ * @param {string} [reason] - Why the account was deactivated
+ * @returns {Promise<boolean>} False if the account was already deactivated
+ */
+async function deactivate(userId, adminId, reason) {
+  const { changes } = await run(
+    `UPDATE users
+     SET deactivated_at = CURRENT_TIMESTAMP, deactivated_by = ?, deactivation_reason = ?,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND deactivated_at IS NULL`,
+    [adminId, reason, userId]
+  );
+  if (changes === 0) {
+    return false;
+  }
+
+  await revokeAllForUser(userId);
+  return true;
+}
+
+/**
+ * Reactivate a deactivated account
+ * @param {number} userId - Account to reactivate
+ * @returns {Promise<boolean>} False if the account was not deactivated
+ */
+async function reactivate(userId) {
+  const { changes } = await run(
+    `UPDATE users
+     SET deactivated_at = NULL, deactivated_by = NULL, deactivation_reason = NULL,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND deactivated_at IS NOT NULL`,
+    [userId]
+  );
+  return changes > 0;
+}
+
+/**
+ * Count the rows deleting a clinician would remove from other patients' charts
+ * @param {number} userId - Account about to be purged
+ * @returns {Promise<number>} Number of medical records, record revisions, signatures, addenda and test results authored
+ */
+async function countAuthoredRecords(userId) {
+  const { count } = await get(
+    `SELECT (SELECT COUNT(*) FROM medical_records WHERE doctor_id = ? OR signed_by = ?)
+          + (SELECT COUNT(*) FROM medical_record_revisions WHERE author_id = ?)
+          + (SELECT COUNT(*) FROM medical_record_addenda WHERE author_id = ?)
+          + (SELECT COUNT(*) FROM test_results WHERE doctor_id = ? OR biologist_id = ?) as count`,
+    [userId, userId, userId, userId, userId, userId]
+  );
+  return count;
+}
+
+/**
+ * Count a patient's medical records, whose revisions must be kept
+ * @param {number} userId - Account about to be purged
+ * @returns {Promise<number>} Number of medical records about the user
+ */
+async function countPatientRecords(userId) {
+  const { count } = await get('SELECT COUNT(*) as count FROM medical_records WHERE patient_id = ?', [userId]);
+  return count;
+}
+
+/**
+ * Permanently delete an account and, through the cascade, everything it owns
+ * @param {number} userId - Account to purge
+ * @returns {Promise<void>}
+ */
+async function purge(userId) {
+  await run('DELETE FROM users WHERE id = ?', [userId]);
+}
+
+module.exports = {
+  deactivate,
+  reactivate,
+  countAuthoredRecords,
+  countPatientRecords,
+  purge
+};
@@ -0,0 +1,161 @@
+/**
+ * @fileoverview Appointment status state machine: which transitions exist,
+ * which roles may make them, and the timestamps and cancellation details
+ * recorded along the way
+ * @module services/appointment-lifecycle
+ *
+ *   requested -> confirmed -> checked_in -> in_progress -> completed
+ *       |            |-> no_show (once the start time has passed)
+ *       '------------'-> cancelled
+ */
+
+const { run, all, transaction } = require('../utils/db');
+
+const STATUSES = ['requested', 'confirmed', 'checked_in', 'in_progress', 'completed', 'no_show', 'cancelled'];
+
+/** Statuses of upcoming appointments, which can still be moved or cancelled */
+const OPEN_STATUSES = ['requested', 'confirmed'];
+
+/** Roles allowed to make each transition, by current and next status */
+const TRANSITIONS = {
+  requested: {
+    confirmed: ['doctor', 'admin'],
+    cancelled: ['patient', 'doctor', 'admin']
+  },
+  confirmed: {
+    checked_in: ['doctor', 'admin'],
+    no_show: ['doctor', 'admin'],
+    cancelled: ['patient', 'doctor', 'admin']
+  },
+  checked_in: {
+    in_progress: ['doctor']
+  },
+  in_progress: {
+    completed: ['doctor']
+  }
+};
+
+const TIMESTAMP_COLUMNS = {
+  confirmed: 'confirmed_at',
+  checked_in: 'checked_in_at',
+  in_progress: 'started_at',
+  completed: 'completed_at',
+  no_show: 'no_show_at',
+  cancelled: 'cancelled_at'
+};
+
+const LATE_CANCELLATION_HOURS = parseInt(process.env.LATE_CANCELLATION_HOURS, 10) || 24;
+
+/**
+ * The role a user acts in; a proxy acts as the patient
+ * @param {Object} user - Authenticated user (req.user)
+ * @returns {string} Role
+ */
+function actingRole(user) {
+  return user.acting_for ? 'patient' : user.role;
+}
+
+/**
+ * Why a user may not move an appointment to a status
+ * @param {Object} appointment - Appointment row
+ * @param {string} status - Requested status
+ * @param {Object} user - Authenticated user (req.user)
+ * @returns {{code: number, message: string}|null} HTTP status and message, or null if allowed
+ */
+function checkTransition(appointment, status, user) {
+  const roles = (TRANSITIONS[appointment.status] || {})[status];
+  if (!roles) {
+    return { code: 409, message: `Cannot change an appointment from ${appointment.status} to ${status}` };
+  }
+  if (!roles.includes(actingRole(user))) {
+    return { code: 403, message: `Access denied: your role cannot mark an appointment as ${status}` };
+  }
+  if (status === 'no_show' && new Date(appointment.appointment_date) > new Date()) {
+    return { code: 409, message: 'An appointment cannot be marked as a no-show before it starts' };
+  }
+  return null;
+}
+
+/**
+ * Move appointments to a status, recording when. Cancellations also record
+ * who cancelled and why, and are flagged late when the patient side cancels
+ * within LATE_CANCELLATION_HOURS of the start. An appointment whose status
+ * changed since it was read is left alone.
+ * @param {Array<Object>} appointments - Appointments, already checked with checkTransition
+ * @param {string} status - New status
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {string} [reason] - Cancellation reason
+ * @returns {Promise<Array<Object>>} The appointments that were changed
+ */
+async function transition(appointments, status, user, reason) {
+  if (!appointments.length) {
+    return [];
+  }
+
+  let sql = `UPDATE appointments
+             SET status = ?, ${TIMESTAMP_COLUMNS[status]} = CURRENT_TIMESTAMP, sequence = sequence + 1,
+                 updated_at = CURRENT_TIMESTAMP`;
+  const params = [status];
+
+  if (status === 'cancelled') {
+    const cutoff = new Date(Date.now() + LATE_CANCELLATION_HOURS * 3600000).toISOString();
+    sql += `, cancelled_by = ?, cancellation_reason = ?,
+             late_cancellation = CASE WHEN ? AND appointment_date < ? THEN 1 ELSE 0 END`;
+    params.push(user.id, reason, actingRole(user) === 'patient' ? 1 : 0, cutoff);
+  }
+
+  const fromStatuses = [...new Set(appointments.map(appointment => appointment.status))];
+
+  const changedIds = await transaction(async () => {
+    const ids = [];
+    for (const from of fromStatuses) {
+      const candidates = appointments.filter(appointment => appointment.status === from).map(appointment => appointment.id);
+      const placeholders = candidates.map(() => '?').join(', ');
+      const unchanged = await all(
+        `SELECT id FROM appointments WHERE id IN (${placeholders}) AND status = ?`,
+        [...candidates, from]
+      );
+      if (!unchanged.length) {
+        continue;
+      }
+      await run(
+        `${sql} WHERE id IN (${placeholders}) AND status = ?`,
+        [...params, ...candidates, from]
+      );
+      ids.push(...unchanged.map(row => row.id));
+    }
+    return ids;
+  });
+
+  return appointments.filter(appointment => changedIds.includes(appointment.id));
+}
+
+/**
+ * No-show and late cancellation counts per patient
+ * @param {{clause: string, params: Array}} filter - Restriction on the appointments counted (alias a)
+ * @returns {Promise<Array<Object>>} One row per patient
+ */
+function attendance(filter) {
+  return all(
+    `SELECT a.patient_id, u.first_name, u.last_name,
+            COUNT(*) as appointment_count,
+            SUM(a.status = 'completed') as completed_count,
+            SUM(a.status = 'no_show') as no_show_count,
+            SUM(a.late_cancellation) as late_cancellation_count
+     FROM appointments a
+     JOIN users u ON a.patient_id = u.id
+     WHERE ${filter.clause}
+     GROUP BY a.patient_id
+     ORDER BY no_show_count DESC, u.last_name, u.first_name`,
+    filter.params
+  );
+}
+
+module.exports = {
+  STATUSES,
+  OPEN_STATUSES,
+  LATE_CANCELLATION_HOURS,
+  checkTransition,
+  transition,
+  attendance
+};
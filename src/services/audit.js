@@ -0,0 +1,155 @@
+/**
+ * @fileoverview Audit log of reads and writes of patient data
+ * @module services/audit
+ */
+
+const { run, get, all } = require('../utils/db');
+
+// Never copied into a diff
+const SECRET_FIELDS = ['password', 'totp_secret'];
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Field-level difference between two versions of a row
+ * @param {Object} [before] - Row before the change
+ * @param {Object} [after] - Row after the change
+ * @returns {Object|null} Map of field to {from, to}, or null if nothing changed
+ */
+function diff(before, after) {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const field of fields) {
+    if (SECRET_FIELDS.includes(field)) {
+      continue;
+    }
+    const from = before && before[field] !== undefined ? before[field] : null;
+    const to = after && after[field] !== undefined ? after[field] : null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from, to };
+    }
+  }
+  return Object.keys(changes).length ? changes : null;
+}
+
+/**
+ * Write an audit entry
+ * @param {Object} entry - Entry details
+ * @param {number} entry.actorId - User who performed the action
+ * @param {number} [entry.patientId] - Patient whose data was touched
+ * @param {string} entry.resource - Resource name
+ * @param {string|number} [entry.resourceId] - Row ID
+ * @param {string} entry.action - list, read, create, update or delete
+ * @param {Object} [entry.changes] - Diff for writes
+ * @param {string} [entry.ipAddress] - Client IP
+ * @param {string} [entry.path] - Request method and path
+ * @returns {Promise<void>}
+ */
+async function record({ actorId, patientId, resource, resourceId, action, changes, ipAddress, path }) {
+  await run(
+    `INSERT INTO audit_log (actor_id, patient_id, resource, resource_id, action, changes, ip_address, path)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [actorId, patientId || null, resource, resourceId || null, action,
+     changes ? JSON.stringify(changes) : null, ipAddress, path]
+  );
+}
+
+/**
+ * Parse the stored diff
+ * @param {Object} entry - Audit row
+ * @returns {Object} Entry with changes as an object
+ */
+function withChanges(entry) {
+  return { ...entry, changes: entry.changes ? JSON.parse(entry.changes) : null };
+}
+
+/**
+ * Search the audit log
+ * @param {Object} filters - Filters
+ * @param {number} [filters.patientId] - Patient whose data was touched
+ * @param {number} [filters.actorId] - Acting user
+ * @param {string} [filters.resource] - Resource name
+ * @param {string} [filters.action] - Action name
+ * @param {string} [filters.from] - ISO start date (inclusive)
+ * @param {string} [filters.to] - ISO end date or time (inclusive; a date covers the whole day)
+ * @param {number} [filters.limit] - Page size (default 50)
+ * @param {number} [filters.offset] - Rows to skip
+ * @returns {Promise<{total: number, entries: Array<Object>}>} Matching entries, newest first
+ */
+async function search({ patientId, actorId, resource, action, from, to, limit = 50, offset = 0 }) {
+  let where = 'WHERE 1=1';
+  const params = [];
+
+  if (patientId) {
+    where += ' AND a.patient_id = ?';
+    params.push(patientId);
+  }
+  if (actorId) {
+    where += ' AND a.actor_id = ?';
+    params.push(actorId);
+  }
+  if (resource) {
+    where += ' AND a.resource = ?';
+    params.push(resource);
+  }
+  if (action) {
+    where += ' AND a.action = ?';
+    params.push(action);
+  }
+  if (from) {
+    where += ' AND a.created_at >= datetime(?)';
+    params.push(from);
+  }
+  if (to) {
+    // A date on its own covers the whole day, not just its first second
+    where += DATE_ONLY.test(to) ? " AND a.created_at < datetime(?, '+1 day')" : ' AND a.created_at <= datetime(?)';
+    params.push(to);
+  }
+
+  const { total } = await get(`SELECT COUNT(*) as total FROM audit_log a ${where}`, params);
+  const entries = await all(
+    `SELECT a.*, u.first_name as actor_first_name, u.last_name as actor_last_name, u.role as actor_role
+     FROM audit_log a
+     LEFT JOIN users u ON a.actor_id = u.id
+     ${where}
+     ORDER BY a.created_at DESC, a.id DESC
+     LIMIT ? OFFSET ?`,
+    [...params, limit, offset]
+  );
+
+  return { total, entries: entries.map(withChanges) };
+}
+
+/**
+ * Who other than the patient accessed the patient's data
+ * @param {number} patientId - Patient ID
+ * @param {Object} [page] - Pagination
+ * @param {number} [page.limit] - Page size (default 50)
+ * @param {number} [page.offset] - Rows to skip
+ * @returns {Promise<{total: number, entries: Array<Object>}>} Accesses, newest first
+ */
+async function accessesTo(patientId, { limit = 50, offset = 0 } = {}) {
+  const where = 'WHERE a.patient_id = ? AND a.actor_id != a.patient_id';
+
+  const { total } = await get(`SELECT COUNT(*) as total FROM audit_log a ${where}`, [patientId]);
+  const entries = await all(
+    `SELECT a.id, a.resource, a.resource_id, a.action, a.created_at,
+            u.first_name as actor_first_name, u.last_name as actor_last_name, u.role as actor_role
+     FROM audit_log a
+     LEFT JOIN users u ON a.actor_id = u.id
+     ${where}
+     ORDER BY a.created_at DESC, a.id DESC
+     LIMIT ? OFFSET ?`,
+    [patientId, limit, offset]
+  );
+
+  return { total, entries };
+}
+
+module.exports = {
+  diff,
+  record,
+  search,
+  accessesTo
+};
@@ -0,0 +1,144 @@
+/**
+ * @fileoverview Evaluation of the permission matrix in config/policies,
+ * both against a loaded row and as a SQL filter for list queries
+ * @module services/authorization
+ */
+
+const { POLICIES } = require('../config/policies');
+const { CARE_TEAM_PATIENTS_SQL, isOnCareTeam } = require('./care-team');
+
+/**
+ * Condition implementations. check() decides for a single row; sql()
+ * returns the equivalent WHERE fragment, with columns prefixed by the
+ * table alias used in the calling query.
+ */
+const CONDITIONS = {
+  any: {
+    check: () => true,
+    sql: () => ({ clause: '1=1', params: [] })
+  },
+  self: {
+    check: (user, row) => parseInt(row.patient_id) === user.id,
+    sql: (user, p) => ({ clause: `${p}patient_id = ?`, params: [user.id] })
+  },
+  care_team: {
+    check: (user, row) => isOnCareTeam(user.id, row.patient_id),
+    sql: (user, p) => ({ clause: `${p}patient_id IN (${CARE_TEAM_PATIENTS_SQL})`, params: [user.id] })
+  },
+  author: {
+    check: (user, row) => row.doctor_id === user.id,
+    sql: (user, p) => ({ clause: `${p}doctor_id = ?`, params: [user.id] })
+  },
+  participant: {
+    check: (user, row) => row.patient_id === user.id || row.doctor_id === user.id,
+    sql: (user, p) => ({ clause: `(${p}patient_id = ? OR ${p}doctor_id = ?)`, params: [user.id, user.id] })
+  },
+  correspondent: {
+    check: (user, row) => row.sender_id === user.id || row.receiver_id === user.id,
+    sql: (user, p) => ({ clause: `(${p}sender_id = ? OR ${p}receiver_id = ?)`, params: [user.id, user.id] })
+  },
+  receiver: {
+    check: (user, row) => row.receiver_id === user.id,
+    sql: (user, p) => ({ clause: `${p}receiver_id = ?`, params: [user.id] })
+  },
+  recipient: {
+    check: (user, row) => row.user_id === user.id,
+    sql: (user, p) => ({ clause: `${p}user_id = ?`, params: [user.id] })
+  },
+  lab_queue: {
+    check: (user, row) => !row.biologist_id || row.biologist_id === user.id,
+    sql: (user, p) => ({ clause: `(${p}biologist_id IS NULL OR ${p}biologist_id = ?)`, params: [user.id] })
+  },
+  // Implied by a 'proxy' entry; see config/policies
+  acting_for: {
+    check: (user, row) => parseInt(row.patient_id) === user.acting_for.patient_id,
+    sql: (user, p) => ({ clause: `${p}patient_id = ?`, params: [user.acting_for.patient_id] })
+  }
+};
+
+/**
+ * Conditions that apply to a user for an action
+ * @param {string} resource - Resource name
+ * @param {string} action - Action name
+ * @param {Object} user - Authenticated user (req.user)
+ * @returns {Array<string>|null} Condition names, or null if the user may not act at all
+ */
+function conditionsFor(resource, action, user) {
+  const actions = POLICIES[resource];
+  if (!actions || !actions[action]) {
+    throw new Error(`No policy for ${resource}.${action}`);
+  }
+
+  const proxyScope = actions[action].proxy;
+  if (user.acting_for && proxyScope) {
+    return user.acting_for.scopes.includes(proxyScope) ? ['acting_for'] : null;
+  }
+
+  const rule = actions[action][user.role];
+  if (!rule) {
+    return null;
+  }
+  return Array.isArray(rule) ? rule : [rule];
+}
+
+/**
+ * Whether the user may perform the action on at least some rows
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {string} resource - Resource name
+ * @param {string} action - Action name
+ * @returns {boolean} True if the policy lets the user act
+ */
+function roleAllowed(user, resource, action) {
+  return conditionsFor(resource, action, user) !== null;
+}
+
+/**
+ * Whether a user may perform an action on a row
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {string} resource - Resource name
+ * @param {string} action - Action name
+ * @param {Object} row - Targeted row, or the row about to be created
+ * @returns {Promise<boolean>} True if every condition holds
+ */
+async function can(user, resource, action, row) {
+  const conditions = conditionsFor(resource, action, user);
+  if (!conditions) {
+    return false;
+  }
+
+  for (const name of conditions) {
+    if (!(await CONDITIONS[name].check(user, row))) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * WHERE fragment restricting a query to the rows a user may act on
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {string} resource - Resource name
+ * @param {string} action - Action name
+ * @param {string} [alias] - Table alias used in the query
+ * @returns {{clause: string, params: Array}|null} Filter, or null if the user may not act at all
+ */
+function scope(user, resource, action, alias) {
+  const conditions = conditionsFor(resource, action, user);
+  if (!conditions) {
+    return null;
+  }
+
+  const prefix = alias ? `${alias}.` : '';
+  const parts = conditions.map(name => CONDITIONS[name].sql(user, prefix));
+  return {
+    clause: parts.map(part => part.clause).join(' AND '),
+    params: parts.flatMap(part => part.params)
+  };
+}
+
+module.exports = {
+  CONDITIONS,
+  roleAllowed,
+  can,
+  scope
+};
@@ -0,0 +1,314 @@
+/**
+ * @fileoverview Doctor schedules and free appointment slots
+ * @module services/availability
+ *
+ * A doctor's week is made of working hours (per weekday, each with its own
+ * slot length) minus recurring breaks, and one-off time off is removed on
+ * top. Doctors who have not published working hours are assumed to work the
+ * clinic's default hours. Working hours can name the clinic location the
+ * doctor works at then; appointments take that location. Weekdays follow
+ * Date#getDay (0 is Sunday) and times are in the server's time zone.
+ */
+
+const { run, get, all, transaction } = require('../utils/db');
+
+const DEFAULT_WORKING_HOURS = [1, 2, 3, 4, 5].map(weekday => ({
+  weekday,
+  start_time: '09:00',
+  end_time: '17:00',
+  slot_minutes: 30,
+  location_id: null
+}));
+const DEFAULT_SLOT_MINUTES = 30;
+const SEARCH_HORIZON_DAYS = 60;
+
+/**
+ * Minutes after midnight of an "HH:MM" time
+ * @param {string} time - Time of day
+ * @returns {number} Minutes
+ */
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Date at a number of minutes after the midnight of a day
+ * @param {Date} day - Any time on the day
+ * @param {number} minutes - Minutes after midnight
+ * @returns {Date} Resulting time
+ */
+function atMinutes(day, minutes) {
+  const date = new Date(day);
+  date.setHours(0, minutes, 0, 0);
+  return date;
+}
+
+/**
+ * Midnight at the start of the following day
+ * @param {Date} day - Any time on the day
+ * @returns {Date} Next midnight
+ */
+function nextDay(day) {
+  const next = atMinutes(day, 0);
+  next.setDate(next.getDate() + 1);
+  return next;
+}
+
+/**
+ * Whether two half-open intervals overlap
+ * @param {Date|number} startA - Start of the first interval
+ * @param {Date|number} endA - End of the first interval
+ * @param {Date|number} startB - Start of the second interval
+ * @param {Date|number} endB - End of the second interval
+ * @returns {boolean} True if [startA, endA) and [startB, endB) overlap
+ */
+function overlaps(startA, endA, startB, endB) {
+  return startA < endB && startB < endA;
+}
+
+/**
+ * A doctor's weekly schedule and upcoming time off
+ * @param {number} doctorId - Doctor ID
+ * @returns {Promise<Object>} Working hours, breaks, time off and whether defaults apply
+ */
+async function getSchedule(doctorId) {
+  const hours = await all(
+    `SELECT h.weekday, h.start_time, h.end_time, h.slot_minutes, h.location_id, l.name as location_name
+     FROM doctor_working_hours h
+     LEFT JOIN locations l ON h.location_id = l.id
+     WHERE h.doctor_id = ? ORDER BY h.weekday, h.start_time`,
+    [doctorId]
+  );
+  const breaks = await all(
+    `SELECT weekday, start_time, end_time FROM doctor_breaks
+     WHERE doctor_id = ? ORDER BY weekday, start_time`,
+    [doctorId]
+  );
+  const timeOff = await all(
+    `SELECT id, starts_at, ends_at, reason FROM doctor_time_off
+     WHERE doctor_id = ? AND ends_at > ? ORDER BY starts_at`,
+    [doctorId, new Date().toISOString()]
+  );
+
+  return {
+    uses_default_hours: hours.length === 0,
+    working_hours: hours.length ? hours : DEFAULT_WORKING_HOURS,
+    breaks,
+    time_off: timeOff
+  };
+}
+
+/**
+ * Replace a doctor's weekly working hours and breaks
+ * @param {number} doctorId - Doctor ID
+ * @param {Array<Object>} hours - {weekday, start_time, end_time, slot_minutes, location_id}
+ * @param {Array<Object>} breaks - {weekday, start_time, end_time}
+ * @returns {Promise<Object>} The new schedule
+ */
+async function setWeeklySchedule(doctorId, hours, breaks) {
+  await transaction(async () => {
+    await run('DELETE FROM doctor_working_hours WHERE doctor_id = ?', [doctorId]);
+    await run('DELETE FROM doctor_breaks WHERE doctor_id = ?', [doctorId]);
+
+    for (const entry of hours) {
+      await run(
+        `INSERT INTO doctor_working_hours (doctor_id, weekday, start_time, end_time, slot_minutes, location_id)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [doctorId, entry.weekday, entry.start_time, entry.end_time, entry.slot_minutes || DEFAULT_SLOT_MINUTES,
+          entry.location_id || null]
+      );
+    }
+    for (const entry of breaks) {
+      await run(
+        `INSERT INTO doctor_breaks (doctor_id, weekday, start_time, end_time)
+         VALUES (?, ?, ?, ?)`,
+        [doctorId, entry.weekday, entry.start_time, entry.end_time]
+      );
+    }
+  });
+
+  return getSchedule(doctorId);
+}
+
+/**
+ * Add a period of time off
+ * @param {number} doctorId - Doctor ID
+ * @param {string} startsAt - ISO start
+ * @param {string} endsAt - ISO end
+ * @param {string} [reason] - e.g. holiday, conference
+ * @returns {Promise<Object>} Created entry
+ */
+async function addTimeOff(doctorId, startsAt, endsAt, reason) {
+  const { lastID } = await run(
+    `INSERT INTO doctor_time_off (doctor_id, starts_at, ends_at, reason)
+     VALUES (?, ?, ?, ?)`,
+    [doctorId, new Date(startsAt).toISOString(), new Date(endsAt).toISOString(), reason]
+  );
+  return get('SELECT * FROM doctor_time_off WHERE id = ?', [lastID]);
+}
+
+/**
+ * Remove a period of time off
+ * @param {number} doctorId - Doctor who owns the entry
+ * @param {number} timeOffId - Entry ID
+ * @returns {Promise<boolean>} False if not found
+ */
+async function removeTimeOff(doctorId, timeOffId) {
+  const { changes } = await run(
+    'DELETE FROM doctor_time_off WHERE id = ? AND doctor_id = ?',
+    [timeOffId, doctorId]
+  );
+  return changes > 0;
+}
+
+/**
+ * Booked, non-cancelled appointments of a doctor, and slots held for a
+ * waitlisted patient, as intervals
+ * @param {number} doctorId - Doctor ID
+ * @param {Array<number>} [excludeIds] - Appointments to leave out, e.g. the ones being moved
+ * @returns {Promise<Array<{start: number, end: number}>>} Intervals in milliseconds
+ */
+async function bookedIntervals(doctorId, excludeIds = []) {
+  const rows = await all(
+    `SELECT appointment_date, duration_minutes FROM appointments
+     WHERE doctor_id = ? AND status != 'cancelled'
+       ${excludeIds.length ? `AND id NOT IN (${excludeIds.map(() => '?').join(', ')})` : ''}
+     UNION ALL
+     SELECT offered_date, offered_minutes FROM waitlist_entries
+     WHERE doctor_id = ? AND status = 'offered' AND offer_expires_at > ?`,
+    [doctorId, ...excludeIds, doctorId, new Date().toISOString()]
+  );
+  return rows.map(row => {
+    const start = new Date(row.appointment_date).getTime();
+    return { start, end: start + row.duration_minutes * 60000 };
+  });
+}
+
+/**
+ * Slots a schedule offers in a time range, ignoring bookings
+ * @param {Object} schedule - Result of getSchedule
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @returns {Array<{start: Date, end: Date, location_id: number|null}>} Slots in chronological order
+ */
+function scheduledSlots(schedule, from, to) {
+  const slots = [];
+  const timeOff = schedule.time_off.map(entry => ({
+    start: new Date(entry.starts_at).getTime(),
+    end: new Date(entry.ends_at).getTime()
+  }));
+
+  for (let day = atMinutes(from, 0); day < to; day = nextDay(day)) {
+    const weekday = day.getDay();
+    const breaks = schedule.breaks
+      .filter(entry => entry.weekday === weekday)
+      .map(entry => ({ start: atMinutes(day, toMinutes(entry.start_time)), end: atMinutes(day, toMinutes(entry.end_time)) }));
+
+    for (const hours of schedule.working_hours.filter(entry => entry.weekday === weekday)) {
+      const end = toMinutes(hours.end_time);
+      for (let minute = toMinutes(hours.start_time); minute + hours.slot_minutes <= end; minute += hours.slot_minutes) {
+        const slot = {
+          start: atMinutes(day, minute),
+          end: atMinutes(day, minute + hours.slot_minutes),
+          location_id: hours.location_id
+        };
+        if (slot.start < from || slot.end > to) {
+          continue;
+        }
+        if (breaks.some(entry => overlaps(slot.start, slot.end, entry.start, entry.end))) {
+          continue;
+        }
+        if (timeOff.some(entry => overlaps(slot.start.getTime(), slot.end.getTime(), entry.start, entry.end))) {
+          continue;
+        }
+        slots.push(slot);
+      }
+    }
+  }
+
+  return slots.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Free slots of a doctor in a time range. Slots in the past are never free.
+ * @param {number} doctorId - Doctor ID
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @param {Array<number>} [excludeIds] - Appointments whose slots count as free
+ * @returns {Promise<Array<{start: string, end: string, location_id: number|null}>>} ISO slot boundaries and location
+ */
+async function freeSlots(doctorId, from, to, excludeIds = []) {
+  const now = new Date();
+  const schedule = await getSchedule(doctorId);
+  const booked = await bookedIntervals(doctorId, excludeIds);
+
+  return scheduledSlots(schedule, from < now ? now : from, to)
+    .filter(slot => !booked.some(entry => overlaps(slot.start.getTime(), slot.end.getTime(), entry.start, entry.end)))
+    .map(slot => ({ start: slot.start.toISOString(), end: slot.end.toISOString(), location_id: slot.location_id }));
+}
+
+/**
+ * Whether an appointment can start at a given time: it must start on a free
+ * slot, and if it is longer than the slot the following slots must be free
+ * and back to back with it
+ * @param {number} doctorId - Doctor ID
+ * @param {Date} start - Requested start
+ * @param {number} durationMinutes - Appointment length
+ * @param {Array<number>} [excludeIds] - Appointments being moved, whose slots count as free
+ * @returns {Promise<boolean>} True if the time is bookable
+ */
+async function isBookable(doctorId, start, durationMinutes, excludeIds = []) {
+  const end = start.getTime() + durationMinutes * 60000;
+  const slots = await freeSlots(doctorId, atMinutes(start, 0), nextDay(start), excludeIds);
+
+  let covered = start.getTime();
+  for (const slot of slots) {
+    if (new Date(slot.start).getTime() === covered) {
+      covered = new Date(slot.end).getTime();
+      if (covered >= end) {
+        return true;
+      }
+    }
+  }
+  return false;
+}
+
+/**
+ * The location a doctor works at at a given time
+ * @param {number} doctorId - Doctor ID
+ * @param {Date} start - Time
+ * @returns {Promise<number|null>} Location ID, or null if their hours then name none
+ */
+async function locationAt(doctorId, start) {
+  const { working_hours: hours } = await getSchedule(doctorId);
+  const minutes = start.getHours() * 60 + start.getMinutes();
+  const entry = hours.find(candidate => candidate.weekday === start.getDay() &&
+    toMinutes(candidate.start_time) <= minutes && minutes < toMinutes(candidate.end_time));
+  return entry ? entry.location_id : null;
+}
+
+/**
+ * First free slot of a doctor at or after a given time
+ * @param {number} doctorId - Doctor ID
+ * @param {Date} [from] - Earliest start (defaults to now)
+ * @returns {Promise<string|null>} ISO start time, or null if nothing is free within the horizon
+ */
+async function nextAvailableSlot(doctorId, from = new Date()) {
+  const to = new Date(from.getTime() + SEARCH_HORIZON_DAYS * 86400000);
+  const [slot] = await freeSlots(doctorId, from, to);
+  return slot ? slot.start : null;
+}
+
+module.exports = {
+  DEFAULT_SLOT_MINUTES,
+  toMinutes,
+  getSchedule,
+  setWeeklySchedule,
+  addTimeOff,
+  removeTimeOff,
+  freeSlots,
+  isBookable,
+  locationAt,
+  nextAvailableSlot
+};
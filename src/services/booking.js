@@ -0,0 +1,456 @@
+/**
+ * @fileoverview Appointment booking: types and durations, interval conflict
+ * detection for doctors, patients and the resources a type requires, and
+ * serialized booking so two concurrent requests cannot take the same time.
+ * @module services/booking
+ */
+
+const { run, get, all, transaction } = require('../utils/db');
+const availability = require('./availability');
+const locations = require('./locations');
+const { notify } = require('./notifications');
+const { expand } = require('../utils/recurrence');
+
+const APPOINTMENT_TYPES = ['consultation', 'follow-up', 'emergency'];
+
+/**
+ * Which occurrences of a series a change applies to
+ * - this: only the addressed appointment
+ * - following: the addressed appointment and the later ones
+ * - all: every occurrence
+ */
+const SERIES_SCOPES = ['this', 'following', 'all'];
+
+/** Default length in minutes of each appointment type */
+const TYPE_DURATIONS = {
+  consultation: parseInt(process.env.APPOINTMENT_MINUTES_CONSULTATION, 10) || 30,
+  'follow-up': parseInt(process.env.APPOINTMENT_MINUTES_FOLLOW_UP, 10) || 15,
+  emergency: parseInt(process.env.APPOINTMENT_MINUTES_EMERGENCY, 10) || 30
+};
+
+/**
+ * Whether appointments patients book for themselves (or their proxies book)
+ * wait as 'requested' until the doctor confirms them. Staff bookings are
+ * always confirmed.
+ */
+const REQUIRE_CONFIRMATION = process.env.APPOINTMENTS_REQUIRE_CONFIRMATION === 'true';
+
+// End of an appointment in the same ISO format as appointment_date
+const END_SQL = "strftime('%Y-%m-%dT%H:%M:%fZ', appointment_date, '+' || duration_minutes || ' minutes')";
+
+/**
+ * A non-cancelled appointment overlapping an interval
+ * @param {string} column - 'doctor_id' or 'patient_id'
+ * @param {number} userId - Doctor or patient ID
+ * @param {Date} start - Interval start
+ * @param {Date} end - Interval end
+ * @param {Array<number>} excludeIds - Appointments to ignore (the ones being moved)
+ * @returns {Promise<Object|undefined>} First overlapping appointment
+ */
+function findOverlap(column, userId, start, end, excludeIds) {
+  const placeholders = excludeIds.map(() => '?').join(', ');
+  return get(
+    `SELECT * FROM appointments
+     WHERE ${column} = ? AND status != 'cancelled'
+       ${excludeIds.length ? `AND id NOT IN (${placeholders})` : ''}
+       AND appointment_date < ? AND ${END_SQL} > ?
+     ORDER BY appointment_date LIMIT 1`,
+    [userId, ...excludeIds, end.toISOString(), start.toISOString()]
+  );
+}
+
+/**
+ * The location of an appointment and a free resource of each kind its type
+ * requires there. Types without requirements need no location.
+ * @param {Object} booking - Requested appointment
+ * @param {number} booking.doctorId - Doctor ID
+ * @param {Date} booking.start - Start time
+ * @param {number} booking.durationMinutes - Length
+ * @param {string} booking.type - Appointment type
+ * @param {Array<number>} [booking.excludeIds] - Appointments being moved
+ * @returns {Promise<{locationId: number|null, resources?: Array<Object>, conflict?: string}>}
+ *   The location and resources, or why they cannot be had
+ */
+async function findResources({ doctorId, start, durationMinutes, type, excludeIds = [] }) {
+  const locationId = await availability.locationAt(doctorId, start);
+  const kinds = await locations.requiredKinds(type);
+  if (!kinds.length) {
+    return { locationId, resources: [] };
+  }
+  if (!locationId) {
+    return { locationId, conflict: 'The doctor has no clinic location at that time for the resources this type requires' };
+  }
+
+  const end = new Date(start.getTime() + durationMinutes * 60000);
+  const placeholders = excludeIds.map(() => '?').join(', ');
+  const resources = [];
+  for (const kind of kinds) {
+    const resource = await get(
+      `SELECT r.* FROM resources r
+       JOIN locations l ON r.location_id = l.id
+       WHERE r.location_id = ? AND r.kind = ? AND r.is_active = 1 AND l.is_active = 1
+         AND r.id NOT IN (
+           SELECT ar.resource_id FROM appointment_resources ar
+           JOIN appointments ON ar.appointment_id = appointments.id
+           WHERE appointments.status != 'cancelled'
+             ${excludeIds.length ? `AND appointments.id NOT IN (${placeholders})` : ''}
+             AND appointment_date < ? AND ${END_SQL} > ?
+         )
+       ORDER BY r.name, r.id LIMIT 1`,
+      [locationId, kind, ...excludeIds, end.toISOString(), start.toISOString()]
+    );
+    if (!resource) {
+      return { locationId, conflict: `No ${kind} is free at that time at the doctor's location` };
+    }
+    resources.push(resource);
+  }
+  return { locationId, resources };
+}
+
+/**
+ * Set an appointment's location and allocate the resources its type
+ * requires, replacing any it held before. Check with findConflict first.
+ * @param {number} appointmentId - Appointment ID
+ * @param {Object} booking - See findResources
+ * @returns {Promise<Array<Object>>} Allocated resources
+ */
+async function assignResources(appointmentId, booking) {
+  const excludeIds = [appointmentId, ...(booking.excludeIds || [])];
+  const { locationId, resources = [] } = await findResources({ ...booking, excludeIds });
+  await run('UPDATE appointments SET location_id = ? WHERE id = ?', [locationId, appointmentId]);
+  await run('DELETE FROM appointment_resources WHERE appointment_id = ?', [appointmentId]);
+  for (const resource of resources) {
+    await run(
+      'INSERT INTO appointment_resources (appointment_id, resource_id) VALUES (?, ?)',
+      [appointmentId, resource.id]
+    );
+  }
+  return resources;
+}
+
+/**
+ * Resources held by an appointment
+ * @param {number} appointmentId - Appointment ID
+ * @returns {Promise<Array<Object>>} Resources (id, name, kind, location_id)
+ */
+function listResources(appointmentId) {
+  return all(
+    `SELECT r.id, r.name, r.kind, r.location_id
+     FROM appointment_resources ar
+     JOIN resources r ON ar.resource_id = r.id
+     WHERE ar.appointment_id = ?
+     ORDER BY r.kind, r.name`,
+    [appointmentId]
+  );
+}
+
+/**
+ * Why an appointment cannot take place at a given time
+ * @param {Object} booking - Requested appointment
+ * @param {number} booking.doctorId - Doctor ID
+ * @param {number} booking.patientId - Patient ID
+ * @param {Date} booking.start - Start time
+ * @param {number} booking.durationMinutes - Length
+ * @param {string} booking.type - Appointment type, for its required resources
+ * @param {Array<number>} [booking.excludeIds] - Appointments being moved
+ * @returns {Promise<string|null>} Reason, or null if the time is free
+ */
+async function findConflict({ doctorId, patientId, start, durationMinutes, type, excludeIds = [] }) {
+  const end = new Date(start.getTime() + durationMinutes * 60000);
+
+  if (await findOverlap('doctor_id', doctorId, start, end, excludeIds)) {
+    return 'The doctor already has an appointment at that time';
+  }
+  if (await findOverlap('patient_id', patientId, start, end, excludeIds)) {
+    return 'The patient already has an appointment at that time';
+  }
+  if (!(await availability.isBookable(doctorId, start, durationMinutes, excludeIds))) {
+    return 'Requested time is not an available slot for this doctor';
+  }
+  const { conflict } = await findResources({ doctorId, start, durationMinutes, type, excludeIds });
+  return conflict || null;
+}
+
+/**
+ * Book an appointment if the doctor and patient are both free
+ * @param {Object} booking - Appointment details
+ * @param {number} booking.patientId - Patient ID
+ * @param {number} booking.doctorId - Doctor ID
+ * @param {Date} booking.start - Start time
+ * @param {string} [booking.type] - One of APPOINTMENT_TYPES (default consultation)
+ * @param {string} [booking.notes] - Notes
+ * @param {number} booking.bookedBy - User making the booking
+ * @param {string} [booking.status] - requested or confirmed (default)
+ * @returns {Promise<{appointment?: Object, conflict?: string}>} The appointment, or why it was refused
+ */
+function book({ patientId, doctorId, start, type = 'consultation', notes, bookedBy, status }) {
+  const durationMinutes = TYPE_DURATIONS[type];
+
+  return transaction(async () => {
+    const conflict = await findConflict({ doctorId, patientId, start, durationMinutes, type });
+    if (conflict) {
+      return { conflict };
+    }
+    return { appointment: await insertAppointment({ patientId, doctorId, start, type, notes, bookedBy, status }) };
+  });
+}
+
+/**
+ * Insert an appointment without any checks, at the doctor's location for
+ * that time and with the resources its type requires
+ * @param {Object} booking - See book
+ * @param {number} [booking.seriesId] - Series the appointment belongs to
+ * @returns {Promise<Object>} Created appointment, with its resources
+ */
+async function insertAppointment({
+  patientId, doctorId, start, type, notes, bookedBy, seriesId = null, status = 'confirmed'
+}) {
+  const { lastID } = await run(
+    `INSERT INTO appointments
+     (patient_id, doctor_id, appointment_date, duration_minutes, status, confirmed_at, type, notes, booked_by, series_id)
+     VALUES (?, ?, ?, ?, ?, CASE WHEN ? = 'confirmed' THEN CURRENT_TIMESTAMP END, ?, ?, ?, ?)`,
+    [patientId, doctorId, start.toISOString(), TYPE_DURATIONS[type], status, status, type, notes, bookedBy, seriesId]
+  );
+  const resources = await assignResources(lastID, { doctorId, start, durationMinutes: TYPE_DURATIONS[type], type });
+  return { ...(await get('SELECT * FROM appointments WHERE id = ?', [lastID])), resources };
+}
+
+/**
+ * Book a recurring series. Every occurrence is checked like a single
+ * booking; the free ones are booked and the others reported. Nothing is
+ * created if no occurrence is free.
+ * @param {Object} booking - See book, without start
+ * @param {Object} rule - Recurrence rule (see utils/recurrence expand)
+ * @returns {Promise<{series?: Object, appointments: Array<Object>, conflicts: Array<Object>}>}
+ *   The series and its appointments, and the occurrences that could not be booked
+ */
+function bookSeries({ patientId, doctorId, type = 'consultation', notes, bookedBy, status }, rule) {
+  const durationMinutes = TYPE_DURATIONS[type];
+
+  return transaction(async () => {
+    const free = [];
+    const conflicts = [];
+    for (const start of expand(rule)) {
+      const conflict = await findConflict({ doctorId, patientId, start, durationMinutes, type });
+      if (conflict) {
+        conflicts.push({ appointment_date: start.toISOString(), reason: conflict });
+      } else {
+        free.push(start);
+      }
+    }
+    if (!free.length) {
+      return { appointments: [], conflicts };
+    }
+
+    const { lastID: seriesId } = await run(
+      `INSERT INTO appointment_series (patient_id, doctor_id, frequency, interval, count, until, type, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [patientId, doctorId, rule.frequency, rule.interval || 1, rule.count,
+        rule.until ? rule.until.toISOString() : null, type, bookedBy]
+    );
+    const appointments = [];
+    for (const start of free) {
+      appointments.push(await insertAppointment({ patientId, doctorId, start, type, notes, bookedBy, seriesId, status }));
+    }
+
+    return {
+      series: await get('SELECT * FROM appointment_series WHERE id = ?', [seriesId]),
+      appointments,
+      conflicts
+    };
+  });
+}
+
+/**
+ * The upcoming appointments a series-aware change applies to
+ * @param {Object} appointment - Addressed appointment
+ * @param {string} [scope] - One of SERIES_SCOPES (default this)
+ * @returns {Promise<Array<Object>>} Appointments in chronological order
+ */
+async function seriesOccurrences(appointment, scope = 'this') {
+  if (!appointment.series_id || scope === 'this') {
+    return [appointment];
+  }
+
+  return all(
+    `SELECT * FROM appointments
+     WHERE series_id = ? AND status IN ('requested', 'confirmed')
+       ${scope === 'following' ? 'AND appointment_date >= ?' : ''}
+     ORDER BY appointment_date`,
+    scope === 'following' ? [appointment.series_id, appointment.appointment_date] : [appointment.series_id]
+  );
+}
+
+/**
+ * Human-readable form of a stored appointment time
+ * @param {string} value - ISO date
+ * @returns {string} e.g. "2026-03-02 14:30 UTC"
+ */
+function formatTime(value) {
+  return `${new Date(value).toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+}
+
+/**
+ * Move an upcoming appointment to a new time under the same rules as
+ * booking, record the change and notify the patient and the doctor. With a
+ * series scope, the other occurrences are shifted by the same amount, and
+ * nothing moves unless every one of them is free.
+ * @param {Object} appointment - Appointment row
+ * @param {Date} start - New start time
+ * @param {Object} change - Change details
+ * @param {number} change.changedBy - User making the change
+ * @param {string} [change.reason] - Why it was moved
+ * @param {string} [change.scope] - One of SERIES_SCOPES (default this)
+ * @returns {Promise<{appointments?: Array<Object>, conflict?: string}>} The moved appointments, or why they were refused
+ */
+async function reschedule(appointment, start, { changedBy, reason, scope }) {
+  const shift = start.getTime() - new Date(appointment.appointment_date).getTime();
+  const occurrences = await seriesOccurrences(appointment, scope);
+  const moves = occurrences.map(occurrence => ({
+    occurrence,
+    start: new Date(new Date(occurrence.appointment_date).getTime() + shift)
+  }));
+  const ids = occurrences.map(occurrence => occurrence.id);
+
+  const result = await transaction(async () => {
+    for (const move of moves) {
+      const conflict = await findConflict({
+        doctorId: appointment.doctor_id,
+        patientId: appointment.patient_id,
+        start: move.start,
+        durationMinutes: move.occurrence.duration_minutes,
+        type: move.occurrence.type,
+        excludeIds: ids
+      });
+      if (conflict) {
+        return { conflict: moves.length > 1 ? `${formatTime(move.start)}: ${conflict}` : conflict };
+      }
+    }
+
+    for (const move of moves) {
+      await run(
+        `UPDATE appointments SET appointment_date = ?, sequence = sequence + 1, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [move.start.toISOString(), move.occurrence.id]
+      );
+      await assignResources(move.occurrence.id, {
+        doctorId: appointment.doctor_id,
+        start: move.start,
+        durationMinutes: move.occurrence.duration_minutes,
+        type: move.occurrence.type,
+        excludeIds: ids
+      });
+      await run(
+        `INSERT INTO appointment_changes (appointment_id, previous_date, new_date, changed_by, reason)
+         VALUES (?, ?, ?, ?, ?)`,
+        [move.occurrence.id, move.occurrence.appointment_date, move.start.toISOString(), changedBy, reason]
+      );
+    }
+    return {
+      appointments: await all(
+        `SELECT * FROM appointments WHERE id IN (${ids.map(() => '?').join(', ')}) ORDER BY appointment_date`,
+        ids
+      )
+    };
+  });
+
+  if (result.appointments) {
+    const times = moves.map(move => `${formatTime(move.occurrence.appointment_date)} to ${formatTime(move.start)}`);
+    const content = `${moves.length > 1 ? 'Your appointments have been moved' : 'Your appointment has been moved'} ` +
+      `from ${times.join(', from ')}${reason ? `. Reason: ${reason}` : ''}`;
+    for (const userId of [appointment.patient_id, appointment.doctor_id]) {
+      await notify(userId, 'appointment', moves.length > 1 ? 'Appointments rescheduled' : 'Appointment rescheduled', content);
+    }
+  }
+  return result;
+}
+
+/**
+ * Whether a user books as staff, for a patient of their choosing, rather
+ * than as the patient or their proxy
+ * @param {Object} user - Authenticated user (req.user)
+ * @returns {boolean} True for doctors and admins
+ */
+function isStaff(user) {
+  return !user.acting_for && ['doctor', 'admin'].includes(user.role);
+}
+
+/**
+ * Status of the appointments a user books
+ * @param {Object} user - Authenticated user (req.user)
+ * @returns {string} requested when they need the doctor's confirmation, else confirmed
+ */
+function initialStatus(user) {
+  return REQUIRE_CONFIRMATION && !isStaff(user) ? 'requested' : 'confirmed';
+}
+
+/**
+ * Tell the other side about new appointments: the patient when staff booked
+ * them, the doctor when they await confirmation
+ * @param {Array<Object>} appointments - Appointments booked together, in chronological order
+ * @param {Object} bookedBy - User who booked them (req.user)
+ * @returns {Promise<void>}
+ */
+async function notifyBooked(appointments, bookedBy) {
+  const [first] = appointments;
+  const when = appointments.length > 1
+    ? `${appointments.length} appointments starting ${formatTime(first.appointment_date)}`
+    : `an appointment on ${formatTime(first.appointment_date)}`;
+
+  if (isStaff(bookedBy)) {
+    const doctor = await get('SELECT first_name, last_name FROM users WHERE id = ?', [first.doctor_id]);
+    const doctorName = `Dr. ${doctor.first_name} ${doctor.last_name}`;
+    await notify(
+      first.patient_id,
+      'appointment',
+      appointments.length > 1 ? 'Appointments booked' : 'Appointment booked',
+      bookedBy.id === first.doctor_id
+        ? `${doctorName} booked ${when} for you`
+        : `${bookedBy.first_name} ${bookedBy.last_name} booked ${when} for you with ${doctorName}`
+    );
+  }
+  if (first.status === 'requested') {
+    const patient = await get('SELECT first_name, last_name FROM users WHERE id = ?', [first.patient_id]);
+    await notify(
+      first.doctor_id,
+      'appointment',
+      appointments.length > 1 ? 'Appointments requested' : 'Appointment requested',
+      `${patient.first_name} ${patient.last_name} requested ${when}. Confirm or cancel from your appointments.`
+    );
+  }
+}
+
+/**
+ * Rescheduling history of an appointment, oldest first
+ * @param {number} appointmentId - Appointment ID
+ * @returns {Promise<Array<Object>>} Changes with the name of who made them
+ */
+function listChanges(appointmentId) {
+  return all(
+    `SELECT c.id, c.previous_date, c.new_date, c.reason, c.changed_at,
+            c.changed_by, u.first_name as changed_by_first_name, u.last_name as changed_by_last_name
+     FROM appointment_changes c
+     LEFT JOIN users u ON c.changed_by = u.id
+     WHERE c.appointment_id = ?
+     ORDER BY c.id`,
+    [appointmentId]
+  );
+}
+
+module.exports = {
+  APPOINTMENT_TYPES,
+  SERIES_SCOPES,
+  TYPE_DURATIONS,
+  REQUIRE_CONFIRMATION,
+  findConflict,
+  listResources,
+  book,
+  insertAppointment,
+  initialStatus,
+  notifyBooked,
+  bookSeries,
+  seriesOccurrences,
+  reschedule,
+  listChanges,
+  formatTime
+};
@@ -0,0 +1,140 @@
+/**
+ * @fileoverview Appointments as iCalendar: per-user subscription feeds,
+ * authenticated by a secret token in the URL since calendar apps cannot send
+ * an Authorization header, and single-appointment invites
+ * @module services/calendar
+ */
+
+const crypto = require('crypto');
+const { run, get, all } = require('../utils/db');
+const { hashToken } = require('./tokens');
+const { buildCalendar } = require('../utils/ical');
+
+const ICS_DOMAIN = process.env.ICS_DOMAIN || 'healthcare.local';
+
+const APPOINTMENT_SELECT = `
+  SELECT a.*, strftime('%Y-%m-%dT%H:%M:%fZ', a.appointment_date, '+' || a.duration_minutes || ' minutes') as end_date,
+         d.first_name as doctor_first_name, d.last_name as doctor_last_name,
+         p.first_name as patient_first_name, p.last_name as patient_last_name,
+         l.name as location_name, l.address as location_address
+  FROM appointments a
+  JOIN users d ON a.doctor_id = d.id
+  JOIN users p ON a.patient_id = p.id
+  LEFT JOIN locations l ON a.location_id = l.id`;
+
+/**
+ * Create or replace a user's feed token. The previous feed URL stops working.
+ * @param {number} userId - User ID
+ * @returns {Promise<string>} Raw token; only its hash is stored
+ */
+async function issueFeedToken(userId) {
+  const token = crypto.randomBytes(32).toString('hex');
+  await run(
+    `INSERT INTO calendar_feeds (user_id, token_hash) VALUES (?, ?)
+     ON CONFLICT(user_id) DO UPDATE SET token_hash = excluded.token_hash,
+       created_at = CURRENT_TIMESTAMP, last_accessed_at = NULL`,
+    [userId, hashToken(token)]
+  );
+  return token;
+}
+
+/**
+ * Revoke a user's feed token
+ * @param {number} userId - User ID
+ * @returns {Promise<boolean>} False if the user had no feed
+ */
+async function revokeFeedToken(userId) {
+  const { changes } = await run('DELETE FROM calendar_feeds WHERE user_id = ?', [userId]);
+  return changes > 0;
+}
+
+/**
+ * Find the active user a feed token belongs to, recording the access
+ * @param {string} token - Raw token from the feed URL
+ * @returns {Promise<Object|undefined>} User (id, role, first_name, last_name)
+ */
+async function findFeedUser(token) {
+  const user = await get(
+    `SELECT u.id, u.role, u.first_name, u.last_name
+     FROM calendar_feeds f
+     JOIN users u ON f.user_id = u.id
+     WHERE f.token_hash = ? AND u.deactivated_at IS NULL`,
+    [hashToken(token)]
+  );
+  if (user) {
+    await run('UPDATE calendar_feeds SET last_accessed_at = CURRENT_TIMESTAMP WHERE user_id = ?', [user.id]);
+  }
+  return user;
+}
+
+/**
+ * An appointment as a calendar event, titled from the viewer's side. Only
+ * the type is included; notes may hold clinical details and calendars are
+ * often synced to third parties.
+ * @param {Object} appointment - Appointment row from APPOINTMENT_SELECT
+ * @param {number} viewerId - User the calendar is for
+ * @returns {Object} Event for utils/ical
+ */
+function toEvent(appointment, viewerId) {
+  const summary = appointment.doctor_id === viewerId
+    ? `Appointment with ${appointment.patient_first_name} ${appointment.patient_last_name}`
+    : `Appointment with Dr. ${appointment.doctor_first_name} ${appointment.doctor_last_name}`;
+  const status = { requested: 'TENTATIVE', cancelled: 'CANCELLED' }[appointment.status] || 'CONFIRMED';
+
+  return {
+    uid: `appointment-${appointment.id}@${ICS_DOMAIN}`,
+    sequence: appointment.sequence,
+    start: appointment.appointment_date,
+    end: appointment.end_date,
+    // SQLite CURRENT_TIMESTAMP is UTC without a zone designator
+    stamp: `${(appointment.updated_at || appointment.created_at).replace(' ', 'T')}Z`,
+    summary,
+    description: `Type: ${appointment.type}`,
+    location: [appointment.location_name, appointment.location_address].filter(Boolean).join(', '),
+    status
+  };
+}
+
+/**
+ * The subscription feed of a user's non-cancelled appointments
+ * @param {Object} user - Feed owner (see findFeedUser)
+ * @returns {Promise<string>} iCalendar document
+ */
+async function buildFeed(user) {
+  const appointments = await all(
+    `${APPOINTMENT_SELECT}
+     WHERE (a.patient_id = ? OR a.doctor_id = ?) AND a.status != 'cancelled'
+     ORDER BY a.appointment_date`,
+    [user.id, user.id]
+  );
+  return buildCalendar({
+    name: 'Healthcare appointments',
+    method: 'PUBLISH',
+    events: appointments.map(appointment => toEvent(appointment, user.id))
+  });
+}
+
+/**
+ * A single appointment as an invite, or as a cancellation once cancelled
+ * @param {number} appointmentId - Appointment ID
+ * @param {number} viewerId - User downloading it
+ * @returns {Promise<string|null>} iCalendar document, or null if not found
+ */
+async function buildInvite(appointmentId, viewerId) {
+  const appointment = await get(`${APPOINTMENT_SELECT} WHERE a.id = ?`, [appointmentId]);
+  if (!appointment) {
+    return null;
+  }
+  return buildCalendar({
+    method: appointment.status === 'cancelled' ? 'CANCEL' : 'PUBLISH',
+    events: [toEvent(appointment, viewerId)]
+  });
+}
+
+module.exports = {
+  issueFeedToken,
+  revokeFeedToken,
+  findFeedUser,
+  buildFeed,
+  buildInvite
+};
@@ -0,0 +1,125 @@
+/**
+ * @fileoverview Care-team relationships between patients and the doctors
+ * treating them. This is the single relationship the 'care_team' policy
+ * condition uses to decide whether a doctor may see or write a patient's data.
+ * @module services/care-team
+ */
+
+const { run, get, all } = require('../utils/db');
+
+// Dates are stored in SQLite's 'YYYY-MM-DD HH:MM:SS' format so they compare
+// correctly against CURRENT_TIMESTAMP
+const ACTIVE_CONDITION = `started_at <= CURRENT_TIMESTAMP
+  AND (ended_at IS NULL OR ended_at > CURRENT_TIMESTAMP)`;
+
+/**
+ * Subquery selecting the IDs of patients actively under a doctor's care.
+ * Bind the doctor ID where it is used.
+ */
+const CARE_TEAM_PATIENTS_SQL = `SELECT patient_id FROM care_team
+  WHERE doctor_id = ? AND ${ACTIVE_CONDITION}`;
+
+/**
+ * Whether a doctor is actively on a patient's care team
+ * @param {number} doctorId - Doctor ID
+ * @param {number} patientId - Patient ID
+ * @returns {Promise<boolean>} True if the relationship is active
+ */
+async function isOnCareTeam(doctorId, patientId) {
+  const row = await get(
+    `SELECT 1 FROM care_team
+     WHERE doctor_id = ? AND patient_id = ? AND ${ACTIVE_CONDITION}`,
+    [doctorId, patientId]
+  );
+  return Boolean(row);
+}
+
+/**
+ * Add a doctor to a patient's care team unless they are already on it
+ * @param {number} patientId - Patient ID
+ * @param {number} doctorId - Doctor ID
+ * @param {Object} [options] - Assignment details
+ * @param {string} [options.source] - 'appointment' or 'manual'
+ * @param {number} [options.assignedBy] - User who made the assignment
+ * @param {string} [options.startedAt] - ISO start date (defaults to now)
+ * @param {string} [options.endedAt] - ISO end date
+ * @returns {Promise<Object>} The active assignment
+ */
+async function assign(patientId, doctorId, { source = 'manual', assignedBy = null, startedAt, endedAt } = {}) {
+  const existing = await get(
+    `SELECT * FROM care_team
+     WHERE doctor_id = ? AND patient_id = ? AND ${ACTIVE_CONDITION}`,
+    [doctorId, patientId]
+  );
+  if (existing) {
+    return existing;
+  }
+
+  const { lastID } = await run(
+    `INSERT INTO care_team (patient_id, doctor_id, source, assigned_by, started_at, ended_at)
+     VALUES (?, ?, ?, ?, COALESCE(datetime(?), CURRENT_TIMESTAMP), datetime(?))`,
+    [patientId, doctorId, source, assignedBy, startedAt, endedAt]
+  );
+  return get('SELECT * FROM care_team WHERE id = ?', [lastID]);
+}
+
+/**
+ * End an assignment
+ * @param {number} assignmentId - Care team entry ID
+ * @param {string} [endedAt] - ISO end date (defaults to now)
+ * @returns {Promise<Object|null>} Updated entry, or null if not found
+ */
+async function end(assignmentId, endedAt) {
+  const { changes } = await run(
+    `UPDATE care_team SET ended_at = COALESCE(datetime(?), CURRENT_TIMESTAMP)
+     WHERE id = ?`,
+    [endedAt, assignmentId]
+  );
+  if (changes === 0) {
+    return null;
+  }
+  return get('SELECT * FROM care_team WHERE id = ?', [assignmentId]);
+}
+
+/**
+ * List care team entries with doctor and patient names
+ * @param {Object} filters - Filters
+ * @param {number} [filters.patientId] - Restrict to a patient
+ * @param {number} [filters.doctorId] - Restrict to a doctor
+ * @param {boolean} [filters.activeOnly] - Hide ended entries
+ * @returns {Promise<Array<Object>>} Care team entries
+ */
+function list({ patientId, doctorId, activeOnly }) {
+  let query = `SELECT ct.*,
+                      d.first_name as doctor_first_name, d.last_name as doctor_last_name,
+                      d.specialization as doctor_specialization,
+                      p.first_name as patient_first_name, p.last_name as patient_last_name
+               FROM care_team ct
+               JOIN users d ON ct.doctor_id = d.id
+               JOIN users p ON ct.patient_id = p.id
+               WHERE 1=1`;
+  const params = [];
+
+  if (patientId) {
+    query += ' AND ct.patient_id = ?';
+    params.push(patientId);
+  }
+  if (doctorId) {
+    query += ' AND ct.doctor_id = ?';
+    params.push(doctorId);
+  }
+  if (activeOnly) {
+    query += ` AND ct.id IN (SELECT id FROM care_team WHERE ${ACTIVE_CONDITION})`;
+  }
+
+  query += ' ORDER BY ct.started_at DESC';
+  return all(query, params);
+}
+
+module.exports = {
+  CARE_TEAM_PATIENTS_SQL,
+  isOnCareTeam,
+  assign,
+  end,
+  list
+};
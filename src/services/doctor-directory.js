@@ -0,0 +1,133 @@
+/**
+ * @fileoverview Patient-facing directory of active doctors. Only public
+ * profile fields are ever selected; contact details and license numbers
+ * stay admin-only.
+ * @module services/doctor-directory
+ */
+
+const { run, get, all } = require('../utils/db');
+
+const CONSULTATION_TYPES = ['in_person', 'video', 'phone'];
+
+const PUBLIC_FIELDS = 'id, first_name, last_name, specialization, bio, languages, consultation_types';
+
+const ACTIVE_DOCTOR = `role = 'doctor'
+  AND verification_status = 'verified'
+  AND deactivated_at IS NULL`;
+
+/**
+ * Split the stored comma-separated lists
+ * @param {Object} doctor - Doctor row
+ * @returns {Object} Doctor with languages and consultation_types as arrays
+ */
+function withLists(doctor) {
+  const split = value => (value ? value.split(',') : []);
+  return doctor && {
+    ...doctor,
+    languages: split(doctor.languages),
+    consultation_types: split(doctor.consultation_types)
+  };
+}
+
+/**
+ * Search active doctors
+ * @param {Object} filters - Filters
+ * @param {string} [filters.specialization] - Specialization (case-insensitive)
+ * @param {string} [filters.name] - Part of the first or last name
+ * @param {string} [filters.language] - Spoken language
+ * @param {string} [filters.consultationType] - in_person, video or phone
+ * @param {Object} [page] - Paging
+ * @param {number} [page.page] - 1-based page number (default 1)
+ * @param {number} [page.limit] - Page size (default 20)
+ * @returns {Promise<{total: number, page: number, limit: number, doctors: Array<Object>}>} Page of doctors
+ */
+async function searchDoctors({ specialization, name, language, consultationType }, { page = 1, limit = 20 } = {}) {
+  let where = `WHERE ${ACTIVE_DOCTOR}`;
+  const params = [];
+
+  if (specialization) {
+    where += ' AND specialization = ? COLLATE NOCASE';
+    params.push(specialization);
+  }
+  if (name) {
+    where += " AND (first_name || ' ' || last_name) LIKE ? ESCAPE '\\'";
+    params.push(`%${name.replace(/[\\%_]/g, char => `\\${char}`)}%`);
+  }
+  if (language) {
+    where += " AND (',' || languages || ',') LIKE ? COLLATE NOCASE ESCAPE '\\'";
+    params.push(`%,${language.replace(/[\\%_]/g, char => `\\${char}`)},%`);
+  }
+  if (consultationType) {
+    where += " AND (',' || consultation_types || ',') LIKE ?";
+    params.push(`%,${consultationType},%`);
+  }
+
+  const { total } = await get(`SELECT COUNT(*) as total FROM users ${where}`, params);
+  const doctors = await all(
+    `SELECT ${PUBLIC_FIELDS} FROM users ${where}
+     ORDER BY last_name COLLATE NOCASE, first_name COLLATE NOCASE
+     LIMIT ? OFFSET ?`,
+    [...params, limit, (page - 1) * limit]
+  );
+
+  return { total, page, limit, doctors: doctors.map(withLists) };
+}
+
+/**
+ * Specializations offered by active doctors
+ * @returns {Promise<Array<{specialization: string, doctor_count: number}>>} Specializations
+ */
+function listSpecializations() {
+  return all(
+    `SELECT specialization, COUNT(*) as doctor_count
+     FROM users
+     WHERE ${ACTIVE_DOCTOR} AND specialization IS NOT NULL
+     GROUP BY specialization COLLATE NOCASE
+     ORDER BY specialization COLLATE NOCASE`
+  );
+}
+
+/**
+ * Public profile of an active doctor
+ * @param {number} doctorId - Doctor ID
+ * @returns {Promise<Object|undefined>} Profile
+ */
+async function getProfile(doctorId) {
+  const doctor = await get(
+    `SELECT ${PUBLIC_FIELDS} FROM users WHERE id = ? AND ${ACTIVE_DOCTOR}`,
+    [doctorId]
+  );
+  return withLists(doctor);
+}
+
+/**
+ * Update the public profile fields of a doctor; omitted fields are kept
+ * @param {number} doctorId - Doctor ID
+ * @param {Object} profile - Profile fields
+ * @param {string} [profile.bio] - Biography
+ * @param {Array<string>} [profile.languages] - Spoken languages
+ * @param {Array<string>} [profile.consultationTypes] - Subset of CONSULTATION_TYPES
+ * @returns {Promise<Object>} Updated profile
+ */
+async function updateProfile(doctorId, { bio, languages, consultationTypes }) {
+  const join = list => (list ? list.map(item => item.trim()).filter(Boolean).join(',') : null);
+
+  await run(
+    `UPDATE users
+     SET bio = COALESCE(?, bio),
+         languages = COALESCE(?, languages),
+         consultation_types = COALESCE(?, consultation_types),
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [bio, join(languages), join(consultationTypes), doctorId]
+  );
+  return withLists(await get(`SELECT ${PUBLIC_FIELDS} FROM users WHERE id = ?`, [doctorId]));
+}
+
+module.exports = {
+  CONSULTATION_TYPES,
+  searchDoctors,
+  listSpecializations,
+  getProfile,
+  updateProfile
+};
@@ -0,0 +1,183 @@
+/**
+ * @fileoverview Break-the-glass emergency access: a doctor outside the
+ * patient's care team states a reason and gets short-lived read access to
+ * the data needed in an emergency. Every grant notifies the patient and the
+ * admins, and every read is logged for after-the-fact review.
+ * @module services/emergency-access
+ */
+
+const { run, get, all } = require('../utils/db');
+const { notify, notifyAdmins } = require('./notifications');
+const { listRecords } = require('./medical-records');
+
+const EMERGENCY_ACCESS_MINUTES = parseInt(process.env.EMERGENCY_ACCESS_MINUTES, 10) || 60;
+
+/**
+ * Open an emergency access window
+ * @param {Object} doctor - Doctor requesting access (req.user)
+ * @param {Object} patient - Patient row (id, first_name, last_name)
+ * @param {string} reason - Stated reason
+ * @returns {Promise<Object>} Access grant
+ */
+async function grantAccess(doctor, patient, reason) {
+  const { lastID } = await run(
+    `INSERT INTO emergency_access (doctor_id, patient_id, reason, expires_at)
+     VALUES (?, ?, ?, datetime('now', ?))`,
+    [doctor.id, patient.id, reason, `+${EMERGENCY_ACCESS_MINUTES} minutes`]
+  );
+  const access = await get('SELECT * FROM emergency_access WHERE id = ?', [lastID]);
+
+  const doctorName = `Dr. ${doctor.first_name} ${doctor.last_name}`;
+  await notify(
+    patient.id,
+    'system',
+    'Emergency access to your records',
+    `${doctorName} used emergency access to your medical records. Reason: ${reason}`
+  );
+  await notifyAdmins(
+    'system',
+    'Emergency access used',
+    `${doctorName} used emergency access to the records of ${patient.first_name} ${patient.last_name}. Reason: ${reason}`
+  );
+
+  return access;
+}
+
+/**
+ * Get an access grant of a doctor that has not expired yet
+ * @param {number} accessId - Grant ID
+ * @param {number} doctorId - Doctor who must own the grant
+ * @returns {Promise<Object|undefined>} Grant
+ */
+function findActiveAccess(accessId, doctorId) {
+  return get(
+    `SELECT * FROM emergency_access
+     WHERE id = ? AND doctor_id = ? AND expires_at > CURRENT_TIMESTAMP`,
+    [accessId, doctorId]
+  );
+}
+
+/**
+ * Record a read made under an emergency grant
+ * @param {number} accessId - Grant ID
+ * @param {string} resource - What was read
+ * @param {string} [ipAddress] - Client IP
+ * @returns {Promise<void>}
+ */
+async function logUse(accessId, resource, ipAddress) {
+  await run(
+    `INSERT INTO emergency_access_log (access_id, resource, ip_address)
+     VALUES (?, ?, ?)`,
+    [accessId, resource, ipAddress]
+  );
+}
+
+/**
+ * The data released under emergency access
+ * @param {number} patientId - Patient ID
+ * @returns {Promise<Object>} Patient summary, emergency contacts, records with their addenda and test results
+ */
+async function getEmergencyData(patientId) {
+  const patient = await get(
+    `SELECT id, first_name, last_name, phone, blood_type, allergies, emergency_contact
+     FROM users WHERE id = ?`,
+    [patientId]
+  );
+  const emergencyContacts = await all(
+    `SELECT name, relationship, phone, email, is_primary
+     FROM emergency_contacts WHERE patient_id = ?
+     ORDER BY is_primary DESC`,
+    [patientId]
+  );
+  // Signature status and addenda show whether signed content was corrected
+  const medicalRecords = await listRecords({ clause: 'm.patient_id = ?', params: [patientId] });
+  const testResults = await all(
+    'SELECT * FROM test_results WHERE patient_id = ? ORDER BY created_at DESC',
+    [patientId]
+  );
+
+  return {
+    patient,
+    emergency_contacts: emergencyContacts,
+    medical_records: medicalRecords,
+    test_results: testResults
+  };
+}
+
+/**
+ * List emergency access grants with their use counts
+ * @param {Object} filters - Filters
+ * @param {number} [filters.doctorId] - Restrict to a doctor
+ * @param {number} [filters.patientId] - Restrict to a patient
+ * @param {boolean} [filters.unreviewedOnly] - Only grants no admin reviewed yet
+ * @returns {Promise<Array<Object>>} Grants, newest first
+ */
+function listAccesses({ doctorId, patientId, unreviewedOnly }) {
+  let query = `SELECT ea.*,
+                      d.first_name as doctor_first_name, d.last_name as doctor_last_name,
+                      p.first_name as patient_first_name, p.last_name as patient_last_name,
+                      (SELECT COUNT(*) FROM emergency_access_log l WHERE l.access_id = ea.id) as use_count
+               FROM emergency_access ea
+               JOIN users d ON ea.doctor_id = d.id
+               JOIN users p ON ea.patient_id = p.id
+               WHERE 1=1`;
+  const params = [];
+
+  if (doctorId) {
+    query += ' AND ea.doctor_id = ?';
+    params.push(doctorId);
+  }
+  if (patientId) {
+    query += ' AND ea.patient_id = ?';
+    params.push(patientId);
+  }
+  if (unreviewedOnly) {
+    query += ' AND ea.reviewed_at IS NULL';
+  }
+
+  query += ' ORDER BY ea.created_at DESC';
+  return all(query, params);
+}
+
+/**
+ * Get the reads made under a grant
+ * @param {number} accessId - Grant ID
+ * @returns {Promise<Array<Object>>} Log entries
+ */
+function listUses(accessId) {
+  return all(
+    'SELECT * FROM emergency_access_log WHERE access_id = ? ORDER BY created_at',
+    [accessId]
+  );
+}
+
+/**
+ * Mark a grant as reviewed by an admin
+ * @param {number} accessId - Grant ID
+ * @param {number} adminId - Reviewing admin
+ * @param {string} [notes] - Review notes
+ * @returns {Promise<Object|null>} Updated grant, or null if not found
+ */
+async function review(accessId, adminId, notes) {
+  const { changes } = await run(
+    `UPDATE emergency_access
+     SET reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP, review_notes = ?
+     WHERE id = ?`,
+    [adminId, notes, accessId]
+  );
+  if (changes === 0) {
+    return null;
+  }
+  return get('SELECT * FROM emergency_access WHERE id = ?', [accessId]);
+}
+
+module.exports = {
+  EMERGENCY_ACCESS_MINUTES,
+  grantAccess,
+  findActiveAccess,
+  logUse,
+  getEmergencyData,
+  listAccesses,
+  listUses,
+  review
+};
@@ -0,0 +1,219 @@
+/**
+ * @fileoverview Admin invitations for clinical and admin staff, and license
+ * verification of the accounts they create
+ * @module services/invitations
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { run, get, all } = require('../utils/db');
+const { sendMail } = require('../utils/mailer');
+const { hashToken } = require('./tokens');
+const { notify } = require('./notifications');
+
+const INVITATION_TTL_DAYS = parseInt(process.env.INVITATION_TTL_DAYS, 10) || 7;
+
+// Roles whose license number must be approved by an admin
+const LICENSED_ROLES = ['doctor', 'biologist'];
+
+const INVITATION_COLUMNS = `id, email, role, first_name, last_name, specialization,
+  license_number, expires_at, accepted_at, revoked_at, user_id, created_by, created_at`;
+
+/**
+ * Create an invitation and mail the acceptance code to the invitee
+ * @param {Object} details - Pre-filled account details
+ * @param {number} createdBy - Admin creating the invitation
+ * @returns {Promise<Object|null>} Invitation, or null if the email is already registered
+ */
+async function createInvitation(details, createdBy) {
+  const existing = await get('SELECT id FROM users WHERE email = ?', [details.email]);
+  if (existing) {
+    return null;
+  }
+
+  // A new invitation replaces any outstanding one for the same email
+  await run(
+    `UPDATE invitations SET revoked_at = CURRENT_TIMESTAMP
+     WHERE email = ? AND accepted_at IS NULL AND revoked_at IS NULL`,
+    [details.email]
+  );
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + INVITATION_TTL_DAYS * 86400000).toISOString();
+  const { lastID } = await run(
+    `INSERT INTO invitations
+     (email, role, first_name, last_name, specialization, license_number, token_hash, expires_at, created_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [details.email, details.role, details.first_name, details.last_name,
+     details.specialization, details.license_number, hashToken(token), expiresAt, createdBy]
+  );
+
+  const link = process.env.APP_URL
+    ? `\n\n${process.env.APP_URL}/accept-invitation?token=${token}`
+    : '';
+  await sendMail({
+    to: details.email,
+    subject: 'You have been invited to the healthcare platform',
+    text: `Hello ${details.first_name},\n\n` +
+      `You have been invited to join as ${details.role}. ` +
+      `Use the following code to set your password: ${token}${link}\n\n` +
+      `It expires in ${INVITATION_TTL_DAYS} days.`
+  });
+
+  return get(`SELECT ${INVITATION_COLUMNS} FROM invitations WHERE id = ?`, [lastID]);
+}
+
+/**
+ * List invitations, newest first
+ * @returns {Promise<Array<Object>>} Invitations
+ */
+function listInvitations() {
+  return all(`SELECT ${INVITATION_COLUMNS} FROM invitations ORDER BY created_at DESC`);
+}
+
+/**
+ * Revoke an outstanding invitation
+ * @param {number} invitationId - Invitation ID
+ * @returns {Promise<boolean>} False if there is no outstanding invitation with this ID
+ */
+async function revokeInvitation(invitationId) {
+  const { changes } = await run(
+    `UPDATE invitations SET revoked_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND accepted_at IS NULL AND revoked_at IS NULL`,
+    [invitationId]
+  );
+  return changes > 0;
+}
+
+/**
+ * Accept an invitation and create the account. Licensed roles start out
+ * pending verification.
+ * @param {string} token - Raw invitation token
+ * @param {string} password - Password chosen by the invitee
+ * @param {string} [phone] - Phone number
+ * @returns {Promise<Object|null>} Created user, or null if the token is unusable
+ */
+async function acceptInvitation(token, password, phone) {
+  const invitation = await get(
+    'SELECT * FROM invitations WHERE token_hash = ?',
+    [hashToken(token)]
+  );
+  if (!invitation || invitation.accepted_at || invitation.revoked_at ||
+      new Date(invitation.expires_at) <= new Date()) {
+    return null;
+  }
+
+  const { changes } = await run(
+    `UPDATE invitations SET accepted_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND accepted_at IS NULL AND revoked_at IS NULL`,
+    [invitation.id]
+  );
+  if (changes === 0) {
+    return null;
+  }
+
+  const salt = await bcrypt.genSalt(10);
+  const hashedPassword = await bcrypt.hash(password, salt);
+  const status = LICENSED_ROLES.includes(invitation.role) ? 'pending' : 'verified';
+
+  const { lastID } = await run(
+    `INSERT INTO users
+     (email, password, role, first_name, last_name, phone, specialization, license_number, verification_status)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [invitation.email, hashedPassword, invitation.role, invitation.first_name, invitation.last_name,
+     phone, invitation.specialization, invitation.license_number, status]
+  );
+  await run('UPDATE invitations SET user_id = ? WHERE id = ?', [lastID, invitation.id]);
+
+  return {
+    id: lastID,
+    email: invitation.email,
+    role: invitation.role,
+    first_name: invitation.first_name,
+    last_name: invitation.last_name,
+    verification_status: status
+  };
+}
+
+/**
+ * List clinicians waiting for license approval
+ * @returns {Promise<Array<Object>>} Pending users
+ */
+function listPendingVerifications() {
+  return all(
+    `SELECT id, email, role, first_name, last_name, specialization, license_number, created_at
+     FROM users
+     WHERE verification_status = 'pending' AND deactivated_at IS NULL
+     ORDER BY created_at`
+  );
+}
+
+/**
+ * Approve or reject a pending clinician's license and tell them
+ * @param {number} userId - User ID
+ * @param {boolean} approved - Decision
+ * @param {number} adminId - Admin making the decision
+ * @param {string} [notes] - Reason shown to the user
+ * @returns {Promise<Object|null>} Updated status, or null if the user is not pending
+ */
+async function reviewVerification(userId, approved, adminId, notes) {
+  const status = approved ? 'verified' : 'rejected';
+  const { changes } = await run(
+    `UPDATE users
+     SET verification_status = ?, verified_by = ?, verified_at = CURRENT_TIMESTAMP,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND verification_status = 'pending'`,
+    [status, adminId, userId]
+  );
+  if (changes === 0) {
+    return null;
+  }
+
+  await notify(
+    userId,
+    'system',
+    approved ? 'Account verified' : 'Account verification rejected',
+    approved
+      ? 'Your license has been verified. You now have full access to the platform.'
+      : `Your license could not be verified.${notes ? ` Reason: ${notes}` : ''}`
+  );
+
+  return { id: parseInt(userId), verification_status: status };
+}
+
+/**
+ * Change a user's role. A doctor or biologist role puts the account through
+ * license verification, as for an invited clinician; other roles need none.
+ * @param {number} userId - User ID
+ * @param {string} role - New role
+ * @param {Object} [details] - Clinician details
+ * @param {string} [details.specialization] - Specialization
+ * @param {string} [details.licenseNumber] - License number to verify
+ * @returns {Promise<Object|null>} New role and verification status, or null if the user does not exist
+ */
+async function changeRole(userId, role, { specialization, licenseNumber } = {}) {
+  const status = LICENSED_ROLES.includes(role) ? 'pending' : 'verified';
+  const { changes } = await run(
+    `UPDATE users
+     SET role = ?, verification_status = ?, verified_by = NULL, verified_at = NULL,
+         specialization = COALESCE(?, specialization), license_number = COALESCE(?, license_number),
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [role, status, specialization, licenseNumber, userId]
+  );
+  if (changes === 0) {
+    return null;
+  }
+  return { id: parseInt(userId), role, verification_status: status };
+}
+
+module.exports = {
+  LICENSED_ROLES,
+  createInvitation,
+  listInvitations,
+  revokeInvitation,
+  acceptInvitation,
+  listPendingVerifications,
+  reviewVerification,
+  changeRole
+};
@@ -0,0 +1,176 @@
+/**
+ * @fileoverview Clinic locations, their bookable resources (exam rooms,
+ * ECG machines...) and the resource kinds each appointment type requires.
+ * Deactivated locations and resources keep their past appointments but are
+ * not used for new ones.
+ * @module services/locations
+ */
+
+const { run, get, all } = require('../utils/db');
+
+/**
+ * Get locations
+ * @param {boolean} [includeInactive] - Include deactivated locations
+ * @returns {Promise<Array<Object>>} Locations by name
+ */
+function listLocations(includeInactive = false) {
+  return all(
+    `SELECT * FROM locations ${includeInactive ? '' : 'WHERE is_active = 1'} ORDER BY name`
+  );
+}
+
+/**
+ * Get a location
+ * @param {number} id - Location ID
+ * @returns {Promise<Object|undefined>} Location
+ */
+function getLocation(id) {
+  return get('SELECT * FROM locations WHERE id = ?', [id]);
+}
+
+/**
+ * Active locations among some IDs
+ * @param {Array<number>} ids - Location IDs
+ * @returns {Promise<Array<Object>>} The ones that exist and are active
+ */
+function findActiveLocations(ids) {
+  if (!ids.length) {
+    return Promise.resolve([]);
+  }
+  return all(
+    `SELECT * FROM locations WHERE is_active = 1 AND id IN (${ids.map(() => '?').join(', ')})`,
+    ids
+  );
+}
+
+/**
+ * Create a location
+ * @param {Object} location - Location
+ * @param {string} location.name - Unique name
+ * @param {string} [location.address] - Postal address
+ * @returns {Promise<Object|null>} Created location, or null if the name is taken
+ */
+async function createLocation({ name, address }) {
+  if (await get('SELECT id FROM locations WHERE name = ?', [name])) {
+    return null;
+  }
+  const { lastID } = await run('INSERT INTO locations (name, address) VALUES (?, ?)', [name, address]);
+  return getLocation(lastID);
+}
+
+/**
+ * Update a location
+ * @param {number} id - Location ID
+ * @param {Object} fields - name, address and/or is_active
+ * @returns {Promise<Object|null>} Updated location, or null if the name is taken
+ */
+async function updateLocation(id, { name, address, is_active }) {
+  if (name !== undefined && await get('SELECT id FROM locations WHERE name = ? AND id != ?', [name, id])) {
+    return null;
+  }
+  await run(
+    `UPDATE locations
+     SET name = COALESCE(?, name), address = COALESCE(?, address), is_active = COALESCE(?, is_active),
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [name, address, is_active === undefined ? null : Number(is_active), id]
+  );
+  return getLocation(id);
+}
+
+/**
+ * Get the resources of a location
+ * @param {number} locationId - Location ID
+ * @param {boolean} [includeInactive] - Include deactivated resources
+ * @returns {Promise<Array<Object>>} Resources by kind and name
+ */
+function listResources(locationId, includeInactive = false) {
+  return all(
+    `SELECT * FROM resources
+     WHERE location_id = ? ${includeInactive ? '' : 'AND is_active = 1'}
+     ORDER BY kind, name`,
+    [locationId]
+  );
+}
+
+/**
+ * Add a resource to a location
+ * @param {number} locationId - Location ID
+ * @param {Object} resource - Resource
+ * @param {string} resource.name - Name, unique within the location
+ * @param {string} resource.kind - Kind, e.g. exam_room or ecg_machine
+ * @returns {Promise<Object|null>} Created resource, or null if the name is taken
+ */
+async function createResource(locationId, { name, kind }) {
+  if (await get('SELECT id FROM resources WHERE location_id = ? AND name = ?', [locationId, name])) {
+    return null;
+  }
+  const { lastID } = await run(
+    'INSERT INTO resources (location_id, name, kind) VALUES (?, ?, ?)',
+    [locationId, name, kind]
+  );
+  return get('SELECT * FROM resources WHERE id = ?', [lastID]);
+}
+
+/**
+ * Update a resource
+ * @param {Object} resource - Resource row
+ * @param {Object} fields - name, kind and/or is_active
+ * @returns {Promise<Object|null>} Updated resource, or null if the name is taken
+ */
+async function updateResource(resource, { name, kind, is_active }) {
+  if (name !== undefined && await get(
+    'SELECT id FROM resources WHERE location_id = ? AND name = ? AND id != ?',
+    [resource.location_id, name, resource.id]
+  )) {
+    return null;
+  }
+  await run(
+    `UPDATE resources
+     SET name = COALESCE(?, name), kind = COALESCE(?, kind), is_active = COALESCE(?, is_active),
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [name, kind, is_active === undefined ? null : Number(is_active), resource.id]
+  );
+  return get('SELECT * FROM resources WHERE id = ?', [resource.id]);
+}
+
+/**
+ * Resource kinds an appointment type requires
+ * @param {string} type - Appointment type
+ * @returns {Promise<Array<string>>} Kinds, one resource of each is needed
+ */
+async function requiredKinds(type) {
+  const rows = await all(
+    'SELECT resource_kind FROM appointment_type_resources WHERE type = ? ORDER BY resource_kind',
+    [type]
+  );
+  return rows.map(row => row.resource_kind);
+}
+
+/**
+ * Replace the resource kinds an appointment type requires
+ * @param {string} type - Appointment type
+ * @param {Array<string>} kinds - Resource kinds
+ * @returns {Promise<Array<string>>} The new requirements
+ */
+async function setRequiredKinds(type, kinds) {
+  await run('DELETE FROM appointment_type_resources WHERE type = ?', [type]);
+  for (const kind of new Set(kinds)) {
+    await run('INSERT INTO appointment_type_resources (type, resource_kind) VALUES (?, ?)', [type, kind]);
+  }
+  return requiredKinds(type);
+}
+
+module.exports = {
+  listLocations,
+  getLocation,
+  findActiveLocations,
+  createLocation,
+  updateLocation,
+  listResources,
+  createResource,
+  updateResource,
+  requiredKinds,
+  setRequiredKinds
+};
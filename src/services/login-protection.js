@@ -0,0 +1,145 @@
+/**
+ * @fileoverview Brute-force protection for the login endpoints: failed
+ * attempts are recorded per account and per IP address, accounts are
+ * locked temporarily after repeated failures, and addresses that keep
+ * failing are throttled.
+ * @module services/login-protection
+ */
+
+const { run, get, all } = require('../utils/db');
+const { notify } = require('./notifications');
+
+const MAX_FAILED_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 5;
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15;
+const MAX_IP_FAILURES = parseInt(process.env.LOGIN_MAX_ATTEMPTS_PER_IP, 10) || 20;
+const IP_WINDOW_MINUTES = 15;
+
+/**
+ * Seconds until an IP address may try again, or 0 if it is not throttled
+ * @param {string} ip - Client IP address
+ * @returns {Promise<number>} Retry delay in seconds
+ */
+async function ipRetryAfter(ip) {
+  const row = await get(
+    `SELECT COUNT(*) as count, MIN(created_at) as oldest
+     FROM login_attempts
+     WHERE ip_address = ? AND success = 0
+     AND created_at >= datetime('now', ?)`,
+    [ip, `-${IP_WINDOW_MINUTES} minutes`]
+  );
+  if (row.count < MAX_IP_FAILURES) {
+    return 0;
+  }
+
+  const oldest = new Date(`${row.oldest.replace(' ', 'T')}Z`).getTime();
+  return Math.max(1, Math.ceil((oldest + IP_WINDOW_MINUTES * 60000 - Date.now()) / 1000));
+}
+
+/**
+ * Seconds until a locked account unlocks, or 0 if it is not locked
+ * @param {Object} user - User row
+ * @returns {number} Remaining lockout in seconds
+ */
+function accountRetryAfter(user) {
+  if (!user.locked_until) {
+    return 0;
+  }
+  const remaining = new Date(user.locked_until).getTime() - Date.now();
+  return remaining > 0 ? Math.ceil(remaining / 1000) : 0;
+}
+
+/**
+ * Record a failed attempt and lock the account once the limit is reached.
+ * Each lockout doubles in length while failures continue.
+ * @param {string} email - Email the attempt was made for
+ * @param {string} ip - Client IP address
+ * @param {Object} [user] - Matching user row, if the email is registered
+ * @returns {Promise<{locked: boolean, retry_after: number}>} Resulting lock state
+ */
+async function recordFailure(email, ip, user) {
+  await run(
+    'INSERT INTO login_attempts (email, ip_address, success) VALUES (?, ?, 0)',
+    [email, ip]
+  );
+  if (!user) {
+    return { locked: false, retry_after: 0 };
+  }
+
+  const failedCount = (user.failed_login_count || 0) + 1;
+  if (failedCount < MAX_FAILED_ATTEMPTS || failedCount % MAX_FAILED_ATTEMPTS !== 0) {
+    await run('UPDATE users SET failed_login_count = ? WHERE id = ?', [failedCount, user.id]);
+    return { locked: false, retry_after: 0 };
+  }
+
+  const lockouts = failedCount / MAX_FAILED_ATTEMPTS;
+  const minutes = LOCKOUT_MINUTES * 2 ** (lockouts - 1);
+  const lockedUntil = new Date(Date.now() + minutes * 60000).toISOString();
+  await run(
+    'UPDATE users SET failed_login_count = ?, locked_until = ? WHERE id = ?',
+    [failedCount, lockedUntil, user.id]
+  );
+
+  await notify(
+    user.id,
+    'system',
+    'Account temporarily locked',
+    `Your account was locked for ${minutes} minutes after ${failedCount} failed sign-in attempts. ` +
+      'If this was not you, reset your password and contact an administrator.'
+  );
+
+  return { locked: true, retry_after: minutes * 60 };
+}
+
+/**
+ * Record a successful attempt and reset the failure counter
+ * @param {string} email - Email the attempt was made for
+ * @param {string} ip - Client IP address
+ * @param {Object} user - User row
+ * @returns {Promise<void>}
+ */
+async function recordSuccess(email, ip, user) {
+  await run(
+    'INSERT INTO login_attempts (email, ip_address, success) VALUES (?, ?, 1)',
+    [email, ip]
+  );
+  await run(
+    'UPDATE users SET failed_login_count = 0, locked_until = NULL WHERE id = ?',
+    [user.id]
+  );
+}
+
+/**
+ * List accounts that are currently locked
+ * @returns {Promise<Array<Object>>} Locked users
+ */
+function listLockedAccounts() {
+  return all(
+    `SELECT id, email, role, first_name, last_name, failed_login_count, locked_until
+     FROM users
+     WHERE locked_until > ? AND deactivated_at IS NULL
+     ORDER BY locked_until DESC`,
+    [new Date().toISOString()]
+  );
+}
+
+/**
+ * Clear a lockout and the failure counter
+ * @param {number} userId - User ID
+ * @returns {Promise<boolean>} False if the user does not exist
+ */
+async function unlockAccount(userId) {
+  const { changes } = await run(
+    'UPDATE users SET failed_login_count = 0, locked_until = NULL WHERE id = ?',
+    [userId]
+  );
+  return changes > 0;
+}
+
+module.exports = {
+  ipRetryAfter,
+  accountRetryAfter,
+  recordFailure,
+  recordSuccess,
+  listLockedAccounts,
+  unlockAccount
+};
@@ -0,0 +1,245 @@
+/**
+ * @fileoverview Medical records, their version history and sign-off. Every
+ * version of a record is kept as a numbered revision with its author, time
+ * and reason. A record is a draft until a doctor signs it; a signed record is
+ * frozen and only takes addenda. Revisions and addenda are never changed or
+ * deleted, and signed records never changed (the database refuses all three).
+ * @module services/medical-records
+ */
+
+const { run, get, all, transaction } = require('../utils/db');
+
+/** Clinical content captured by each revision */
+const RECORD_FIELDS = ['diagnosis', 'prescription', 'symptoms', 'notes', 'follow_up_date'];
+
+/** Medical records with the names of their doctor and signer */
+const RECORD_SELECT = `
+  SELECT m.*, d.first_name as doctor_first_name, d.last_name as doctor_last_name,
+         s.first_name as signer_first_name, s.last_name as signer_last_name
+  FROM medical_records m
+  JOIN users d ON m.doctor_id = d.id
+  LEFT JOIN users s ON m.signed_by = s.id`;
+
+/** Addenda with the patient and the name of their author */
+const ADDENDUM_SELECT = `
+  SELECT a.*, r.patient_id, u.first_name as author_first_name, u.last_name as author_last_name
+  FROM medical_record_addenda a
+  JOIN medical_records r ON a.record_id = r.id
+  JOIN users u ON a.author_id = u.id`;
+
+/**
+ * Store a record's current content as a revision
+ * @param {Object} record - Medical record row
+ * @param {number} authorId - User who wrote this version
+ * @param {string} [reason] - Why the record was changed
+ * @returns {Promise<void>}
+ */
+async function addRevision(record, authorId, reason) {
+  await run(
+    `INSERT INTO medical_record_revisions
+     (record_id, revision, ${RECORD_FIELDS.join(', ')}, reason, author_id)
+     VALUES (?, ?, ${RECORD_FIELDS.map(() => '?').join(', ')}, ?, ?)`,
+    [record.id, record.revision, ...RECORD_FIELDS.map(field => record[field]), reason, authorId]
+  );
+}
+
+/**
+ * Create a medical record and its first revision
+ * @param {Object} record - Record content
+ * @param {number} record.patientId - Patient ID
+ * @param {number} record.doctorId - Authoring doctor
+ * @param {string} record.diagnosis - Diagnosis
+ * @param {string} [record.prescription] - Prescription
+ * @param {string} [record.notes] - Notes
+ * @returns {Promise<Object>} Created record
+ */
+function createRecord({ patientId, doctorId, diagnosis, prescription, notes }) {
+  return transaction(async () => {
+    const { lastID } = await run(
+      `INSERT INTO medical_records (patient_id, doctor_id, diagnosis, prescription, notes)
+       VALUES (?, ?, ?, ?, ?)`,
+      [patientId, doctorId, diagnosis, prescription, notes]
+    );
+    const record = await get('SELECT * FROM medical_records WHERE id = ?', [lastID]);
+    await addRevision(record, doctorId);
+    return record;
+  });
+}
+
+/**
+ * The fields a change would actually modify
+ * @param {Object} record - Current record row
+ * @param {Object} changes - New values of some of RECORD_FIELDS; undefined ones are kept
+ * @returns {Array<string>} Changed fields
+ */
+function changedFields(record, changes) {
+  return RECORD_FIELDS.filter(field => changes[field] !== undefined && changes[field] !== record[field]);
+}
+
+/**
+ * Save a new version of a record
+ * @param {Object} record - Current draft record row, as read by the caller
+ * @param {Object} changes - New values of some of RECORD_FIELDS; undefined ones are kept
+ * @param {number} authorId - User making the change
+ * @param {string} reason - Why the record is changed
+ * @returns {Promise<{record?: Object, conflict?: string}>} Updated record, or why it was refused
+ */
+function reviseRecord(record, changes, authorId, reason) {
+  const fields = changedFields(record, changes);
+
+  return transaction(async () => {
+    // Only advance from the version the caller read, so two concurrent
+    // edits cannot both become the same revision
+    const { changes: updated } = await run(
+      `UPDATE medical_records
+       SET ${fields.map(field => `${field} = ?`).join(', ')},
+           revision = revision + 1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND revision = ? AND status = 'draft'`,
+      [...fields.map(field => changes[field]), record.id, record.revision]
+    );
+    if (!updated) {
+      return { conflict: 'The record was changed by someone else; reload it and try again' };
+    }
+
+    const revised = await get('SELECT * FROM medical_records WHERE id = ?', [record.id]);
+    await addRevision(revised, authorId, reason);
+    return { record: revised };
+  });
+}
+
+/**
+ * Sign a draft record, freezing its content
+ * @param {Object} record - Draft record row
+ * @param {number} signerId - Signing doctor
+ * @returns {Promise<Object|null>} Signed record, or null if it was already signed
+ */
+async function signRecord(record, signerId) {
+  const { changes } = await run(
+    `UPDATE medical_records
+     SET status = 'signed', signed_by = ?, signed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND status = 'draft'`,
+    [signerId, record.id]
+  );
+  return changes > 0 ? getRecord(record.id) : null;
+}
+
+/**
+ * Append an addendum to a signed record
+ * @param {Object} record - Signed record row
+ * @param {number} authorId - Doctor writing the addendum
+ * @param {string} content - Addendum text
+ * @returns {Promise<Object>} Created addendum with the patient and its author's name
+ */
+function addAddendum(record, authorId, content) {
+  return transaction(async () => {
+    const { lastID } = await run(
+      'INSERT INTO medical_record_addenda (record_id, author_id, content) VALUES (?, ?, ?)',
+      [record.id, authorId, content]
+    );
+    await run('UPDATE medical_records SET updated_at = CURRENT_TIMESTAMP WHERE id = ?', [record.id]);
+    return get(`${ADDENDUM_SELECT} WHERE a.id = ?`, [lastID]);
+  });
+}
+
+/**
+ * Attach their addenda, oldest first, to records
+ * @param {Array<Object>} records - Record rows
+ * @returns {Promise<Array<Object>>} Records with an addenda array
+ */
+async function withAddenda(records) {
+  if (!records.length) {
+    return records;
+  }
+
+  const ids = records.map(record => record.id);
+  const addenda = await all(
+    `${ADDENDUM_SELECT}
+     WHERE a.record_id IN (${ids.map(() => '?').join(', ')})
+     ORDER BY a.created_at, a.id`,
+    ids
+  );
+  return records.map(record => ({
+    ...record,
+    addenda: addenda.filter(addendum => addendum.record_id === record.id)
+  }));
+}
+
+/**
+ * A record with its doctor, signer and addenda
+ * @param {number} id - Record ID
+ * @returns {Promise<Object|undefined>} Record
+ */
+async function getRecord(id) {
+  const record = await get(`${RECORD_SELECT} WHERE m.id = ?`, [id]);
+  return record && (await withAddenda([record]))[0];
+}
+
+/**
+ * Records matching a filter, newest first, with their doctor, signer and addenda
+ * @param {{clause: string, params: Array}} filter - Restriction on the records (alias m)
+ * @returns {Promise<Array<Object>>} Records
+ */
+async function listRecords(filter) {
+  const records = await all(`${RECORD_SELECT} WHERE ${filter.clause} ORDER BY m.created_at DESC`, filter.params);
+  return withAddenda(records);
+}
+
+/**
+ * Revisions of a record, oldest first
+ * @param {number} recordId - Record ID
+ * @returns {Promise<Array<Object>>} Revisions with the patient and their author's name
+ */
+function listRevisions(recordId) {
+  return all(
+    `SELECT v.*, r.patient_id, u.first_name as author_first_name, u.last_name as author_last_name
+     FROM medical_record_revisions v
+     JOIN medical_records r ON v.record_id = r.id
+     JOIN users u ON v.author_id = u.id
+     WHERE v.record_id = ?
+     ORDER BY v.revision`,
+    [recordId]
+  );
+}
+
+/**
+ * One revision of a record
+ * @param {number} recordId - Record ID
+ * @param {number} revision - Revision number
+ * @returns {Promise<Object|undefined>} Revision with the patient and its author's name
+ */
+function getRevision(recordId, revision) {
+  return get(
+    `SELECT v.*, r.patient_id, u.first_name as author_first_name, u.last_name as author_last_name
+     FROM medical_record_revisions v
+     JOIN medical_records r ON v.record_id = r.id
+     JOIN users u ON v.author_id = u.id
+     WHERE v.record_id = ? AND v.revision = ?`,
+    [recordId, revision]
+  );
+}
+
+/**
+ * Fields that differ between two revisions
+ * @param {Object} from - Earlier revision
+ * @param {Object} to - Later revision
+ * @returns {Array<{field: string, from: *, to: *}>} Changed fields
+ */
+function diffRevisions(from, to) {
+  return RECORD_FIELDS
+    .filter(field => from[field] !== to[field])
+    .map(field => ({ field, from: from[field], to: to[field] }));
+}
+
+module.exports = {
+  RECORD_FIELDS,
+  getRecord,
+  listRecords,
+  createRecord,
+  changedFields,
+  reviseRecord,
+  signRecord,
+  addAddendum,
+  listRevisions,
+  getRevision,
+  diffRevisions
+};
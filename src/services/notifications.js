@@ -0,0 +1,39 @@
+/**
+ * @fileoverview Helpers for creating in-app notifications
+ * @module services/notifications
+ */
+
+const { run, all } = require('../utils/db');
+
+/**
+ * Create a notification for a user
+ * @param {number} userId - Recipient
+ * @param {string} type - appointment, medication, test_result, message or system
+ * @param {string} title - Notification title
+ * @param {string} content - Notification content
+ * @returns {Promise<number>} Notification ID
+ */
+async function notify(userId, type, title, content) {
+  const { lastID } = await run(
+    `INSERT INTO notifications (user_id, type, title, content)
+     VALUES (?, ?, ?, ?)`,
+    [userId, type, title, content]
+  );
+  return lastID;
+}
+
+/**
+ * Create the same notification for every admin
+ * @param {string} type - Notification type (see notify)
+ * @param {string} title - Notification title
+ * @param {string} content - Notification content
+ * @returns {Promise<void>}
+ */
+async function notifyAdmins(type, title, content) {
+  const admins = await all("SELECT id FROM users WHERE role = 'admin' AND deactivated_at IS NULL");
+  for (const admin of admins) {
+    await notify(admin.id, type, title, content);
+  }
+}
+
+module.exports = { notify, notifyAdmins };
@@ -0,0 +1,90 @@
+/**
+ * @fileoverview Single-use password reset tokens
+ * @module services/password-reset
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { run, get } = require('../utils/db');
+const { sendMail } = require('../utils/mailer');
+const { hashToken, revokeAllForUser } = require('./tokens');
+
+const RESET_TOKEN_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60;
+
+/**
+ * Issue a reset token for the account with the given email and mail it.
+ * Does nothing for unknown or deactivated accounts so callers cannot probe for them.
+ * @param {string} email - Account email
+ * @returns {Promise<void>}
+ */
+async function requestPasswordReset(email) {
+  const user = await get('SELECT id, email, first_name FROM users WHERE email = ? AND deactivated_at IS NULL', [email]);
+  if (!user) {
+    return;
+  }
+
+  // Only the most recent token stays usable
+  await run(
+    `UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP
+     WHERE user_id = ? AND used_at IS NULL`,
+    [user.id]
+  );
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60000).toISOString();
+  await run(
+    `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at)
+     VALUES (?, ?, ?)`,
+    [user.id, hashToken(token), expiresAt]
+  );
+
+  const link = process.env.APP_URL
+    ? `\n\n${process.env.APP_URL}/reset-password?token=${token}`
+    : '';
+  await sendMail({
+    to: user.email,
+    subject: 'Password reset request',
+    text: `Hello ${user.first_name},\n\n` +
+      `Use the following code to reset your password: ${token}${link}\n\n` +
+      `It expires in ${RESET_TOKEN_TTL_MINUTES} minutes. ` +
+      'If you did not request a reset, you can ignore this email.'
+  });
+}
+
+/**
+ * Consume a reset token and set a new password. Ends every session of the
+ * account.
+ * @param {string} token - Raw reset token
+ * @param {string} password - New password
+ * @returns {Promise<boolean>} False if the token is unknown, used or expired
+ */
+async function resetPassword(token, password) {
+  const stored = await get(
+    'SELECT * FROM password_reset_tokens WHERE token_hash = ?',
+    [hashToken(token)]
+  );
+  if (!stored || stored.used_at || new Date(stored.expires_at) <= new Date()) {
+    return false;
+  }
+
+  // Mark used first so a concurrent request with the same token fails
+  const { changes } = await run(
+    `UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND used_at IS NULL`,
+    [stored.id]
+  );
+  if (changes === 0) {
+    return false;
+  }
+
+  const salt = await bcrypt.genSalt(10);
+  const hashedPassword = await bcrypt.hash(password, salt);
+  await run(
+    'UPDATE users SET password = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [hashedPassword, stored.user_id]
+  );
+  await revokeAllForUser(stored.user_id);
+  return true;
+}
+
+module.exports = { requestPasswordReset, resetPassword };
@@ -0,0 +1,170 @@
+/**
+ * @fileoverview Proxy access: a patient (or an admin) grants a caregiver or
+ * guardian scoped, expiring access to act on the patient's behalf
+ * @module services/proxies
+ */
+
+const { run, get, all, transaction } = require('../utils/db');
+const { PROXY_SCOPES } = require('../config/policies');
+
+const ACTIVE_CONDITION = `revoked_at IS NULL
+  AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)`;
+
+/**
+ * Parse the stored scope list
+ * @param {Object} grant - Grant row
+ * @returns {Object} Grant with scopes as an array
+ */
+function withScopes(grant) {
+  return grant && { ...grant, scopes: grant.scopes ? grant.scopes.split(',') : [] };
+}
+
+/**
+ * Find the active grant letting a user act for a patient
+ * @param {number} proxyId - Acting user
+ * @param {number} patientId - Patient
+ * @returns {Promise<Object|undefined>} Grant with scopes as an array
+ */
+async function findActiveGrant(proxyId, patientId) {
+  const grant = await get(
+    `SELECT * FROM proxy_grants
+     WHERE proxy_id = ? AND patient_id = ? AND ${ACTIVE_CONDITION}
+     ORDER BY created_at DESC`,
+    [proxyId, patientId]
+  );
+  return withScopes(grant);
+}
+
+/**
+ * Create a grant, replacing any active grant for the same pair
+ * @param {Object} grant - Grant details
+ * @param {number} grant.patientId - Patient giving access
+ * @param {number} grant.proxyId - User receiving access
+ * @param {Array<string>} grant.scopes - Subset of PROXY_SCOPES
+ * @param {string} [grant.expiresAt] - ISO expiry date
+ * @param {string} [grant.relationship] - e.g. parent, carer
+ * @param {number} grantedBy - Patient or admin creating the grant
+ * @returns {Promise<Object>} Created grant
+ */
+async function createGrant({ patientId, proxyId, scopes, expiresAt, relationship }, grantedBy) {
+  const { lastID } = await transaction(async () => {
+    await run(
+      `UPDATE proxy_grants SET revoked_at = CURRENT_TIMESTAMP
+       WHERE proxy_id = ? AND patient_id = ? AND revoked_at IS NULL`,
+      [proxyId, patientId]
+    );
+
+    return run(
+      `INSERT INTO proxy_grants (patient_id, proxy_id, scopes, relationship, granted_by, expires_at)
+       VALUES (?, ?, ?, ?, ?, datetime(?))`,
+      [patientId, proxyId, scopes.filter(scope => PROXY_SCOPES.includes(scope)).join(','),
+       relationship, grantedBy, expiresAt]
+    );
+  });
+
+  return withScopes(await get('SELECT * FROM proxy_grants WHERE id = ?', [lastID]));
+}
+
+/**
+ * Get a grant by ID
+ * @param {number} grantId - Grant ID
+ * @returns {Promise<Object|undefined>} Grant with scopes as an array
+ */
+async function getGrant(grantId) {
+  return withScopes(await get('SELECT * FROM proxy_grants WHERE id = ?', [grantId]));
+}
+
+/**
+ * Revoke a grant
+ * @param {number} grantId - Grant ID
+ * @returns {Promise<boolean>} False if the grant was already revoked
+ */
+async function revokeGrant(grantId) {
+  const { changes } = await run(
+    `UPDATE proxy_grants SET revoked_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND revoked_at IS NULL`,
+    [grantId]
+  );
+  return changes > 0;
+}
+
+/**
+ * List grants involving a user, or every grant for admins
+ * @param {Object} filters - Filters
+ * @param {number} [filters.userId] - Grants where the user is patient or proxy
+ * @param {number} [filters.patientId] - Grants of one patient
+ * @param {boolean} [filters.activeOnly] - Hide revoked and expired grants
+ * @returns {Promise<Array<Object>>} Grants with names
+ */
+async function listGrants({ userId, patientId, activeOnly }) {
+  let query = `SELECT g.*,
+                      p.first_name as patient_first_name, p.last_name as patient_last_name,
+                      x.first_name as proxy_first_name, x.last_name as proxy_last_name,
+                      x.email as proxy_email
+               FROM proxy_grants g
+               JOIN users p ON g.patient_id = p.id
+               JOIN users x ON g.proxy_id = x.id
+               WHERE 1=1`;
+  const params = [];
+
+  if (userId) {
+    query += ' AND (g.patient_id = ? OR g.proxy_id = ?)';
+    params.push(userId, userId);
+  }
+  if (patientId) {
+    query += ' AND g.patient_id = ?';
+    params.push(patientId);
+  }
+  if (activeOnly) {
+    query += ` AND g.id IN (SELECT id FROM proxy_grants WHERE ${ACTIVE_CONDITION})`;
+  }
+
+  query += ' ORDER BY g.created_at DESC';
+  const grants = await all(query, params);
+  return grants.map(withScopes);
+}
+
+/**
+ * Record a request a proxy made on a patient's behalf
+ * @param {Object} entry - Log entry
+ * @param {number} entry.grantId - Grant used
+ * @param {number} entry.proxyId - Acting user
+ * @param {number} entry.patientId - Patient acted for
+ * @param {string} entry.method - HTTP method
+ * @param {string} entry.path - Request path
+ * @param {number} entry.status - Response status
+ * @returns {Promise<void>}
+ */
+async function logProxyAction({ grantId, proxyId, patientId, method, path, status }) {
+  await run(
+    `INSERT INTO proxy_actions (grant_id, proxy_id, patient_id, method, path, status)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [grantId, proxyId, patientId, method, path, status]
+  );
+}
+
+/**
+ * List what proxies did on a patient's behalf
+ * @param {number} patientId - Patient
+ * @returns {Promise<Array<Object>>} Log entries, newest first
+ */
+function listProxyActions(patientId) {
+  return all(
+    `SELECT a.*, u.first_name as proxy_first_name, u.last_name as proxy_last_name
+     FROM proxy_actions a
+     JOIN users u ON a.proxy_id = u.id
+     WHERE a.patient_id = ?
+     ORDER BY a.created_at DESC`,
+    [patientId]
+  );
+}
+
+module.exports = {
+  findActiveGrant,
+  createGrant,
+  getGrant,
+  revokeGrant,
+  listGrants,
+  logProxyAction,
+  listProxyActions
+};
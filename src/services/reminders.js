@@ -0,0 +1,84 @@
+/**
+ * @fileoverview Appointment reminder notifications, sent at configurable
+ * offsets before each upcoming appointment. Every reminder sent is recorded
+ * with the appointment time it was for, so reruns never send it twice and a
+ * rescheduled appointment gets reminders for its new time.
+ * @module services/reminders
+ */
+
+const { run, all } = require('../utils/db');
+const { notify } = require('./notifications');
+const { formatTime } = require('./booking');
+
+/**
+ * Parse offsets such as "24h,2h,30m" into minutes
+ * @param {string} value - Comma-separated offsets in hours (h) or minutes (m)
+ * @returns {Array<number>} Offsets in minutes, largest first
+ */
+function parseOffsets(value) {
+  return value.split(',')
+    .map(offset => offset.trim().match(/^(\d+)\s*([hm])$/))
+    .filter(Boolean)
+    .map(([, amount, unit]) => parseInt(amount, 10) * (unit === 'h' ? 60 : 1))
+    .sort((a, b) => b - a);
+}
+
+const REMINDER_OFFSETS = parseOffsets(process.env.REMINDER_OFFSETS || '24h,2h');
+
+/**
+ * Send the reminders that are due. An appointment gets one notification per
+ * run even when several offsets fall due together (e.g. it was booked at
+ * short notice); all of them are then recorded as sent.
+ * @param {Date} [now] - Current time
+ * @param {Array<number>} [offsets] - Offsets in minutes (default REMINDER_OFFSETS)
+ * @returns {Promise<number>} Number of notifications sent
+ */
+async function sendDueReminders(now = new Date(), offsets = REMINDER_OFFSETS) {
+  if (!offsets.length) {
+    return 0;
+  }
+
+  const horizon = new Date(now.getTime() + Math.max(...offsets) * 60000);
+  const appointments = await all(
+    `SELECT a.id, a.patient_id, a.appointment_date, u.first_name, u.last_name
+     FROM appointments a
+     JOIN users u ON a.doctor_id = u.id
+     WHERE a.status IN ('requested', 'confirmed')
+       AND a.appointment_date > ? AND a.appointment_date <= ?`,
+    [now.toISOString(), horizon.toISOString()]
+  );
+
+  let sent = 0;
+  for (const appointment of appointments) {
+    const start = new Date(appointment.appointment_date).getTime();
+    const due = offsets.filter(offset => start - offset * 60000 <= now.getTime());
+
+    let claimed = 0;
+    for (const offset of due) {
+      const { changes } = await run(
+        `INSERT OR IGNORE INTO appointment_reminders (appointment_id, offset_minutes, appointment_date)
+         VALUES (?, ?, ?)`,
+        [appointment.id, offset, appointment.appointment_date]
+      );
+      claimed += changes;
+    }
+
+    if (claimed > 0) {
+      await notify(
+        appointment.patient_id,
+        'appointment',
+        'Appointment reminder',
+        `Reminder: you have an appointment with Dr. ${appointment.first_name} ${appointment.last_name} ` +
+          `on ${formatTime(appointment.appointment_date)}`
+      );
+      sent++;
+    }
+  }
+  return sent;
+}
+
+module.exports = {
+  REMINDER_OFFSETS,
+  parseOffsets,
+  sendDueReminders
+};
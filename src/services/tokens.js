@@ -0,0 +1,174 @@
+/**
+ * @fileoverview Access and refresh token issuance, rotation and revocation
+ * @module services/tokens
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { run, get } = require('../utils/db');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+/**
+ * Hash an opaque token for storage; only the hash is ever persisted
+ * @param {string} token - Raw token
+ * @returns {string} Hex-encoded SHA-256 digest
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Sign a short-lived access token
+ * @param {Object} user - User row (id, email, role, token_version)
+ * @param {string} familyId - Refresh token family the access token belongs to
+ * @param {number} [actingFor] - Patient the user acts for under a proxy grant
+ * @returns {string} Signed JWT
+ */
+function signAccessToken(user, familyId, actingFor) {
+  const claims = { id: user.id, email: user.email, role: user.role, tv: user.token_version || 0, sid: familyId };
+  if (actingFor) {
+    claims.obo = actingFor;
+  }
+  return jwt.sign(
+    claims,
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+/**
+ * Store a new refresh token in the given family
+ * @param {number} userId - Owner of the token
+ * @param {string} familyId - Token family
+ * @returns {Promise<{id: number, token: string}>} Row ID and raw token
+ */
+async function storeRefreshToken(userId, familyId) {
+  const token = crypto.randomBytes(48).toString('hex');
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 86400000).toISOString();
+
+  const { lastID } = await run(
+    `INSERT INTO refresh_tokens (user_id, family_id, token_hash, expires_at)
+     VALUES (?, ?, ?, ?)`,
+    [userId, familyId, hashToken(token), expiresAt]
+  );
+  return { id: lastID, token };
+}
+
+/**
+ * Start a new session for a user
+ * @param {Object} user - User row
+ * @returns {Promise<{token: string, refresh_token: string}>} Token pair
+ */
+async function issueTokens(user) {
+  const familyId = crypto.randomUUID();
+  const { token: refreshToken } = await storeRefreshToken(user.id, familyId);
+
+  return {
+    token: signAccessToken(user, familyId),
+    refresh_token: refreshToken
+  };
+}
+
+/**
+ * Exchange a refresh token for a new token pair. Presenting a token that
+ * was already rotated revokes its whole family, since it means the token
+ * was copied.
+ * @param {string} refreshToken - Raw refresh token
+ * @returns {Promise<{token: string, refresh_token: string}|null>} New pair, or null if rejected
+ */
+async function rotateRefreshToken(refreshToken) {
+  const stored = await get(
+    `SELECT rt.*, u.email, u.role, u.token_version
+     FROM refresh_tokens rt
+     JOIN users u ON rt.user_id = u.id
+     WHERE rt.token_hash = ?`,
+    [hashToken(refreshToken)]
+  );
+
+  if (!stored) {
+    return null;
+  }
+  if (stored.revoked_at) {
+    await revokeFamily(stored.family_id);
+    return null;
+  }
+  if (new Date(stored.expires_at) <= new Date()) {
+    return null;
+  }
+
+  const { id: newId, token } = await storeRefreshToken(stored.user_id, stored.family_id);
+  const { changes } = await run(
+    `UPDATE refresh_tokens
+     SET revoked_at = CURRENT_TIMESTAMP, replaced_by = ?
+     WHERE id = ? AND revoked_at IS NULL`,
+    [newId, stored.id]
+  );
+
+  // Lost a race with a concurrent refresh of the same token
+  if (changes === 0) {
+    await revokeFamily(stored.family_id);
+    return null;
+  }
+
+  const user = { id: stored.user_id, email: stored.email, role: stored.role, token_version: stored.token_version };
+  return {
+    token: signAccessToken(user, stored.family_id),
+    refresh_token: token
+  };
+}
+
+/**
+ * Revoke every refresh token of a session
+ * @param {string} familyId - Token family
+ * @returns {Promise<void>}
+ */
+async function revokeFamily(familyId) {
+  await run(
+    `UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP
+     WHERE family_id = ? AND revoked_at IS NULL`,
+    [familyId]
+  );
+}
+
+/**
+ * Revoke all sessions of a user and invalidate their outstanding access tokens
+ * @param {number} userId - User ID
+ * @returns {Promise<void>}
+ */
+async function revokeAllForUser(userId) {
+  await run(
+    'UPDATE users SET token_version = token_version + 1 WHERE id = ?',
+    [userId]
+  );
+  await run(
+    `UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP
+     WHERE user_id = ? AND revoked_at IS NULL`,
+    [userId]
+  );
+}
+
+/**
+ * Revoke every session of a user except the given one
+ * @param {number} userId - User ID
+ * @param {string} keepFamilyId - Token family of the session to keep
+ * @returns {Promise<void>}
+ */
+async function revokeOtherSessions(userId, keepFamilyId) {
+  await run(
+    `UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP
+     WHERE user_id = ? AND family_id != ? AND revoked_at IS NULL`,
+    [userId, keepFamilyId]
+  );
+}
+
+module.exports = {
+  hashToken,
+  signAccessToken,
+  issueTokens,
+  rotateRefreshToken,
+  revokeFamily,
+  revokeAllForUser,
+  revokeOtherSessions
+};
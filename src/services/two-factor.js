@@ -0,0 +1,249 @@
+/**
+ * @fileoverview TOTP second factor: enrollment, verification, recovery codes
+ * and per-role enforcement
+ * @module services/two-factor
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { run, get, all } = require('../utils/db');
+const totp = require('../utils/totp');
+const { hashToken, revokeAllForUser } = require('./tokens');
+
+const TWO_FACTOR_ROLES = ['doctor', 'biologist', 'admin'];
+const CHALLENGE_TOKEN_TTL = '5m';
+const ENROLLMENT_TOKEN_TTL = '15m';
+const RECOVERY_CODE_COUNT = 10;
+const ISSUER = process.env.TOTP_ISSUER || 'Healthcare';
+
+/**
+ * Sign a short-lived token that only proves the password step succeeded
+ * @param {number} userId - User ID
+ * @param {string} purpose - 'totp_challenge' or 'totp_enroll'
+ * @returns {string} Signed JWT
+ */
+function signChallengeToken(userId, purpose) {
+  return jwt.sign(
+    { id: userId, purpose },
+    process.env.JWT_SECRET,
+    { expiresIn: purpose === 'totp_enroll' ? ENROLLMENT_TOKEN_TTL : CHALLENGE_TOKEN_TTL }
+  );
+}
+
+/**
+ * Verify a challenge token
+ * @param {string} token - Token returned by the password step
+ * @param {string} purpose - Expected purpose
+ * @returns {number|null} User ID, or null if the token is invalid
+ */
+function verifyChallengeToken(token, purpose) {
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET);
+    return payload.purpose === purpose ? payload.id : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Normalize a recovery code so dashes and case do not matter
+ * @param {string} code - Recovery code
+ * @returns {string} Normalized code
+ */
+function normalizeRecoveryCode(code) {
+  return String(code).toLowerCase().replace(/[^0-9a-f]/g, '');
+}
+
+/**
+ * Replace a user's recovery codes with a fresh set
+ * @param {number} userId - User ID
+ * @returns {Promise<Array<string>>} Plain recovery codes, shown once
+ */
+async function regenerateRecoveryCodes(userId) {
+  await run('DELETE FROM totp_recovery_codes WHERE user_id = ?', [userId]);
+
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+    await run(
+      'INSERT INTO totp_recovery_codes (user_id, code_hash) VALUES (?, ?)',
+      [userId, hashToken(raw)]
+    );
+  }
+  return codes;
+}
+
+/**
+ * Start enrollment by generating a secret that is not active yet
+ * @param {Object} user - User row (id, email)
+ * @returns {Promise<{secret: string, otpauth_url: string}|null>} Null if 2FA is already enabled
+ */
+async function beginEnrollment(user) {
+  const secret = totp.generateSecret();
+  const { changes } = await run(
+    `UPDATE users SET totp_secret = ?, totp_last_step = NULL
+     WHERE id = ? AND totp_enabled = 0`,
+    [secret, user.id]
+  );
+  if (changes === 0) {
+    return null;
+  }
+
+  return {
+    secret,
+    otpauth_url: totp.provisioningUri(secret, user.email, ISSUER)
+  };
+}
+
+/**
+ * Activate 2FA once the user proves their app produces valid codes
+ * @param {number} userId - User ID
+ * @param {string} code - First code from the authenticator app
+ * @returns {Promise<Array<string>|null>} Recovery codes, or null if the code is wrong
+ */
+async function confirmEnrollment(userId, code) {
+  const user = await get(
+    'SELECT totp_secret, totp_enabled FROM users WHERE id = ?',
+    [userId]
+  );
+  if (!user || !user.totp_secret || user.totp_enabled) {
+    return null;
+  }
+
+  const step = totp.verify(user.totp_secret, code);
+  if (step === null) {
+    return null;
+  }
+
+  await run(
+    'UPDATE users SET totp_enabled = 1, totp_last_step = ? WHERE id = ?',
+    [step, userId]
+  );
+  return regenerateRecoveryCodes(userId);
+}
+
+/**
+ * Check a TOTP code or a recovery code for a user with 2FA enabled.
+ * A TOTP code is accepted once; a recovery code is burned when used.
+ * @param {number} userId - User ID
+ * @param {Object} factor - Submitted factor
+ * @param {string} [factor.code] - TOTP code
+ * @param {string} [factor.recovery_code] - Recovery code
+ * @returns {Promise<boolean>} Whether the factor is valid
+ */
+async function verifySecondFactor(userId, { code, recovery_code }) {
+  const user = await get(
+    'SELECT totp_secret, totp_enabled, totp_last_step FROM users WHERE id = ?',
+    [userId]
+  );
+  if (!user || !user.totp_enabled) {
+    return false;
+  }
+
+  if (code) {
+    const step = totp.verify(user.totp_secret, code);
+    if (step === null || (user.totp_last_step !== null && step <= user.totp_last_step)) {
+      return false;
+    }
+    const { changes } = await run(
+      `UPDATE users SET totp_last_step = ?
+       WHERE id = ? AND (totp_last_step IS NULL OR totp_last_step < ?)`,
+      [step, userId, step]
+    );
+    return changes > 0;
+  }
+
+  if (recovery_code) {
+    const { changes } = await run(
+      `UPDATE totp_recovery_codes SET used_at = CURRENT_TIMESTAMP
+       WHERE user_id = ? AND code_hash = ? AND used_at IS NULL`,
+      [userId, hashToken(normalizeRecoveryCode(recovery_code))]
+    );
+    return changes > 0;
+  }
+
+  return false;
+}
+
+/**
+ * Turn 2FA off and drop the secret and recovery codes
+ * @param {number} userId - User ID
+ * @returns {Promise<void>}
+ */
+async function disable(userId) {
+  await run(
+    `UPDATE users SET totp_enabled = 0, totp_secret = NULL, totp_last_step = NULL
+     WHERE id = ?`,
+    [userId]
+  );
+  await run('DELETE FROM totp_recovery_codes WHERE user_id = ?', [userId]);
+}
+
+/**
+ * Whether accounts with the given role must use 2FA
+ * @param {string} role - User role
+ * @returns {Promise<boolean>} True if required
+ */
+async function isRequiredForRole(role) {
+  const policy = await get(
+    'SELECT require_2fa FROM role_security_policies WHERE role = ?',
+    [role]
+  );
+  return Boolean(policy && policy.require_2fa);
+}
+
+/**
+ * List the 2FA requirement of every role that supports it
+ * @returns {Promise<Array<{role: string, require_2fa: boolean}>>} Policies
+ */
+async function listRolePolicies() {
+  const rows = await all('SELECT role, require_2fa FROM role_security_policies');
+  return TWO_FACTOR_ROLES.map(role => {
+    const row = rows.find(r => r.role === role);
+    return { role, require_2fa: Boolean(row && row.require_2fa) };
+  });
+}
+
+/**
+ * Require or stop requiring 2FA for a role. Requiring it signs out every
+ * user of the role who has not enrolled, since only login enforces it.
+ * @param {string} role - User role
+ * @param {boolean} required - New requirement
+ * @returns {Promise<number>} Number of users signed out
+ */
+async function setRolePolicy(role, required) {
+  await run(
+    `INSERT INTO role_security_policies (role, require_2fa, updated_at)
+     VALUES (?, ?, CURRENT_TIMESTAMP)
+     ON CONFLICT(role) DO UPDATE SET require_2fa = excluded.require_2fa,
+                                     updated_at = CURRENT_TIMESTAMP`,
+    [role, required ? 1 : 0]
+  );
+  if (!required) {
+    return 0;
+  }
+
+  const unenrolled = await all(
+    'SELECT id FROM users WHERE role = ? AND totp_enabled = 0',
+    [role]
+  );
+  for (const user of unenrolled) {
+    await revokeAllForUser(user.id);
+  }
+  return unenrolled.length;
+}
+
+module.exports = {
+  TWO_FACTOR_ROLES,
+  signChallengeToken,
+  verifyChallengeToken,
+  beginEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disable,
+  isRequiredForRole,
+  listRolePolicies,
+  setRolePolicy
+};
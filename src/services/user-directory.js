@@ -0,0 +1,117 @@
+/**
+ * @fileoverview Admin user directory: filtering, search, sorting and paging
+ * @module services/user-directory
+ */
+
+const { get, all } = require('../utils/db');
+
+const DIRECTORY_COLUMNS = ['id', 'email', 'role', 'first_name', 'last_name', 'phone',
+  'specialization', 'license_number', 'verification_status', 'deactivated_at', 'created_at'];
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+const SORTABLE = ['id', 'email', 'role', 'first_name', 'last_name', 'specialization', 'created_at'];
+
+/**
+ * Account status conditions
+ * - active: verified and not deactivated
+ * - pending / rejected: license verification state, not deactivated
+ * - deactivated: deactivated accounts only
+ * - all: no restriction
+ */
+const STATUS_CONDITIONS = {
+  active: "deactivated_at IS NULL AND verification_status = 'verified'",
+  pending: "deactivated_at IS NULL AND verification_status = 'pending'",
+  rejected: "deactivated_at IS NULL AND verification_status = 'rejected'",
+  deactivated: 'deactivated_at IS NOT NULL',
+  all: '1=1'
+};
+
+/**
+ * Build the WHERE clause for directory filters
+ * @param {Object} filters - Filters
+ * @param {string} [filters.role] - Role
+ * @param {string} [filters.specialization] - Specialization (case-insensitive)
+ * @param {string} [filters.status] - Key of STATUS_CONDITIONS (default: not deactivated)
+ * @param {string} [filters.createdFrom] - ISO date, inclusive
+ * @param {string} [filters.createdTo] - ISO date or time, inclusive (a date covers the whole day)
+ * @param {string} [filters.search] - Matches name, email or license number
+ * @returns {{where: string, params: Array}} WHERE clause and parameters
+ */
+function buildFilter({ role, specialization, status, createdFrom, createdTo, search }) {
+  const conditions = [status ? STATUS_CONDITIONS[status] : 'deactivated_at IS NULL'];
+  const params = [];
+
+  if (role) {
+    conditions.push('role = ?');
+    params.push(role);
+  }
+  if (specialization) {
+    conditions.push('specialization = ? COLLATE NOCASE');
+    params.push(specialization);
+  }
+  if (createdFrom) {
+    conditions.push('created_at >= datetime(?)');
+    params.push(createdFrom);
+  }
+  if (createdTo) {
+    // A date on its own covers the whole day, not just its first second
+    conditions.push(DATE_ONLY.test(createdTo) ? "created_at < datetime(?, '+1 day')" : 'created_at <= datetime(?)');
+    params.push(createdTo);
+  }
+  if (search) {
+    const pattern = `%${search.replace(/[\\%_]/g, char => `\\${char}`)}%`;
+    conditions.push(`(first_name || ' ' || last_name LIKE ? ESCAPE '\\'
+                     OR email LIKE ? ESCAPE '\\'
+                     OR license_number LIKE ? ESCAPE '\\')`);
+    params.push(pattern, pattern, pattern);
+  }
+
+  return { where: `WHERE ${conditions.join(' AND ')}`, params };
+}
+
+/**
+ * ORDER BY clause for a sort parameter such as "last_name" or "-created_at"
+ * @param {string} [sort] - Column, prefixed with "-" for descending order
+ * @returns {string} ORDER BY clause
+ */
+function buildOrder(sort) {
+  const descending = Boolean(sort) && sort.startsWith('-');
+  const column = sort ? sort.replace(/^-/, '') : 'id';
+  if (!SORTABLE.includes(column)) {
+    return 'ORDER BY id';
+  }
+  return `ORDER BY ${column} COLLATE NOCASE ${descending ? 'DESC' : 'ASC'}, id`;
+}
+
+/**
+ * Find users for the admin directory
+ * @param {Object} filters - See buildFilter
+ * @param {Object} [options] - Sorting and paging
+ * @param {string} [options.sort] - See buildOrder
+ * @param {number} [options.page] - 1-based page number (default 1)
+ * @param {number} [options.limit] - Page size (default 25); 0 returns every match
+ * @returns {Promise<{total: number, page: number, limit: number, users: Array<Object>}>} Page of users
+ */
+async function findUsers(filters, { sort, page = 1, limit = 25 } = {}) {
+  const { where, params } = buildFilter(filters);
+
+  const { total } = await get(`SELECT COUNT(*) as total FROM users ${where}`, params);
+
+  let query = `SELECT ${DIRECTORY_COLUMNS.join(', ')} FROM users ${where} ${buildOrder(sort)}`;
+  const queryParams = [...params];
+  if (limit > 0) {
+    query += ' LIMIT ? OFFSET ?';
+    queryParams.push(limit, (page - 1) * limit);
+  }
+
+  const users = await all(query, queryParams);
+  return { total, page, limit, users };
+}
+
+module.exports = {
+  DIRECTORY_COLUMNS,
+  SORTABLE,
+  STATUS_CONDITIONS,
+  findUsers
+};
@@ -0,0 +1,265 @@
+/**
+ * @fileoverview Appointment waitlist. Patients wait for a doctor within a
+ * date range; when an appointment is cancelled, the freed time is offered to
+ * the longest-waiting eligible patient and held for them for a limited time.
+ * A declined or expired offer moves on to the next patient.
+ * @module services/waitlist
+ */
+
+const { run, get, all, transaction } = require('../utils/db');
+const booking = require('./booking');
+const { notify } = require('./notifications');
+
+const WAITLIST_HOLD_MINUTES = parseInt(process.env.WAITLIST_HOLD_MINUTES, 10) || 30;
+
+/**
+ * Add a patient to a doctor's waitlist
+ * @param {Object} entry - Waitlist entry
+ * @param {number} entry.patientId - Patient ID
+ * @param {number} entry.doctorId - Doctor ID
+ * @param {Date} entry.earliest - Earliest acceptable start
+ * @param {Date} entry.latest - Latest acceptable end
+ * @param {string} [entry.type] - Appointment type (default consultation)
+ * @param {string} [entry.notes] - Notes for the appointment
+ * @param {number} entry.createdBy - User adding the entry
+ * @returns {Promise<Object|null>} Created entry, or null if the patient is already waiting for this doctor
+ */
+async function join({ patientId, doctorId, earliest, latest, type = 'consultation', notes, createdBy }) {
+  const existing = await get(
+    `SELECT id FROM waitlist_entries
+     WHERE patient_id = ? AND doctor_id = ? AND status IN ('waiting', 'offered')`,
+    [patientId, doctorId]
+  );
+  if (existing) {
+    return null;
+  }
+
+  const { lastID } = await run(
+    `INSERT INTO waitlist_entries (patient_id, doctor_id, earliest, latest, type, notes, created_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [patientId, doctorId, earliest.toISOString(), latest.toISOString(), type, notes, createdBy]
+  );
+  return get('SELECT * FROM waitlist_entries WHERE id = ?', [lastID]);
+}
+
+/**
+ * Set the status of an entry
+ * @param {number} entryId - Entry ID
+ * @param {string} status - New status
+ * @returns {Promise<void>}
+ */
+async function setStatus(entryId, status) {
+  await run(
+    'UPDATE waitlist_entries SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [status, entryId]
+  );
+}
+
+/**
+ * Offer a freed time to the longest-waiting patient whose range contains it
+ * and who can take it, holding it for WAITLIST_HOLD_MINUTES
+ * @param {number} doctorId - Doctor whose time was freed
+ * @param {Date} start - Start of the freed time
+ * @returns {Promise<Object|null>} The entry it was offered to, or null
+ */
+async function offerSlot(doctorId, start) {
+  if (start <= new Date()) {
+    return null;
+  }
+
+  const entry = await transaction(async () => {
+    const candidates = await all(
+      `SELECT * FROM waitlist_entries
+       WHERE doctor_id = ? AND status = 'waiting' AND earliest <= ? AND latest > ?
+       ORDER BY created_at, id`,
+      [doctorId, start.toISOString(), start.toISOString()]
+    );
+
+    for (const candidate of candidates) {
+      const durationMinutes = booking.TYPE_DURATIONS[candidate.type];
+      if (start.getTime() + durationMinutes * 60000 > new Date(candidate.latest).getTime()) {
+        continue;
+      }
+      const conflict = await booking.findConflict({
+        doctorId,
+        patientId: candidate.patient_id,
+        start,
+        durationMinutes,
+        type: candidate.type
+      });
+      if (conflict) {
+        continue;
+      }
+
+      const expiresAt = new Date(Date.now() + WAITLIST_HOLD_MINUTES * 60000);
+      await run(
+        `UPDATE waitlist_entries
+         SET status = 'offered', offered_date = ?, offered_minutes = ?, offer_expires_at = ?,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [start.toISOString(), durationMinutes, expiresAt.toISOString(), candidate.id]
+      );
+      return get('SELECT * FROM waitlist_entries WHERE id = ?', [candidate.id]);
+    }
+    return null;
+  });
+
+  if (entry) {
+    await notify(
+      entry.patient_id,
+      'appointment',
+      'Appointment slot available',
+      `A slot on ${booking.formatTime(entry.offered_date)} is held for you until ` +
+        `${booking.formatTime(entry.offer_expires_at)}. Accept or decline it from your waitlist.`
+    );
+  }
+  return entry;
+}
+
+/**
+ * Offer the times freed by cancelled appointments
+ * @param {Array<Object>} appointments - Cancelled appointments
+ * @returns {Promise<void>}
+ */
+async function offerCancelled(appointments) {
+  for (const appointment of appointments) {
+    await offerSlot(appointment.doctor_id, new Date(appointment.appointment_date));
+  }
+}
+
+/**
+ * End the entry's offer and pass the held time on to the next patient
+ * @param {Object} entry - Offered entry
+ * @param {string} status - declined, expired or cancelled
+ * @returns {Promise<void>}
+ */
+async function passOn(entry, status) {
+  const { changes } = await run(
+    `UPDATE waitlist_entries SET status = ?, updated_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND status = 'offered'`,
+    [status, entry.id]
+  );
+  if (changes > 0) {
+    await offerSlot(entry.doctor_id, new Date(entry.offered_date));
+  }
+}
+
+/**
+ * Expire lapsed offers and pass them on, and close entries whose range is
+ * over. Runs as a scheduled job (see src/index.js).
+ * @param {Date} [at] - Current time
+ * @returns {Promise<number>} Number of offers expired
+ */
+async function expireOffers(at = new Date()) {
+  const now = at.toISOString();
+  await run(
+    `UPDATE waitlist_entries SET status = 'expired', updated_at = CURRENT_TIMESTAMP
+     WHERE status = 'waiting' AND latest <= ?`,
+    [now]
+  );
+
+  const lapsed = await all(
+    "SELECT * FROM waitlist_entries WHERE status = 'offered' AND offer_expires_at <= ?",
+    [now]
+  );
+  for (const entry of lapsed) {
+    await passOn(entry, 'expired');
+  }
+  return lapsed.length;
+}
+
+/**
+ * Accept an offer and book the held time
+ * @param {Object} entry - Waitlist entry
+ * @param {number} bookedBy - User accepting
+ * @returns {Promise<{appointment?: Object, conflict?: string}>} The appointment, or why it could not be booked
+ */
+async function accept(entry, bookedBy) {
+  let released = null;
+
+  const result = await transaction(async () => {
+    // Claim the offer, which also releases the hold so it does not block its
+    // own booking. An accept or expiry that got there first leaves nothing
+    // to claim.
+    const { changes } = await run(
+      `UPDATE waitlist_entries SET status = 'booked', updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND status = 'offered' AND offer_expires_at > ?`,
+      [entry.id, new Date().toISOString()]
+    );
+    if (changes === 0) {
+      return { conflict: 'There is no open offer for this entry' };
+    }
+
+    const offer = await get('SELECT * FROM waitlist_entries WHERE id = ?', [entry.id]);
+    const start = new Date(offer.offered_date);
+    const conflict = await booking.findConflict({
+      doctorId: offer.doctor_id,
+      patientId: offer.patient_id,
+      start,
+      durationMinutes: offer.offered_minutes,
+      type: offer.type
+    });
+    if (conflict) {
+      await setStatus(offer.id, 'expired');
+      released = offer;
+      return { conflict };
+    }
+
+    const appointment = await booking.insertAppointment({
+      patientId: offer.patient_id,
+      doctorId: offer.doctor_id,
+      start,
+      type: offer.type,
+      notes: offer.notes,
+      bookedBy
+    });
+    await run('UPDATE waitlist_entries SET appointment_id = ? WHERE id = ?', [appointment.id, offer.id]);
+    return { appointment };
+  });
+
+  if (released) {
+    await offerSlot(released.doctor_id, new Date(released.offered_date));
+  }
+  return result;
+}
+
+/**
+ * Decline an offer; the entry leaves the waitlist
+ * @param {Object} entry - Waitlist entry
+ * @returns {Promise<boolean>} False if there was no offer to decline
+ */
+async function decline(entry) {
+  if (entry.status !== 'offered') {
+    return false;
+  }
+  await passOn(entry, 'declined');
+  return true;
+}
+
+/**
+ * Leave the waitlist, passing on any pending offer
+ * @param {Object} entry - Waitlist entry
+ * @returns {Promise<boolean>} False if the entry was already closed
+ */
+async function leave(entry) {
+  if (entry.status === 'offered') {
+    await passOn(entry, 'cancelled');
+    return true;
+  }
+  if (entry.status !== 'waiting') {
+    return false;
+  }
+  await setStatus(entry.id, 'cancelled');
+  return true;
+}
+
+module.exports = {
+  WAITLIST_HOLD_MINUTES,
+  join,
+  offerSlot,
+  offerCancelled,
+  expireOffers,
+  accept,
+  decline,
+  leave
+};
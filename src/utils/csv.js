@@ -0,0 +1,41 @@
+/**
+ * @fileoverview Minimal CSV serialization
+ * @module utils/csv
+ */
+
+/**
+ * Quote a value for a CSV cell. Cells that spreadsheet applications would
+ * evaluate as formulas are prefixed with a quote.
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell
+ */
+function escapeCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  if (/[",\r\n]/.test(text)) {
+    text = `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Serialize rows as CSV with a header line
+ * @param {Array<string>} columns - Column names, in order
+ * @param {Array<Object>} rows - Rows keyed by column name
+ * @returns {string} CSV document
+ */
+function toCsv(columns, rows) {
+  const lines = [columns.join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => escapeCell(row[column])).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = { toCsv };
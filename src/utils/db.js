@@ -0,0 +1,91 @@
+/**
+ * @fileoverview Promise wrappers around the callback-style sqlite3 API
+ * @module utils/db
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const db = require('../config/database');
+
+// The connection is shared by every request, so transactions are queued and
+// run one at a time, and a statement issued outside the open transaction
+// waits for it to finish rather than landing inside it
+let queue = Promise.resolve();
+const inTransaction = new AsyncLocalStorage();
+
+/**
+ * Resolve once the statement may run: straight away inside the open
+ * transaction, after every queued transaction anywhere else
+ * @returns {Promise<void>}
+ */
+function turn() {
+  return inTransaction.getStore() ? Promise.resolve() : queue;
+}
+
+/**
+ * Run a statement
+ * @param {string} sql - SQL statement
+ * @param {Array} [params] - Bound parameters
+ * @returns {Promise<{lastID: number, changes: number}>} Statement result
+ */
+function run(sql, params = []) {
+  return turn().then(() => new Promise((resolve, reject) => {
+    db.run(sql, params, function(err) {
+      if (err) reject(err);
+      else resolve({ lastID: this.lastID, changes: this.changes });
+    });
+  }));
+}
+
+/**
+ * Fetch a single row
+ * @param {string} sql - SQL query
+ * @param {Array} [params] - Bound parameters
+ * @returns {Promise<Object|undefined>} First matching row
+ */
+function get(sql, params = []) {
+  return turn().then(() => new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => {
+      if (err) reject(err);
+      else resolve(row);
+    });
+  }));
+}
+
+/**
+ * Fetch all rows
+ * @param {string} sql - SQL query
+ * @param {Array} [params] - Bound parameters
+ * @returns {Promise<Array<Object>>} Matching rows
+ */
+function all(sql, params = []) {
+  return turn().then(() => new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+      if (err) reject(err);
+      else resolve(rows);
+    });
+  }));
+}
+
+/**
+ * Run a function inside a transaction once every earlier transaction has
+ * finished, rolling back if it throws. fn must not start another transaction.
+ * @param {Function} fn - Async function issuing the statements
+ * @returns {Promise<*>} What fn resolved to
+ */
+function transaction(fn) {
+  const result = queue.then(() => inTransaction.run(true, async () => {
+    await run('BEGIN IMMEDIATE');
+    try {
+      const value = await fn();
+      await run('COMMIT');
+      return value;
+    } catch (err) {
+      await run('ROLLBACK');
+      throw err;
+    }
+  }));
+  queue = result.catch(() => {});
+  return result;
+}
+
+module.exports = { run, get, all, transaction };
@@ -0,0 +1,116 @@
+/**
+ * @fileoverview Minimal iCalendar (RFC 5545) serialization
+ * @module utils/ical
+ */
+
+const PRODUCT_ID = '-//Healthcare Management System//Appointments//EN';
+
+/**
+ * Escape a TEXT property value
+ * @param {*} value - Property value
+ * @returns {string} Escaped text
+ */
+function escapeText(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Format a time as a UTC DATE-TIME value
+ * @param {Date|string} value - Date or ISO string
+ * @returns {string} Time such as 20261019T090000Z
+ */
+function formatDate(value) {
+  return new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Fold a content line so no line exceeds 75 octets, without splitting a
+ * multi-byte character
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards the limit
+    if (octets + size > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+/**
+ * Serialize a VEVENT
+ * @param {Object} event - Event
+ * @param {string} event.uid - Stable unique identifier
+ * @param {number} [event.sequence] - Revision number, bumped on every change
+ * @param {Date|string} event.start - Start time
+ * @param {Date|string} event.end - End time
+ * @param {Date|string} [event.stamp] - When the event was last modified
+ * @param {string} event.summary - Title
+ * @param {string} [event.description] - Description
+ * @param {string} [event.location] - Where it takes place
+ * @param {string} [event.status] - TENTATIVE, CONFIRMED or CANCELLED
+ * @returns {Array<string>} Unfolded content lines
+ */
+function eventLines({ uid, sequence = 0, start, end, stamp = new Date(), summary, description, location, status }) {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `SEQUENCE:${sequence}`,
+    `DTSTAMP:${formatDate(stamp)}`,
+    `LAST-MODIFIED:${formatDate(stamp)}`,
+    `DTSTART:${formatDate(start)}`,
+    `DTEND:${formatDate(end)}`,
+    `SUMMARY:${escapeText(summary)}`
+  ];
+  if (description) {
+    lines.push(`DESCRIPTION:${escapeText(description)}`);
+  }
+  if (location) {
+    lines.push(`LOCATION:${escapeText(location)}`);
+  }
+  if (status) {
+    lines.push(`STATUS:${status}`);
+  }
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+/**
+ * Serialize a calendar
+ * @param {Object} calendar - Calendar
+ * @param {string} [calendar.name] - Calendar name shown by subscribing clients
+ * @param {string} [calendar.method] - iTIP method, e.g. PUBLISH, REQUEST or CANCEL
+ * @param {Array<Object>} calendar.events - Events (see eventLines)
+ * @returns {string} iCalendar document
+ */
+function buildCalendar({ name, method, events }) {
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${PRODUCT_ID}`, 'CALSCALE:GREGORIAN'];
+  if (method) {
+    lines.push(`METHOD:${method}`);
+  }
+  if (name) {
+    lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  }
+  for (const event of events) {
+    lines.push(...eventLines(event));
+  }
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+module.exports = { escapeText, formatDate, buildCalendar };
@@ -0,0 +1,62 @@
+/**
+ * @fileoverview Pluggable outgoing mail delivery
+ * @module utils/mailer
+ *
+ * The transport is chosen with MAIL_TRANSPORT ('console' or 'file'). The
+ * file transport writes one JSON document per message into MAIL_DIR. Any
+ * object with a send(message) method returning a promise can be installed
+ * with setTransport, e.g. an SMTP client in production.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const consoleTransport = {
+  async send(message) {
+    console.log(`[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${message.text}`);
+  }
+};
+
+const fileTransport = {
+  async send(message) {
+    const dir = path.resolve(process.env.MAIL_DIR || path.join(__dirname, '../../mail'));
+    await fs.promises.mkdir(dir, { recursive: true });
+    const fileName = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`;
+    await fs.promises.writeFile(
+      path.join(dir, fileName),
+      JSON.stringify({ ...message, sent_at: new Date().toISOString() }, null, 2)
+    );
+  }
+};
+
+const transports = {
+  console: consoleTransport,
+  file: fileTransport
+};
+
+let transport = transports[process.env.MAIL_TRANSPORT] || consoleTransport;
+
+/**
+ * Replace the active transport
+ * @param {{send: function(Object): Promise<void>}} custom - Transport implementation
+ */
+function setTransport(custom) {
+  transport = custom;
+}
+
+/**
+ * Send an email through the active transport
+ * @param {Object} message - Message to send
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject - Subject line
+ * @param {string} message.text - Plain-text body
+ * @returns {Promise<void>}
+ */
+function sendMail(message) {
+  return transport.send({
+    from: process.env.MAIL_FROM || 'no-reply@healthcare.local',
+    ...message
+  });
+}
+
+module.exports = { sendMail, setTransport };
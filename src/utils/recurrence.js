@@ -0,0 +1,67 @@
+/**
+ * @fileoverview Expansion of RRULE-style recurrence rules (RFC 5545 subset:
+ * FREQ, INTERVAL, COUNT and UNTIL) into occurrence dates
+ * @module utils/recurrence
+ */
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const MAX_OCCURRENCES = 52;
+
+/**
+ * The nth occurrence of a rule, or null if it does not exist. Dates move in
+ * local time so a visit keeps its wall-clock time across DST changes; monthly
+ * rules skip months without the start's day, as RFC 5545 does.
+ * @param {Date} start - First occurrence
+ * @param {string} frequency - One of FREQUENCIES
+ * @param {number} steps - Number of periods after the start
+ * @returns {Date|null} Occurrence
+ */
+function advance(start, frequency, steps) {
+  const date = new Date(start);
+  if (frequency === 'daily') {
+    date.setDate(date.getDate() + steps);
+  } else if (frequency === 'weekly') {
+    date.setDate(date.getDate() + steps * 7);
+  } else {
+    date.setDate(1);
+    date.setMonth(date.getMonth() + steps);
+    date.setDate(start.getDate());
+    if (date.getDate() !== start.getDate()) {
+      return null;
+    }
+  }
+  return date;
+}
+
+/**
+ * Occurrence dates of a rule, starting with the start itself
+ * @param {Object} rule - Recurrence rule
+ * @param {Date} rule.start - First occurrence
+ * @param {string} rule.frequency - daily, weekly or monthly
+ * @param {number} [rule.interval] - Periods between occurrences (default 1)
+ * @param {number} [rule.count] - Number of occurrences
+ * @param {Date} [rule.until] - Last possible occurrence, inclusive
+ * @returns {Array<Date>} At most MAX_OCCURRENCES dates
+ */
+function expand({ start, frequency, interval = 1, count, until }) {
+  const limit = Math.min(count || MAX_OCCURRENCES, MAX_OCCURRENCES);
+  const dates = [];
+
+  for (let period = 0; dates.length < limit; period += interval) {
+    const date = advance(start, frequency, period);
+    if (!date) {
+      continue;
+    }
+    if (until && date > until) {
+      break;
+    }
+    dates.push(date);
+  }
+  return dates;
+}
+
+module.exports = {
+  FREQUENCIES,
+  MAX_OCCURRENCES,
+  expand
+};
@@ -0,0 +1,61 @@
+/**
+ * @fileoverview Minimal in-process job scheduler. Every tick runs each job
+ * once, in order, with the time the tick started; a tick is skipped while the
+ * previous one is still running. Jobs must be idempotent, since a restart
+ * runs them again.
+ * @module utils/scheduler
+ */
+
+/**
+ * Create a scheduler
+ * @param {Object} options - Scheduler options
+ * @param {Array<{name: string, run: Function}>} options.jobs - Jobs; run(now) may return a promise
+ * @param {number} [options.intervalMs] - Time between ticks (default one minute)
+ * @param {Function} [options.clock] - Returns the current Date; inject a fake one in tests
+ * @returns {{tick: Function, start: Function, stop: Function}} Scheduler
+ */
+function createScheduler({ jobs, intervalMs = 60000, clock = () => new Date() }) {
+  let timer = null;
+  let running = false;
+
+  /**
+   * Run every job once
+   * @returns {Promise<boolean>} False if the previous tick was still running
+   */
+  async function tick() {
+    if (running) {
+      return false;
+    }
+    running = true;
+
+    const now = clock();
+    try {
+      for (const job of jobs) {
+        try {
+          await job.run(now);
+        } catch (err) {
+          console.error(`Scheduled job ${job.name} failed:`, err);
+        }
+      }
+    } finally {
+      running = false;
+    }
+    return true;
+  }
+
+  return {
+    tick,
+    start() {
+      if (!timer) {
+        timer = setInterval(tick, intervalMs);
+        tick();
+      }
+    },
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+}
+
+module.exports = { createScheduler };
@@ -0,0 +1,146 @@
+/**
+ * @fileoverview Time-based one-time passwords (RFC 6238, HMAC-SHA1, 6 digits)
+ * @module utils/totp
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+/**
+ * Encode bytes as unpadded base32 (RFC 4648)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+/**
+ * Decode a base32 string, ignoring padding, spaces and case
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Decoded bytes
+ */
+function base32Decode(input) {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate a random 160-bit secret
+ * @returns {string} Base32-encoded secret
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Compute the HOTP value for a counter (RFC 4226)
+ * @param {string} secret - Base32-encoded secret
+ * @param {number} counter - Moving factor
+ * @returns {string} Zero-padded code
+ */
+function hotp(secret, counter) {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * Current time step
+ * @param {number} [now] - Time in milliseconds
+ * @returns {number} Step counter
+ */
+function currentStep(now = Date.now()) {
+  return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+/**
+ * Verify a code, allowing one step of clock drift either way
+ * @param {string} secret - Base32-encoded secret
+ * @param {string} code - Code entered by the user
+ * @param {number} [now] - Time in milliseconds
+ * @returns {number|null} Matching time step, or null if the code is wrong
+ */
+function verify(secret, code, now = Date.now()) {
+  const normalized = String(code).replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) {
+    return null;
+  }
+
+  const step = currentStep(now);
+  for (let drift = -1; drift <= 1; drift++) {
+    const candidate = hotp(secret, step + drift);
+    if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(normalized))) {
+      return step + drift;
+    }
+  }
+  return null;
+}
+
+/**
+ * Build an otpauth:// provisioning URI for authenticator apps
+ * @param {string} secret - Base32-encoded secret
+ * @param {string} account - Account label (usually the email)
+ * @param {string} issuer - Issuer shown in the app
+ * @returns {string} Provisioning URI
+ */
+function provisioningUri(secret, account, issuer) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+module.exports = {
+  generateSecret,
+  hotp,
+  verify,
+  provisioningUri
+};
@@ -0,0 +1,54 @@
+const lifecycle = require('../src/services/appointment-lifecycle');
+const booking = require('../src/services/booking');
+const { run, get } = require('../src/utils/db');
+const { migrated, createUser } = require('./helpers/db');
+
+// A Monday in local time, far enough ahead to never be in the past
+const at = (day, hours, minutes = 0) => new Date(2030, 0, day, hours, minutes);
+
+let doctor;
+let patient;
+
+beforeAll(async () => {
+  await migrated();
+  doctor = await createUser('doctor');
+  patient = await createUser('patient');
+});
+
+const book = async (start) => {
+  const { appointment } = await booking.book({ patientId: patient.id, doctorId: doctor.id, start, type: 'consultation', bookedBy: patient.id });
+  return appointment;
+};
+
+const statusOf = async appointment => (await get('SELECT status FROM appointments WHERE id = ?', [appointment.id])).status;
+
+describe('transition', () => {
+  test('leaves an appointment alone when its status changed since it was read', async () => {
+    const appointment = await book(at(7, 10));
+    await run("UPDATE appointments SET status = 'cancelled' WHERE id = ?", [appointment.id]);
+
+    const changed = await lifecycle.transition([appointment], 'checked_in', doctor);
+
+    expect(changed).toEqual([]);
+    expect(await statusOf(appointment)).toBe('cancelled');
+  });
+
+  test('moves appointments from each status they were read in', async () => {
+    const requested = await book(at(7, 11));
+    const confirmed = await book(at(7, 12));
+    await run("UPDATE appointments SET status = 'confirmed' WHERE id = ?", [confirmed.id]);
+    const stale = await book(at(7, 13));
+    await run("UPDATE appointments SET status = 'cancelled' WHERE id = ?", [stale.id]);
+
+    const changed = await lifecycle.transition(
+      [requested, { ...confirmed, status: 'confirmed' }, stale],
+      'cancelled',
+      patient,
+      'Moving away'
+    );
+
+    expect(changed.map(appointment => appointment.id)).toEqual([requested.id, confirmed.id]);
+    expect(await statusOf(requested)).toBe('cancelled');
+    expect(await statusOf(confirmed)).toBe('cancelled');
+  });
+});
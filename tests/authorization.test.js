@@ -0,0 +1,260 @@
+const { POLICIES, PROXY_SCOPES } = require('../src/config/policies');
+const { CONDITIONS, roleAllowed, can, scope } = require('../src/services/authorization');
+const { run, all } = require('../src/utils/db');
+const { migrated, createUser, addToCareTeam } = require('./helpers/db');
+
+const ROLES = ['patient', 'doctor', 'admin', 'biologist'];
+
+const users = {};
+let teamPatient;
+let formerPatient;
+let otherPatient;
+let grantPatient;
+
+/**
+ * Row fields meeting and breaking each condition for a user. Rows built from
+ * several conditions merge their fields; no policy combines conditions on
+ * the same column.
+ */
+const ROWS = {
+  any: {
+    meets: () => ({})
+  },
+  self: {
+    meets: user => ({ patient_id: user.id }),
+    breaks: () => ({ patient_id: otherPatient.id })
+  },
+  care_team: {
+    meets: () => ({ patient_id: teamPatient.id }),
+    breaks: () => ({ patient_id: otherPatient.id })
+  },
+  author: {
+    meets: user => ({ doctor_id: user.id }),
+    breaks: () => ({ doctor_id: otherPatient.id })
+  },
+  participant: {
+    meets: user => (user.role === 'doctor'
+      ? { patient_id: otherPatient.id, doctor_id: user.id }
+      : { patient_id: user.id, doctor_id: otherPatient.id }),
+    breaks: () => ({ patient_id: otherPatient.id, doctor_id: otherPatient.id })
+  },
+  correspondent: {
+    meets: user => ({ sender_id: user.id, receiver_id: otherPatient.id }),
+    breaks: () => ({ sender_id: otherPatient.id, receiver_id: otherPatient.id })
+  },
+  receiver: {
+    meets: user => ({ sender_id: otherPatient.id, receiver_id: user.id }),
+    breaks: user => ({ sender_id: user.id, receiver_id: otherPatient.id })
+  },
+  recipient: {
+    meets: user => ({ user_id: user.id }),
+    breaks: () => ({ user_id: otherPatient.id })
+  },
+  lab_queue: {
+    meets: user => ({ biologist_id: user.id }),
+    breaks: () => ({ biologist_id: otherPatient.id })
+  },
+  acting_for: {
+    meets: () => ({ patient_id: grantPatient.id }),
+    breaks: () => ({ patient_id: otherPatient.id })
+  }
+};
+
+const conditionList = rule => (Array.isArray(rule) ? rule : [rule]);
+
+const rowMeeting = (conditions, user) =>
+  Object.assign({}, ...conditions.map(name => ROWS[name].meets(user)));
+
+const rowBreaking = (conditions, broken, user) =>
+  Object.assign(rowMeeting(conditions, user), ROWS[broken].breaks(user));
+
+/**
+ * IDs of rows a scope() filter lets through, evaluated by SQLite
+ * @param {{clause: string, params: Array}} filter - Result of scope()
+ * @param {Array<Object>} rows - Candidate rows
+ * @returns {Promise<Array<number>>} IDs of the matching rows
+ */
+async function matching(filter, rows) {
+  await run('DELETE FROM policy_rows');
+  for (const [index, row] of rows.entries()) {
+    await run(
+      `INSERT INTO policy_rows (id, patient_id, doctor_id, sender_id, receiver_id, user_id, biologist_id)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [index + 1, row.patient_id, row.doctor_id, row.sender_id, row.receiver_id, row.user_id, row.biologist_id]
+    );
+  }
+  const found = await all(`SELECT id FROM policy_rows r WHERE ${filter.clause} ORDER BY id`, filter.params);
+  return found.map(row => row.id);
+}
+
+// Every resource, action and role in the matrix, with the conditions that apply
+const granted = [];
+const denied = [];
+const proxied = [];
+for (const [resource, actions] of Object.entries(POLICIES)) {
+  for (const [action, rules] of Object.entries(actions)) {
+    for (const role of ROLES) {
+      if (rules[role]) {
+        granted.push([resource, action, role, conditionList(rules[role])]);
+      } else {
+        denied.push([resource, action, role]);
+      }
+    }
+    if (rules.proxy) {
+      proxied.push([resource, action, rules.proxy]);
+    }
+  }
+}
+
+beforeAll(async () => {
+  await migrated();
+  await run(`CREATE TEMP TABLE policy_rows (
+    id INTEGER PRIMARY KEY, patient_id INTEGER, doctor_id INTEGER, sender_id INTEGER,
+    receiver_id INTEGER, user_id INTEGER, biologist_id INTEGER
+  )`);
+
+  for (const role of ROLES) {
+    users[role] = await createUser(role);
+  }
+  teamPatient = await createUser('patient');
+  formerPatient = await createUser('patient');
+  otherPatient = await createUser('patient');
+  grantPatient = await createUser('patient');
+  await addToCareTeam(teamPatient.id, users.doctor.id);
+  await addToCareTeam(formerPatient.id, users.doctor.id, '2001-01-01 00:00:00');
+});
+
+describe('policy matrix', () => {
+  test('every condition named in POLICIES is implemented', () => {
+    for (const [, , , conditions] of granted) {
+      for (const name of conditions) {
+        expect(CONDITIONS).toHaveProperty(name);
+        expect(ROWS).toHaveProperty(name);
+      }
+    }
+    for (const [, , proxyScope] of proxied) {
+      expect(PROXY_SCOPES).toContain(proxyScope);
+    }
+  });
+
+  describe.each(granted)('%s.%s for %s (%j)', (resource, action, role, conditions) => {
+    test('is allowed on a row meeting every condition', async () => {
+      const user = users[role];
+      const row = rowMeeting(conditions, user);
+
+      expect(roleAllowed(user, resource, action)).toBe(true);
+      expect(await can(user, resource, action, row)).toBe(true);
+      expect(await matching(scope(user, resource, action, 'r'), [row])).toEqual([1]);
+    });
+
+    // 'any' cannot be broken
+    for (const broken of conditions.filter(name => ROWS[name].breaks)) {
+      test(`is denied on a row breaking ${broken}`, async () => {
+        const user = users[role];
+        const row = rowBreaking(conditions, broken, user);
+
+        expect(await can(user, resource, action, row)).toBe(false);
+        expect(await matching(scope(user, resource, action, 'r'), [row])).toEqual([]);
+      });
+    }
+  });
+
+  describe.each(denied)('%s.%s for %s', (resource, action, role) => {
+    test('is denied whatever the row', async () => {
+      const user = users[role];
+      const row = { patient_id: user.id, doctor_id: user.id, sender_id: user.id, receiver_id: user.id, user_id: user.id };
+
+      expect(roleAllowed(user, resource, action)).toBe(false);
+      expect(await can(user, resource, action, row)).toBe(false);
+      expect(scope(user, resource, action)).toBeNull();
+    });
+  });
+});
+
+describe('delegated access', () => {
+  const proxyFor = scopes => ({ ...users.patient, acting_for: { grant_id: 1, patient_id: grantPatient.id, scopes } });
+
+  describe.each(proxied)('%s.%s (needs %s)', (resource, action, proxyScope) => {
+    test('is limited to the patient who granted the scope', async () => {
+      const user = proxyFor([proxyScope]);
+
+      expect(await can(user, resource, action, { patient_id: grantPatient.id })).toBe(true);
+      expect(await can(user, resource, action, { patient_id: users.patient.id })).toBe(false);
+      expect(await matching(scope(user, resource, action, 'r'), [
+        { patient_id: grantPatient.id },
+        { patient_id: users.patient.id }
+      ])).toEqual([1]);
+    });
+
+    test('is denied without the scope', async () => {
+      const user = proxyFor(PROXY_SCOPES.filter(candidate => candidate !== proxyScope));
+
+      expect(roleAllowed(user, resource, action)).toBe(false);
+      expect(await can(user, resource, action, { patient_id: grantPatient.id })).toBe(false);
+      expect(scope(user, resource, action)).toBeNull();
+    });
+  });
+
+  test('actions without a proxy entry are evaluated against the user\'s own role', async () => {
+    const user = proxyFor(PROXY_SCOPES);
+
+    // appointment.update has no proxy entry; the patient rule is 'participant'
+    expect(await can(user, 'appointment', 'update', { patient_id: user.id, doctor_id: otherPatient.id })).toBe(true);
+    expect(await can(user, 'appointment', 'update', { patient_id: grantPatient.id, doctor_id: otherPatient.id })).toBe(false);
+    // medical_record.create has neither a proxy nor a patient entry
+    expect(await can(user, 'medical_record', 'create', { patient_id: grantPatient.id })).toBe(false);
+  });
+});
+
+describe('conditions', () => {
+  test('care_team ignores relationships that have ended', async () => {
+    const doctor = users.doctor;
+
+    expect(await can(doctor, 'medical_record', 'read', { patient_id: formerPatient.id })).toBe(false);
+    expect(await matching(scope(doctor, 'medical_record', 'read', 'r'), [
+      { patient_id: teamPatient.id },
+      { patient_id: formerPatient.id }
+    ])).toEqual([1]);
+  });
+
+  test('author also requires the care team when both are listed', async () => {
+    const doctor = users.doctor;
+    const row = { patient_id: formerPatient.id, doctor_id: doctor.id };
+
+    expect(await can(doctor, 'medical_record', 'update', row)).toBe(false);
+    expect(await matching(scope(doctor, 'medical_record', 'update', 'r'), [row])).toEqual([]);
+  });
+
+  test('lab_queue lets any biologist take an unassigned test', async () => {
+    const biologist = users.biologist;
+
+    expect(await can(biologist, 'test_result', 'update', { biologist_id: null })).toBe(true);
+    expect(await matching(scope(biologist, 'test_result', 'update', 'r'), [
+      { biologist_id: null },
+      { biologist_id: biologist.id },
+      { biologist_id: otherPatient.id }
+    ])).toEqual([1, 2]);
+  });
+
+  test('self accepts a patient ID given as a string, as in a request body', async () => {
+    const patient = users.patient;
+
+    expect(await can(patient, 'appointment', 'create', { patient_id: String(patient.id) })).toBe(true);
+  });
+});
+
+describe('unknown actions', () => {
+  test.each([
+    ['medical_record', 'delete'],
+    ['appointment', 'purge'],
+    ['invoice', 'read']
+  ])('%s.%s is refused for every role', async (resource, action) => {
+    for (const role of ROLES) {
+      const user = users[role];
+
+      expect(() => roleAllowed(user, resource, action)).toThrow(`No policy for ${resource}.${action}`);
+      expect(() => scope(user, resource, action)).toThrow(`No policy for ${resource}.${action}`);
+      await expect(can(user, resource, action, { patient_id: user.id })).rejects.toThrow();
+    }
+  });
+});
@@ -0,0 +1,20 @@
+const availability = require('../src/services/availability');
+const { migrated, createUser } = require('./helpers/db');
+
+beforeAll(migrated);
+
+describe('setWeeklySchedule', () => {
+  test('keeps the old schedule when the new one cannot be saved', async () => {
+    const doctor = await createUser('doctor');
+    const monday = { weekday: 1, start_time: '09:00', end_time: '12:00', slot_minutes: 15 };
+    await availability.setWeeklySchedule(doctor.id, [monday], []);
+
+    await expect(availability.setWeeklySchedule(doctor.id, [
+      { weekday: 2, start_time: '09:00', end_time: '12:00' },
+      { weekday: 9, start_time: '09:00', end_time: '12:00' }
+    ], [])).rejects.toThrow('CHECK constraint failed');
+
+    const schedule = await availability.getSchedule(doctor.id);
+    expect(schedule.working_hours).toEqual([expect.objectContaining(monday)]);
+  });
+});
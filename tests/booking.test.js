@@ -0,0 +1,58 @@
+const booking = require('../src/services/booking');
+const availability = require('../src/services/availability');
+const { migrated, createUser } = require('./helpers/db');
+
+// A Monday in local time, far enough ahead to never be in the past
+const at = (day, hours, minutes = 0) => new Date(2030, 0, day, hours, minutes);
+
+let doctor;
+let patient;
+let otherPatient;
+
+beforeAll(async () => {
+  await migrated();
+  doctor = await createUser('doctor');
+  patient = await createUser('patient');
+  otherPatient = await createUser('patient');
+  // 15-minute slots, so a 30-minute consultation spans two of them
+  await availability.setWeeklySchedule(doctor.id, [
+    { weekday: 1, start_time: '09:00', end_time: '17:00', slot_minutes: 15 }
+  ], []);
+});
+
+const book = (patientId, start) =>
+  booking.book({ patientId, doctorId: doctor.id, start, type: 'consultation', bookedBy: patientId });
+
+describe('reschedule', () => {
+  test('moves an appointment into a time overlapping its own slot', async () => {
+    const { appointment } = await book(patient.id, at(7, 10));
+
+    const result = await booking.reschedule(appointment, at(7, 10, 15), { changedBy: patient.id });
+
+    expect(result.conflict).toBeUndefined();
+    expect(result.appointments).toHaveLength(1);
+    expect(result.appointments[0].appointment_date).toBe(at(7, 10, 15).toISOString());
+  });
+
+  test('still refuses a time another appointment takes', async () => {
+    const { appointment } = await book(patient.id, at(7, 13));
+    await book(otherPatient.id, at(7, 13, 30));
+
+    const result = await booking.reschedule(appointment, at(7, 13, 15), { changedBy: patient.id });
+
+    expect(result.conflict).toBe('The doctor already has an appointment at that time');
+  });
+
+  test('moves a whole series onto its own later occurrences', async () => {
+    const { appointments } = await booking.bookSeries(
+      { patientId: patient.id, doctorId: doctor.id, type: 'consultation', bookedBy: patient.id },
+      { start: at(7, 15), frequency: 'weekly', count: 4 }
+    );
+
+    const result = await booking.reschedule(appointments[0], at(14, 15), { changedBy: patient.id, scope: 'all' });
+
+    expect(result.conflict).toBeUndefined();
+    expect(result.appointments.map(moved => moved.appointment_date))
+      .toEqual([at(14, 15), at(21, 15), at(28, 15), at(35, 15)].map(date => date.toISOString()));
+  });
+});
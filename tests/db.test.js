@@ -0,0 +1,63 @@
+const { run, get, all, transaction } = require('../src/utils/db');
+const { migrated } = require('./helpers/db');
+
+beforeAll(async () => {
+  await migrated();
+  await run('CREATE TEMP TABLE entries (name TEXT)');
+});
+
+beforeEach(() => run('DELETE FROM entries'));
+
+const names = async () => (await all('SELECT name FROM entries ORDER BY name')).map(row => row.name);
+
+describe('transaction', () => {
+  test('a statement issued outside it is not rolled back with it', async () => {
+    let started;
+    const inside = new Promise(resolve => { started = resolve; });
+
+    const failing = transaction(async () => {
+      await run("INSERT INTO entries (name) VALUES ('inside')");
+      started();
+      // Give the statement below every chance to run before the rollback
+      await new Promise(resolve => setTimeout(resolve, 20));
+      throw new Error('rolled back');
+    });
+    await inside;
+    const outside = run("INSERT INTO entries (name) VALUES ('outside')");
+
+    await expect(failing).rejects.toThrow('rolled back');
+    await outside;
+    expect(await names()).toEqual(['outside']);
+  });
+
+  test('reads outside it wait for the commit', async () => {
+    let started;
+    const inside = new Promise(resolve => { started = resolve; });
+
+    const committing = transaction(async () => {
+      await run("INSERT INTO entries (name) VALUES ('first')");
+      started();
+      await new Promise(resolve => setTimeout(resolve, 20));
+      await run("INSERT INTO entries (name) VALUES ('second')");
+    });
+    await inside;
+
+    expect(await get('SELECT COUNT(*) as count FROM entries')).toEqual({ count: 2 });
+    await committing;
+  });
+
+  test('runs queued transactions one at a time', async () => {
+    const order = [];
+    const step = name => async () => {
+      order.push(`${name} begins`);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      await run('INSERT INTO entries (name) VALUES (?)', [name]);
+      order.push(`${name} ends`);
+    };
+
+    await Promise.all([transaction(step('a')), transaction(step('b'))]);
+
+    expect(order).toEqual(['a begins', 'a ends', 'b begins', 'b ends']);
+    expect(await names()).toEqual(['a', 'b']);
+  });
+});
@@ -0,0 +1,62 @@
+/**
+ * @fileoverview Helpers for tests running against the in-memory database
+ * @module tests/helpers/db
+ */
+
+const { run, get } = require('../../src/utils/db');
+
+/**
+ * Wait until config/migrations has created the schema. Migrations run
+ * asynchronously as soon as the database module is loaded.
+ * @returns {Promise<void>}
+ */
+async function migrated() {
+  while (!(await get("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'users'"))) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  // Every other migration was queued, serialized, together with the users
+  // table, so they have all run once a statement issued now returns
+  await get('SELECT 1');
+}
+
+let userCount = 0;
+
+/**
+ * Insert a user
+ * @param {string} role - patient, doctor, admin or biologist
+ * @param {Object} [fields] - Column values overriding the defaults
+ * @returns {Promise<Object>} User row
+ */
+async function createUser(role, fields = {}) {
+  userCount++;
+  const user = {
+    email: `${role}${userCount}@test.local`,
+    password: 'not-a-hash',
+    role,
+    first_name: role.charAt(0).toUpperCase() + role.slice(1),
+    last_name: String(userCount),
+    ...fields
+  };
+  const columns = Object.keys(user);
+  const { lastID } = await run(
+    `INSERT INTO users (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+    Object.values(user)
+  );
+  return get('SELECT * FROM users WHERE id = ?', [lastID]);
+}
+
+/**
+ * Put a doctor on a patient's care team
+ * @param {number} patientId - Patient ID
+ * @param {number} doctorId - Doctor ID
+ * @param {string} [endedAt] - When the relationship ended ('YYYY-MM-DD HH:MM:SS')
+ * @returns {Promise<void>}
+ */
+async function addToCareTeam(patientId, doctorId, endedAt = null) {
+  await run(
+    "INSERT INTO care_team (patient_id, doctor_id, started_at, ended_at) VALUES (?, ?, '2000-01-01 00:00:00', ?)",
+    [patientId, doctorId, endedAt]
+  );
+}
+
+module.exports = { migrated, createUser, addToCareTeam };
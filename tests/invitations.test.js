@@ -0,0 +1,28 @@
+const invitations = require('../src/services/invitations');
+const { get } = require('../src/utils/db');
+const { migrated, createUser } = require('./helpers/db');
+
+beforeAll(migrated);
+
+describe('changeRole', () => {
+  test('puts a user moved to a licensed role through license verification', async () => {
+    const user = await createUser('patient');
+
+    const changed = await invitations.changeRole(user.id, 'doctor', { licenseNumber: 'MD-1', specialization: 'Cardiology' });
+
+    expect(changed).toEqual({ id: user.id, role: 'doctor', verification_status: 'pending' });
+    const stored = await get('SELECT license_number, specialization FROM users WHERE id = ?', [user.id]);
+    expect(stored).toEqual({ license_number: 'MD-1', specialization: 'Cardiology' });
+    expect((await invitations.listPendingVerifications()).map(pending => pending.id)).toContain(user.id);
+  });
+
+  test('needs no verification for other roles', async () => {
+    const user = await createUser('doctor', { verification_status: 'rejected', license_number: 'MD-2' });
+
+    expect(await invitations.changeRole(user.id, 'admin')).toEqual({ id: user.id, role: 'admin', verification_status: 'verified' });
+  });
+
+  test('returns null for an unknown user', async () => {
+    expect(await invitations.changeRole(999999, 'admin')).toBeNull();
+  });
+});
@@ -0,0 +1,21 @@
+const proxies = require('../src/services/proxies');
+const { all } = require('../src/utils/db');
+const { migrated, createUser } = require('./helpers/db');
+
+beforeAll(migrated);
+
+describe('createGrant', () => {
+  test('leaves one active grant when the same pair is granted twice at once', async () => {
+    const patient = await createUser('patient');
+    const proxy = await createUser('patient');
+    const grant = scopes => proxies.createGrant({ patientId: patient.id, proxyId: proxy.id, scopes }, patient.id);
+
+    await Promise.all([grant(['view_records']), grant(['book_appointments'])]);
+
+    const active = await all(
+      'SELECT scopes FROM proxy_grants WHERE patient_id = ? AND proxy_id = ? AND revoked_at IS NULL',
+      [patient.id, proxy.id]
+    );
+    expect(active).toEqual([{ scopes: 'book_appointments' }]);
+  });
+});
@@ -0,0 +1,124 @@
+const { createScheduler } = require('../src/utils/scheduler');
+const reminders = require('../src/services/reminders');
+const booking = require('../src/services/booking');
+const { run, get } = require('../src/utils/db');
+const { migrated, createUser } = require('./helpers/db');
+
+// Local times on a Monday and Tuesday far enough ahead to never be in the past
+const at = (day, hours, minutes = 0) => new Date(2030, 0, day, hours, minutes);
+
+let doctor;
+let now;
+let scheduler;
+
+beforeAll(async () => {
+  await migrated();
+  doctor = await createUser('doctor');
+});
+
+beforeEach(() => {
+  now = null;
+  scheduler = createScheduler({
+    clock: () => now,
+    jobs: [{ name: 'appointment-reminders', run: tickTime => reminders.sendDueReminders(tickTime, [24 * 60, 120]) }]
+  });
+});
+
+const book = async (patientId, start) => {
+  const { appointment } = await booking.book({ patientId, doctorId: doctor.id, start, type: 'consultation', bookedBy: patientId });
+  return appointment;
+};
+
+const remindersFor = async (patientId) => {
+  const { count } = await get(
+    "SELECT COUNT(*) as count FROM notifications WHERE user_id = ? AND title = 'Appointment reminder'",
+    [patientId]
+  );
+  return count;
+};
+
+describe('appointment reminders', () => {
+  test('each reminder is sent once, however often the scheduler runs', async () => {
+    const patient = await createUser('patient');
+    await book(patient.id, at(7, 10));
+
+    now = at(6, 10, 30);
+    await scheduler.tick();
+    await scheduler.tick();
+    expect(await remindersFor(patient.id)).toBe(1);
+
+    // Still within the 24h window, before the 2h one
+    now = at(6, 11);
+    await scheduler.tick();
+    expect(await remindersFor(patient.id)).toBe(1);
+
+    now = at(7, 8, 30);
+    await scheduler.tick();
+    await scheduler.tick();
+    expect(await remindersFor(patient.id)).toBe(2);
+  });
+
+  test('cancelled appointments get no reminder', async () => {
+    const patient = await createUser('patient');
+    const appointment = await book(patient.id, at(7, 11));
+    await run("UPDATE appointments SET status = 'cancelled' WHERE id = ?", [appointment.id]);
+
+    now = at(7, 10);
+    await scheduler.tick();
+    expect(await remindersFor(patient.id)).toBe(0);
+  });
+
+  test('a rescheduled appointment gets reminders for its new time', async () => {
+    const patient = await createUser('patient');
+    const appointment = await book(patient.id, at(7, 14));
+
+    now = at(6, 15);
+    await scheduler.tick();
+    expect(await remindersFor(patient.id)).toBe(1);
+
+    const { appointments } = await booking.reschedule(appointment, at(8, 14), { changedBy: patient.id });
+    expect(appointments).toHaveLength(1);
+
+    // The old time's reminder does not count for the new one, which is not due yet
+    await scheduler.tick();
+    expect(await remindersFor(patient.id)).toBe(1);
+
+    now = at(7, 15);
+    await scheduler.tick();
+    await scheduler.tick();
+    expect(await remindersFor(patient.id)).toBe(2);
+  });
+});
+
+describe('scheduler', () => {
+  test('runs every job with the injected time', async () => {
+    const seen = [];
+    const clockScheduler = createScheduler({
+      clock: () => at(7, 9),
+      jobs: [
+        { name: 'first', run: time => seen.push(['first', time]) },
+        { name: 'second', run: time => seen.push(['second', time]) }
+      ]
+    });
+
+    expect(await clockScheduler.tick()).toBe(true);
+    expect(seen).toEqual([['first', at(7, 9)], ['second', at(7, 9)]]);
+  });
+
+  test('skips a tick while the previous one is still running', async () => {
+    let finish;
+    const slowScheduler = createScheduler({
+      clock: () => at(7, 9),
+      jobs: [{ name: 'slow', run: () => new Promise(resolve => { finish = resolve; }) }]
+    });
+
+    const first = slowScheduler.tick();
+    expect(await slowScheduler.tick()).toBe(false);
+    finish();
+    expect(await first).toBe(true);
+
+    const next = slowScheduler.tick();
+    finish();
+    expect(await next).toBe(true);
+  });
+});
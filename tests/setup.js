@@ -0,0 +1,4 @@
+// Every test file runs in its own module registry, so each one opens its own
+// throwaway database instead of the development database.sqlite
+process.env.DATABASE_PATH = ':memory:';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
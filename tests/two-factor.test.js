@@ -0,0 +1,28 @@
+const twoFactor = require('../src/services/two-factor');
+const { get } = require('../src/utils/db');
+const { migrated, createUser } = require('./helpers/db');
+
+const tokenVersion = async user => (await get('SELECT token_version FROM users WHERE id = ?', [user.id])).token_version;
+
+beforeAll(migrated);
+
+describe('role two-factor requirement', () => {
+  test('signs out the users of the role who have not enrolled', async () => {
+    const unenrolled = await createUser('biologist');
+    const enrolled = await createUser('biologist', { totp_enabled: 1 });
+    const otherRole = await createUser('doctor');
+
+    expect(await twoFactor.setRolePolicy('biologist', true)).toBe(1);
+
+    expect(await tokenVersion(unenrolled)).toBe(unenrolled.token_version + 1);
+    expect(await tokenVersion(enrolled)).toBe(enrolled.token_version);
+    expect(await tokenVersion(otherRole)).toBe(otherRole.token_version);
+  });
+
+  test('signs nobody out when the requirement is lifted', async () => {
+    const unenrolled = await createUser('admin');
+
+    expect(await twoFactor.setRolePolicy('admin', false)).toBe(0);
+    expect(await tokenVersion(unenrolled)).toBe(unenrolled.token_version);
+  });
+});
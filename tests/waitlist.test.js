@@ -0,0 +1,40 @@
+const waitlist = require('../src/services/waitlist');
+const availability = require('../src/services/availability');
+const { get } = require('../src/utils/db');
+const { migrated, createUser } = require('./helpers/db');
+
+// A Monday in local time, far enough ahead to never be in the past
+const at = (day, hours, minutes = 0) => new Date(2030, 0, day, hours, minutes);
+
+let doctor;
+
+beforeAll(async () => {
+  await migrated();
+  doctor = await createUser('doctor');
+  await availability.setWeeklySchedule(doctor.id, [
+    { weekday: 1, start_time: '09:00', end_time: '17:00', slot_minutes: 30 }
+  ], []);
+});
+
+const offered = async () => {
+  const patient = await createUser('patient');
+  await waitlist.join({ patientId: patient.id, doctorId: doctor.id, earliest: at(7, 9), latest: at(7, 17), createdBy: patient.id });
+  return waitlist.offerSlot(doctor.id, at(7, 10));
+};
+
+describe('accept', () => {
+  test('books an offer once when it is accepted twice at the same time', async () => {
+    const entry = await offered();
+
+    const results = await Promise.all([
+      waitlist.accept(entry, entry.patient_id),
+      waitlist.accept(entry, entry.patient_id)
+    ]);
+
+    expect(results.filter(result => result.appointment)).toHaveLength(1);
+    expect(results.filter(result => result.conflict)).toEqual([{ conflict: 'There is no open offer for this entry' }]);
+    const stored = await get('SELECT status, appointment_id FROM waitlist_entries WHERE id = ?', [entry.id]);
+    expect(stored.status).toBe('booked');
+    expect(stored.appointment_id).toBe(results.find(result => result.appointment).appointment.id);
+  });
+});